@@ -0,0 +1,50 @@
+// Shared tail of the foreign-format importers (ONNX, TF.js): checks the dense chain against the drawing
+// grid and wraps it as a manifest-like definition whose single timeline entry holds the decoded layers.
+
+export function transposeMatrix(values, rows, columns) {
+  const result = new Float32Array(values.length);
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      result[column * rows + row] = values[row * columns + column];
+    }
+  }
+  return result;
+}
+
+export function buildImportedDefinition(layers, { source, inputSize, normalization, label, description }) {
+  if (!layers.length) {
+    throw new Error("Das importierte Modell enthält keine Dense-Schicht.");
+  }
+  let features = inputSize;
+  layers.forEach((layer, index) => {
+    const [rows, columns] = layer.weightShape;
+    if (columns !== features) {
+      throw new Error(
+        index === 0
+          ? `Das Modell erwartet ${columns} Eingaben, die Zeichenfläche liefert ${inputSize}.`
+          : `Schicht "${layer.name}" erwartet ${columns} Eingaben, erhält aber ${features}.`,
+      );
+    }
+    features = rows;
+  });
+
+  return {
+    version: 2,
+    source,
+    network: {
+      architecture: [inputSize, ...layers.map((layer) => layer.weightShape[0])],
+      layers: layers.map((layer, index) => ({
+        layer_index: index,
+        type: "dense",
+        name: layer.name,
+        activation: layer.activation,
+        weight_shape: layer.weightShape,
+        bias_shape: [layer.weightShape[0]],
+      })),
+      input_dim: inputSize,
+      output_dim: features,
+      normalization,
+    },
+    timeline: [{ id: source, order: 0, label, kind: "imported", description, layers }],
+  };
+}
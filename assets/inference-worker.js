@@ -0,0 +1,54 @@
+import { FeedForwardModel, runInference } from "./model.js";
+
+// Owns a private copy of the decoded layers so propagation never blocks the render loop.
+let model = null;
+let modelVersion = 0;
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || typeof message !== "object") return;
+
+  if (message.type === "load") {
+    try {
+      model = new FeedForwardModel(message.definition);
+      modelVersion = message.version;
+    } catch (error) {
+      model = null;
+      self.postMessage({ type: "error", version: message.version, message: error.message });
+    }
+    return;
+  }
+
+  if (message.type === "infer") {
+    if (!model) {
+      self.postMessage({ type: "error", id: message.id, message: "Kein Modell im Inferenz-Worker geladen." });
+      return;
+    }
+    try {
+      const result = runInference(model, message.pixels, message.options);
+      self.postMessage(
+        { type: "result", id: message.id, version: modelVersion, result },
+        collectTransferables([
+          ...result.activations,
+          ...result.preActivations,
+          result.probabilities,
+          result.saliency?.values,
+          ...(result.relevance?.relevance ?? []),
+          ...(result.relevance?.layers ?? []).flatMap((info) => [info.denominators, info.winners]),
+        ]),
+      );
+    } catch (error) {
+      self.postMessage({ type: "error", id: message.id, message: error.message });
+    }
+  }
+});
+
+function collectTransferables(arrays) {
+  const buffers = new Set();
+  arrays.forEach((array) => {
+    if (array?.buffer instanceof ArrayBuffer) {
+      buffers.add(array.buffer);
+    }
+  });
+  return Array.from(buffers);
+}
@@ -0,0 +1,137 @@
+// Keeps decoded snapshot layers in IndexedDB so revisiting a snapshot skips the download and the
+// float16 decoding. Entries are keyed by a hash of the weights manifest, so a re-export never serves
+// stale layers. Entries of other manifests are kept so switching back to a model stays fast; once the
+// cache outgrows MAX_CACHED_BYTES the least recently used snapshots are dropped, whatever model they
+// belong to. The cache is best effort: every failure falls back to the network path.
+const DATABASE_NAME = "mnist-visualizer";
+const DATABASE_VERSION = 2;
+const STORE_NAME = "snapshot-layers";
+const USAGE_STORE_NAME = "snapshot-usage";
+const MAX_CACHED_BYTES = 256 * 1024 * 1024;
+
+export async function hashManifest(definition) {
+  if (!globalThis.crypto?.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify(definition));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export class LayerCache {
+  static async open(manifestHash) {
+    if (!manifestHash || typeof indexedDB === "undefined") return null;
+    try {
+      const database = await openDatabase();
+      const cache = new LayerCache(database, manifestHash);
+      cache.prune().catch((error) => console.warn("Alte Layer-Einträge konnten nicht entfernt werden:", error));
+      return cache;
+    } catch (error) {
+      console.warn("IndexedDB ist nicht verfügbar, Snapshots werden nicht zwischengespeichert:", error);
+      return null;
+    }
+  }
+
+  constructor(database, manifestHash) {
+    this.database = database;
+    this.manifestHash = manifestHash;
+  }
+
+  key(snapshotId) {
+    return `${this.manifestHash}:${snapshotId}`;
+  }
+
+  async get(snapshotId) {
+    const key = this.key(snapshotId);
+    try {
+      const record = await this.request("readwrite", (store, transaction) => {
+        const usage = transaction.objectStore(USAGE_STORE_NAME);
+        const entry = usage.get(key);
+        entry.onsuccess = () => {
+          if (entry.result) usage.put({ ...entry.result, lastUsed: Date.now() });
+        };
+        return store.get(key);
+      });
+      return Array.isArray(record?.layers) ? record.layers : null;
+    } catch (error) {
+      console.warn(`Snapshot "${snapshotId}" konnte nicht aus IndexedDB gelesen werden:`, error);
+      return null;
+    }
+  }
+
+  async put(snapshotId, layers) {
+    const key = this.key(snapshotId);
+    try {
+      await this.request("readwrite", (store, transaction) => {
+        transaction.objectStore(USAGE_STORE_NAME).put({ key, lastUsed: Date.now(), bytes: layersByteLength(layers) });
+        return store.put({ key, manifestHash: this.manifestHash, snapshotId, layers });
+      });
+      this.prune().catch((error) => console.warn("Alte Layer-Einträge konnten nicht entfernt werden:", error));
+      return true;
+    } catch (error) {
+      console.warn(`Snapshot "${snapshotId}" konnte nicht in IndexedDB gespeichert werden:`, error);
+      return false;
+    }
+  }
+
+  async count() {
+    return this.request("readonly", (store) =>
+      store.index("manifestHash").count(IDBKeyRange.only(this.manifestHash)),
+    );
+  }
+
+  async prune(maxBytes = MAX_CACHED_BYTES) {
+    const entries = await this.request("readonly", (store, transaction) =>
+      transaction.objectStore(USAGE_STORE_NAME).getAll(),
+    );
+    entries.sort((a, b) => b.lastUsed - a.lastUsed);
+    let total = 0;
+    const evicted = entries.filter((entry) => {
+      total += entry.bytes;
+      return total > maxBytes;
+    });
+    if (!evicted.length) return;
+    await this.request("readwrite", (store, transaction) => {
+      const usage = transaction.objectStore(USAGE_STORE_NAME);
+      evicted.forEach(({ key }) => {
+        store.delete(key);
+        usage.delete(key);
+      });
+      return null;
+    });
+  }
+
+  request(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.database.transaction([STORE_NAME, USAGE_STORE_NAME], mode);
+      const request = operation(transaction.objectStore(STORE_NAME), transaction);
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error("IndexedDB-Transaktion abgebrochen."));
+    });
+  }
+}
+
+function layersByteLength(layers) {
+  // Decoded weights are float32, four bytes per value.
+  return layers.reduce((total, layer) => total + ((layer.weights?.length ?? 0) + (layer.biases?.length ?? 0)) * 4, 0);
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = (event) => {
+      const database = request.result;
+      if (event.oldVersion < 1) {
+        const store = database.createObjectStore(STORE_NAME, { keyPath: "key" });
+        store.createIndex("manifestHash", "manifestHash");
+      }
+      if (event.oldVersion < 2) {
+        database.createObjectStore(USAGE_STORE_NAME, { keyPath: "key" });
+        // Version 1 entries have no usage record and could never be evicted; decoding them again is cheap.
+        request.transaction.objectStore(STORE_NAME).clear();
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB ist durch einen anderen Tab blockiert."));
+  });
+}
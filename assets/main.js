@@ -1,3 +1,24 @@
+import {
+  ACTIVATION_FUNCTIONS,
+  FeedForwardModel,
+  LAYER_TYPES,
+  RELEVANCE_RULES,
+  SALIENCY_METHODS,
+  argMax,
+  clamp,
+  float16ToFloat32,
+  float32ToFloat16,
+  normaliseShape,
+  resolveActivationName,
+  runInference,
+  shapeSize,
+} from "./model.js";
+import { LayerCache, hashManifest } from "./layer-cache.js";
+import { convertOnnxModel } from "./onnx.js";
+import { convertTfjsModel, isTfjsLayersModel, tfjsWeightPaths } from "./tfjs.js";
+import { projectPca } from "./projection.js";
+import { createZipArchive, readZipEntries } from "./zip.js";
+
 const VISUALIZER_CONFIG = {
   weightUrl: "./exports/mlp_weights.json",
   maxConnectionsPerNeuron: 24,
@@ -16,9 +37,64 @@ const VISUALIZER_CONFIG = {
     eraseStrength: 0.95,
     softness: 0.3,
   },
+  saliency: {
+    method: "none",
+    colorInputLayer: false,
+    integratedGradientSteps: 32,
+  },
+  relevance: {
+    rule: "none",
+    epsilon: 0.01,
+  },
 };
 
 const MNIST_SAMPLE_MANIFEST_URL = "./assets/data/mnist-test-manifest.json";
+const INFERENCE_WORKER_URL = new URL("./inference-worker.js", import.meta.url);
+const TRAINING_WORKER_URL = new URL("./training-worker.js", import.meta.url);
+const PROJECTION_WORKER_URL = new URL("./projection-worker.js", import.meta.url);
+const SERVICE_WORKER_URL = new URL("../sw.js", import.meta.url);
+const MAX_EDIT_MARKERS = 4096;
+const MAX_SWEEP_UNITS = 512;
+const MAX_LISTED_SAMPLES = 60;
+const GALLERY_PAGE_SIZE = 60;
+const MAXIMIZATION_STEPS_PER_FRAME = 5;
+const PROJECTION_NEIGHBOURS = 10;
+const SATURATION_FIRE_RATE = 0.99;
+const COMPARE_NEURON_LIST_SIZE = 12;
+const TIMELINE_SEGMENT_DURATION_MS = 1600;
+const TIMELINE_MAX_FRAME_STEP_MS = 100;
+const TIMELINE_PREFETCH_AHEAD = 2;
+// Sketch pad, MNIST loader and gallery all feed 28×28 greyscale pixels.
+const MODEL_INPUT_SIZE = 28 * 28;
+// Foreign formats carry no input statistics, so the scaling of the 0..1 pixels, (x - mean) / std, is
+// picked on import: MNIST statistics, plain [0, 1] or [-1, 1]. Models trained on normalised MNIST are the
+// common case and stay the default.
+const IMPORTED_MODEL_NORMALIZATIONS = {
+  mnist: { mean: 0.1307, std: 0.3081 },
+  unit: { mean: 0, std: 1 },
+  symmetric: { mean: 0.5, std: 0.5 },
+};
+const DEFAULT_IMPORTED_NORMALIZATION = "mnist";
+// Same choice as --snapshot-format in training/mlp_train.py: JSON by default, binary on request.
+const SNAPSHOT_EXPORT_FORMATS = { json: "layer_array_v1", binary: "layer_binary_v1" };
+const BINARY_SNAPSHOT_MAGIC = "NNVB";
+const BINARY_SNAPSHOT_DTYPES = {
+  1: { name: "float32", bytes: 4 },
+  2: { name: "float16", bytes: 2 },
+  3: { name: "int8", bytes: 1 },
+};
+const DIGIT_COLORS = [
+  "#60a5fa",
+  "#f97316",
+  "#22c55e",
+  "#ef4444",
+  "#a855f7",
+  "#a16207",
+  "#ec4899",
+  "#94a3b8",
+  "#eab308",
+  "#14b8a6",
+];
 
 document.addEventListener("DOMContentLoaded", () => {
   initializeVisualizer().catch((error) => {
@@ -111,6 +187,8 @@ async function loadMnistTestSamples(manifestPath = MNIST_SAMPLE_MANIFEST_URL) {
     cols,
     sampleSize,
     totalSamples,
+    images: imageBytes,
+    labels: labelBytes,
     getRandomSample(digit) {
       if (!Number.isInteger(digit) || digit < 0 || digit > 9) return null;
       const bucket = digitBuckets[digit];
@@ -130,6 +208,67 @@ async function loadMnistTestSamples(manifestPath = MNIST_SAMPLE_MANIFEST_URL) {
   };
 }
 
+async function resolveMnistSampleUrls(manifestPath = MNIST_SAMPLE_MANIFEST_URL) {
+  const manifestUrl = new URL(manifestPath, window.location.href);
+  const response = await fetch(manifestUrl.toString());
+  if (!response.ok) {
+    throw new Error(`Konnte MNIST-Manifest nicht laden (${response.status}).`);
+  }
+  const manifest = await response.json();
+  const files = [manifest?.image?.file, manifest?.labels?.file].filter((file) => typeof file === "string");
+  return [manifestUrl, ...files.map((file) => new URL(file, manifestUrl))].map((url) => url.toString());
+}
+
+function* iterateSampleBatches(loader, batchSize = 256, limit = loader.totalSamples) {
+  // Yields normalised pixel rows in fixed-size chunks so long passes over the test set can yield between them.
+  const total = Math.min(limit, loader.totalSamples);
+  for (let start = 0; start < total; start += batchSize) {
+    const count = Math.min(batchSize, total - start);
+    const bytes = loader.images.subarray(start * loader.sampleSize, (start + count) * loader.sampleSize);
+    const samples = new Float32Array(bytes.length);
+    for (let i = 0; i < bytes.length; i += 1) {
+      samples[i] = bytes[i] / 255;
+    }
+    yield { start, count, samples, labels: loader.labels.subarray(start, start + count) };
+  }
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function drawDigitThumbnail(canvas, pixels, rows = 28, cols = 28) {
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return;
+  canvas.width = cols;
+  canvas.height = rows;
+  const image = ctx.createImageData(cols, rows);
+  for (let i = 0; i < rows * cols; i += 1) {
+    const value = Math.round(clamp(Number(pixels?.[i]) || 0, 0, 1) * 255);
+    image.data[i * 4] = value;
+    image.data[i * 4 + 1] = value;
+    image.data[i * 4 + 2] = value;
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+function drawDivergingThumbnail(canvas, values, rows = 28, cols = 28, scale = maxAbsValue(values) || 1) {
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return;
+  canvas.width = cols;
+  canvas.height = rows;
+  const image = ctx.createImageData(cols, rows);
+  for (let i = 0; i < rows * cols; i += 1) {
+    const [r, g, b] = divergingRgb((Number(values?.[i]) || 0) / scale);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
 async function setupMnistSampleButtons({ digitCanvas, onSampleApplied, manifestPath } = {}) {
   if (!digitCanvas || typeof digitCanvas.setPixels !== "function") return null;
   const interactionRow =
@@ -169,41 +308,71 @@ async function setupMnistSampleButtons({ digitCanvas, onSampleApplied, manifestP
   };
 }
 
-async function initializeVisualizer() {
-  initializeInfoDialog();
-
-  const weightDefinitionUrl = new URL(VISUALIZER_CONFIG.weightUrl, window.location.href);
-  const definition = await fetchNetworkDefinition(weightDefinitionUrl.toString());
-  if (!definition?.network) {
-    throw new Error("Ungültige Netzwerkdefinition.");
-  }
-
-  const timelineSnapshots = hydrateTimeline(definition.timeline, {
-    layerMetadata: definition.network.layers,
-    baseUrl: weightDefinitionUrl,
-  });
-  if (!timelineSnapshots.length) {
-    throw new Error("Keine gültigen Timeline-Snapshots gefunden.");
-  }
-  const defaultSnapshotIndex = Math.max(timelineSnapshots.length - 1, 0);
-  const initialSnapshot = timelineSnapshots[defaultSnapshotIndex];
-  const initialLayers = await initialSnapshot.loadLayers();
-
-  const neuralModel = new FeedForwardModel({
+function toModelDefinition({ definition, initialLayers }) {
+  return {
     normalization: definition.network.normalization,
     architecture: definition.network.architecture,
+    inputShape: definition.network.input_shape,
     layers: initialLayers,
+  };
+}
+
+async function initializeVisualizer() {
+  initializeInfoDialog();
+  // Registered before anything is fetched so the next visit can start without a network.
+  const offlineRegistration = registerOfflineWorker();
+
+  const initialModel = await openModelSource(resolveInitialModelSource(), {
+    normalization: resolveInitialNormalization(),
   });
+  const neuralModel = new FeedForwardModel(toModelDefinition(initialModel));
   const gridContainerElement = document.getElementById("gridContainer");
-  const digitCanvas = new DigitSketchPad(gridContainerElement, 28, 28, {
-    brush: VISUALIZER_CONFIG.brush,
-  });
-  const probabilityPanel = new ProbabilityPanel(document.getElementById("predictionChart"));
-  const networkInfoPanelElement = document.getElementById("networkInfoPanel");
-  const networkInfoPanel = networkInfoPanelElement ? new NetworkInfoPanel(networkInfoPanelElement) : null;
   const neuronDetailPanelElement = document.getElementById("neuronDetailPanel");
-  const neuronDetailPanel = new NeuronDetailPanel(neuronDetailPanelElement);
-  const neuralScene = new NeuralVisualizer(neuralModel, {
+  const colorLegendElement = document.getElementById("colorLegend");
+
+  // Shared with the helpers below and switchModel. Entries tied to the loaded model (source, timeline,
+  // scene, network overview) are reassigned whenever another model is swapped in.
+  const app = {
+    modelSource: initialModel.source,
+    importedNormalization: initialModel.importedNormalization,
+    layerCache: initialModel.layerCache,
+    timelineSnapshots: initialModel.timelineSnapshots,
+    definitionUrls: initialModel.definitionUrls,
+    neuralModel,
+    inferenceClient: new InferenceClient(neuralModel, { workerUrl: INFERENCE_WORKER_URL }),
+    digitCanvas: new DigitSketchPad(gridContainerElement, 28, 28, { brush: VISUALIZER_CONFIG.brush }),
+    probabilityPanel: new ProbabilityPanel(document.getElementById("predictionChart")),
+    neuronDetailPanel: new NeuronDetailPanel(neuronDetailPanelElement),
+    colorLegend: colorLegendElement ? new ColorScaleLegend(colorLegendElement) : null,
+    neuralScene: null,
+    networkInfoPanel: null,
+    parameterEditor: null,
+    timelineController: null,
+    timelineHandlers: null,
+    sampleLoader: null,
+    testSetEvaluator: null,
+    neuronDiagnostics: null,
+    outlineDeadNeurons: false,
+    trainingPanel: null,
+    ablationPanel: null,
+    sampleGallery: null,
+    adversarialPanel: null,
+    projectionPanel: null,
+    weightMontagePanel: null,
+    activationMaximizationPanel: null,
+    comparePanel: null,
+    offlinePanel: null,
+    // Saliency and relevance explain the argmax class unless a probability row pins another one.
+    explanationTargetClass: null,
+    currentRelevance: null,
+    weightDelta: null,
+    compareScene: null,
+    loadedSample: null,
+  };
+  const { digitCanvas } = app;
+
+  app.networkInfoPanel = createNetworkInfoPanel(app);
+  app.neuralScene = createNeuralScene(app, {
     layerSpacing: VISUALIZER_CONFIG.layerSpacing,
     maxConnectionsPerNeuron: VISUALIZER_CONFIG.maxConnectionsPerNeuron,
     inputSpacing: VISUALIZER_CONFIG.inputSpacing,
@@ -213,119 +382,753 @@ async function initializeVisualizer() {
     connectionRadius: VISUALIZER_CONFIG.connectionRadius,
     connectionWeightThreshold: VISUALIZER_CONFIG.connectionWeightThreshold,
     showFpsOverlay: VISUALIZER_CONFIG.showFpsOverlay,
-    onNeuronFocusChange: (payload) => neuronDetailPanel.update(payload),
   });
-  networkInfoPanel?.update(neuralModel);
-  neuronDetailPanel.setOnClear(() => neuralScene.clearSelection());
-
-  if (gridContainerElement && neuronDetailPanelElement) {
-    const rootStyle = document.documentElement?.style ?? null;
-    const spacingBelowSketchPad = 16;
-    const bottomMargin = 24;
-
-    const applyNeuronPanelLayout = () => {
-      if (!rootStyle) return;
-      const gridRect = gridContainerElement.getBoundingClientRect();
-      const rawTop = Math.round(gridRect.bottom + spacingBelowSketchPad);
-      const viewportHeight = window.innerHeight || document.documentElement.clientHeight || 0;
-      const availableHeight = Math.max(viewportHeight - rawTop - bottomMargin, 200);
-      rootStyle.setProperty("--neuron-panel-top", `${rawTop}px`);
-      rootStyle.setProperty("--neuron-panel-max-height", `${availableHeight}px`);
-    };
-
-    const scheduleNeuronPanelLayout = () => window.requestAnimationFrame(applyNeuronPanelLayout);
-    scheduleNeuronPanelLayout();
-    window.addEventListener("resize", scheduleNeuronPanelLayout, { passive: true });
+  app.networkInfoPanel?.update(neuralModel);
+  app.neuronDetailPanel.setOnClear(() => app.neuralScene.clearSelection());
+  app.weightDelta = setupWeightDelta(app);
+  app.parameterEditor = createParameterEditor(app);
+  app.neuronDetailPanel.setParameterEditor(app.parameterEditor);
+  app.probabilityPanel.setClassSelectHandler((digit) => {
+    app.explanationTargetClass = app.explanationTargetClass === digit ? null : digit;
+    refreshNetworkState(app);
+  });
 
-    if (typeof ResizeObserver !== "undefined") {
-      if (neuronDetailPanelElement.__gridResizeObserver instanceof ResizeObserver) {
-        neuronDetailPanelElement.__gridResizeObserver.disconnect();
-      }
-      const gridResizeObserver = new ResizeObserver(() => scheduleNeuronPanelLayout());
-      gridResizeObserver.observe(gridContainerElement);
-      neuronDetailPanelElement.__gridResizeObserver = gridResizeObserver;
-    }
-  }
+  setupNeuronPanelLayout(gridContainerElement, neuronDetailPanelElement);
 
   if (typeof window !== "undefined") {
     // Expose scene instance for interactive inspection in DevTools.
-    window.neuralScene = neuralScene;
+    window.neuralScene = app.neuralScene;
   }
 
-  const resetBtn = document.getElementById("resetBtn");
-  if (resetBtn) {
-    resetBtn.addEventListener("click", () => {
-      digitCanvas.clear();
-      refreshNetworkState();
-    });
+  document.getElementById("resetBtn")?.addEventListener("click", () => {
+    digitCanvas.clear();
+    refreshNetworkState(app);
+  });
+
+  const sampleButtons = await setupMnistSampleButtons({
+    digitCanvas,
+    onSampleApplied: (sample) => {
+      recordLoadedSample(app, sample);
+      refreshNetworkState(app);
+    },
+  });
+  app.sampleLoader = sampleButtons?.loader ?? null;
+
+  initializeAdvancedSettings({
+    getNeuralScene: () => app.neuralScene,
+    digitCanvas,
+    onConnectionsSettingsChange: () => refreshNetworkState(app),
+    onSaliencySettingsChange: () => refreshNetworkState(app),
+    onRelevanceSettingsChange: () => refreshNetworkState(app),
+  });
+
+  setupAnalysisPanels(app);
+  app.trainingPanel = createTrainingPanel(app);
+  app.timelineHandlers = createTimelineHandlers(app);
+  app.timelineController = setupTimelineSlider(app.timelineSnapshots, app.timelineHandlers);
+  app.comparePanel = createComparePanel(app);
+  app.offlinePanel = createOfflinePanel(app, offlineRegistration);
+  setupModelSourcePanel(app);
+  setupExportPanel(app);
+
+  digitCanvas.setChangeHandler(() => {
+    app.adversarialPanel?.invalidate();
+    refreshNetworkState(app);
+  });
+
+  if (app.timelineController && typeof app.timelineController.setActiveIndex === "function") {
+    await app.timelineController.setActiveIndex(initialModel.defaultSnapshotIndex, { emit: true, force: true });
+  } else {
+    app.networkInfoPanel?.update(neuralModel);
+    refreshNetworkState(app);
+  }
+}
+
+function setupNeuronPanelLayout(gridContainerElement, neuronDetailPanelElement) {
+  if (!gridContainerElement || !neuronDetailPanelElement) return;
+  const rootStyle = document.documentElement?.style ?? null;
+  const spacingBelowSketchPad = 16;
+  const bottomMargin = 24;
+
+  const applyNeuronPanelLayout = () => {
+    if (!rootStyle) return;
+    const gridRect = gridContainerElement.getBoundingClientRect();
+    const rawTop = Math.round(gridRect.bottom + spacingBelowSketchPad);
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight || 0;
+    const availableHeight = Math.max(viewportHeight - rawTop - bottomMargin, 200);
+    rootStyle.setProperty("--neuron-panel-top", `${rawTop}px`);
+    rootStyle.setProperty("--neuron-panel-max-height", `${availableHeight}px`);
+  };
+
+  const scheduleNeuronPanelLayout = () => window.requestAnimationFrame(applyNeuronPanelLayout);
+  scheduleNeuronPanelLayout();
+  window.addEventListener("resize", scheduleNeuronPanelLayout, { passive: true });
+
+  if (typeof ResizeObserver !== "undefined") {
+    if (neuronDetailPanelElement.__gridResizeObserver instanceof ResizeObserver) {
+      neuronDetailPanelElement.__gridResizeObserver.disconnect();
+    }
+    const gridResizeObserver = new ResizeObserver(() => scheduleNeuronPanelLayout());
+    gridResizeObserver.observe(gridContainerElement);
+    neuronDetailPanelElement.__gridResizeObserver = gridResizeObserver;
   }
+}
+
+// The helpers below work on the shared `app` state from initializeVisualizer. Model-bound entries
+// such as app.neuralScene are read at call time because switchModel replaces them.
+
+function createNeuralScene(app, options) {
+  const neuralScene = new NeuralVisualizer(app.neuralModel, {
+    ...options,
+    onNeuronFocusChange(payload) {
+      app.neuronDetailPanel.update(payload);
+      app.activationMaximizationPanel?.setSelection(payload);
+    },
+  });
+  neuralScene.setNeuronClickHandler(
+    (layerIndex, neuronIndex) => app.ablationPanel?.handleNeuronClick(layerIndex, neuronIndex) ?? false,
+  );
+  return neuralScene;
+}
+
+function createNetworkInfoPanel(app) {
+  const networkInfoPanelElement = document.getElementById("networkInfoPanel");
+  if (!networkInfoPanelElement) return null;
+  return new NetworkInfoPanel(networkInfoPanelElement, {
+    onRunDiagnostics: () => app.neuronDiagnostics?.run(),
+    onOutlineChange(enabled) {
+      app.outlineDeadNeurons = enabled;
+      updateDeadNeuronOutlines(app);
+    },
+  });
+}
+
+function updateDeadNeuronOutlines(app) {
+  const { neuronDiagnostics } = app;
+  const report = app.outlineDeadNeurons && !neuronDiagnostics?.stale ? neuronDiagnostics?.report : null;
+  app.neuralScene.setOutlinedNeurons(
+    report?.layers.flatMap((layer) =>
+      layer.dead.map((neuronIndex) => ({ layerIndex: layer.layerIndex + 1, neuronIndex })),
+    ) ?? [],
+  );
+}
+
+function createParameterEditor(app) {
+  const { neuralModel, inferenceClient } = app;
+  // Hand edits go straight into the live model; while scrubbing, redraws are batched per animation frame.
+  let refreshPending = false;
+  const parameterEditor = new ParameterEditor(neuralModel, {
+    onChange() {
+      app.trainingPanel?.invalidateSession();
+      if (refreshPending) return;
+      refreshPending = true;
+      window.requestAnimationFrame(() => {
+        refreshPending = false;
+        inferenceClient.syncModel();
+        app.neuralScene.updateNetworkWeights();
+        app.neuralScene.setEditedParameters(parameterEditor.getEditedParameters());
+        app.networkInfoPanel?.update(neuralModel);
+        invalidateModelStatistics(app);
+        refreshNetworkState(app);
+      });
+    },
+  });
+  window.addEventListener("keydown", (event) => {
+    if (event.defaultPrevented || !(event.ctrlKey || event.metaKey)) return;
+    if (event.target.closest?.("input, textarea, select")) return;
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      if (parameterEditor.undo()) event.preventDefault();
+    } else if (key === "y" || (key === "z" && event.shiftKey)) {
+      if (parameterEditor.redo()) event.preventDefault();
+    }
+  });
+  return parameterEditor;
+}
 
-  function refreshNetworkState() {
-    const rawInput = digitCanvas.getPixels();
-    const propagation = neuralModel.propagate(rawInput);
-    const displayActivations = propagation.activations.slice();
-    if (displayActivations.length > 0) {
-      displayActivations[0] = rawInput;
+function invalidateModelStatistics(app) {
+  // Anything derived from the current weights is outdated once they change.
+  app.ablationPanel?.invalidateStatistics();
+  app.testSetEvaluator?.invalidate();
+  app.adversarialPanel?.invalidate();
+  app.activationMaximizationPanel?.invalidate();
+  app.weightMontagePanel?.refresh();
+  app.projectionPanel?.invalidate();
+  app.neuronDiagnostics?.invalidate();
+  const { weightDelta } = app;
+  if (weightDelta.current || weightDelta.select?.value !== "off") refreshWeightDelta(app);
+}
+
+function setupWeightDelta(app) {
+  const weightDelta = {
+    select: document.getElementById("timelineDeltaSelect"),
+    pinButton: document.getElementById("timelineDeltaPinButton"),
+    pinTitle: "",
+    pinnedSnapshot: null,
+    current: null,
+    token: 0,
+  };
+  const { select, pinButton } = weightDelta;
+  weightDelta.pinTitle = pinButton?.title ?? "";
+  select?.addEventListener("change", () => refreshWeightDelta(app));
+  pinButton?.addEventListener("click", () => {
+    const activeIndex = app.timelineController?.activeIndex ?? null;
+    weightDelta.pinnedSnapshot = activeIndex === null ? null : app.timelineSnapshots[activeIndex];
+    if (!weightDelta.pinnedSnapshot) return;
+    pinButton.title = `Fixiert: ${weightDelta.pinnedSnapshot.label}`;
+    if (select) {
+      select.value = "pinned";
     }
+    refreshWeightDelta(app);
+  });
+  return weightDelta;
+}
 
-    const logitsTyped =
-      propagation.preActivations.length > 0
-        ? propagation.preActivations[propagation.preActivations.length - 1]
-        : new Float32Array(0);
-    const probabilities =
-      logitsTyped.length > 0 ? Float32Array.from(softmax(Array.from(logitsTyped))) : new Float32Array(0);
+function resolveWeightDeltaReference(app, mode) {
+  const activeIndex = app.timelineController?.activeIndex ?? null;
+  if (mode === "previous") return activeIndex > 0 ? app.timelineSnapshots[activeIndex - 1] : null;
+  if (mode === "initial") return app.timelineSnapshots[0] ?? null;
+  if (mode === "pinned") return app.weightDelta.pinnedSnapshot;
+  return null;
+}
 
-    if (probabilities.length && displayActivations.length > 1) {
-      displayActivations[displayActivations.length - 1] = probabilities;
+async function refreshWeightDelta(app) {
+  const { weightDelta } = app;
+  weightDelta.token += 1;
+  const token = weightDelta.token;
+  const reference = resolveWeightDeltaReference(app, weightDelta.select?.value ?? "off");
+  let next = null;
+  if (reference) {
+    try {
+      const referenceLayers = await reference.loadLayers();
+      if (token !== weightDelta.token) return;
+      // The live model includes hand edits and training steps, so they show up as change as well.
+      next = { referenceLabel: reference.label, layers: computeWeightDelta(app.neuralModel.layers, referenceLayers) };
+    } catch (error) {
+      console.error("Referenz-Snapshot konnte nicht geladen werden:", error);
     }
+  }
+  if (token !== weightDelta.token) return;
+  weightDelta.current = next;
+  app.neuralScene.setWeightDelta(next);
+  app.networkInfoPanel?.setWeightDelta(next);
+  renderColorLegend(app);
+}
+
+function resetWeightDelta(app) {
+  // Pinned references and the computed delta belong to the previous model.
+  const { weightDelta } = app;
+  weightDelta.pinnedSnapshot = null;
+  weightDelta.token += 1;
+  weightDelta.current = null;
+  if (weightDelta.select) weightDelta.select.value = "off";
+  if (weightDelta.pinButton) weightDelta.pinButton.title = weightDelta.pinTitle;
+}
+
+function renderColorLegend(app) {
+  const { colorLegend, currentRelevance } = app;
+  const weightDelta = app.weightDelta?.current;
+  // Weight deltas take over the connection colours, so their scale wins over the relevance legend.
+  if (weightDelta) {
+    colorLegend?.show({
+      title: `Δ ggü. ${weightDelta.referenceLabel} (je Schicht)`,
+      negativeLabel: "gesunken",
+      neutralLabel: "0",
+      positiveLabel: "gestiegen",
+    });
+  } else if (currentRelevance) {
+    colorLegend?.show({
+      title: currentRelevance.rule === "zplus" ? "Relevanz (LRP-z⁺)" : "Relevanz (LRP-ε)",
+      negativeLabel: "spricht dagegen",
+      neutralLabel: "0",
+      positiveLabel: `spricht für ${currentRelevance.classIndex}`,
+    });
+  } else {
+    colorLegend?.hide();
+  }
+}
 
-    let networkActivations = propagation.activations;
-    if (probabilities.length) {
-      networkActivations = propagation.activations.slice();
-      if (networkActivations.length > 1) {
-        networkActivations[networkActivations.length - 1] = probabilities;
+function refreshNetworkState(app) {
+  const rawInput = app.digitCanvas.getPixels();
+  app.inferenceClient
+    .evaluate(rawInput, buildInferenceOptions(app))
+    .then((inference) => {
+      if (inference) {
+        renderInference(app, rawInput, inference);
       }
+    })
+    .catch((error) => {
+      console.error("Fehler bei der Inferenz:", error);
+    });
+}
+
+function buildInferenceOptions(app) {
+  const options = {};
+  const { method, integratedGradientSteps } = VISUALIZER_CONFIG.saliency;
+  if (SALIENCY_METHODS.has(method)) {
+    options.saliency = { method, classIndex: app.explanationTargetClass, steps: integratedGradientSteps };
+  }
+  const { rule, epsilon } = VISUALIZER_CONFIG.relevance;
+  if (RELEVANCE_RULES.has(rule)) {
+    options.relevance = { rule, epsilon, classIndex: app.explanationTargetClass };
+  }
+  return options;
+}
+
+function toSceneActivations(rawInput, { activations, probabilities }) {
+  const displayActivations = activations.slice();
+  if (displayActivations.length > 0) {
+    displayActivations[0] = rawInput;
+  }
+  if (probabilities.length && displayActivations.length > 1) {
+    displayActivations[displayActivations.length - 1] = probabilities;
+  }
+
+  let networkActivations = activations;
+  if (probabilities.length) {
+    networkActivations = activations.slice();
+    if (networkActivations.length > 1) {
+      networkActivations[networkActivations.length - 1] = probabilities;
     }
+  }
+  return { displayActivations, networkActivations };
+}
+
+function renderInference(app, rawInput, inference) {
+  const { activations, preActivations, probabilities, saliency, relevance } = inference;
+  const { displayActivations, networkActivations } = toSceneActivations(rawInput, inference);
+  const { neuralScene, probabilityPanel } = app;
+
+  const saliencyValues = saliency?.values ?? null;
+  app.digitCanvas.setSaliencyOverlay(saliencyValues);
+  neuralScene.setInputSaliency(VISUALIZER_CONFIG.saliency.colorInputLayer ? saliencyValues : null);
+  neuralScene.setRelevance(relevance ?? null);
+  app.currentRelevance = relevance ?? null;
+  renderColorLegend(app);
+  const explanation = saliency ?? relevance;
+  probabilityPanel.setExplanationTarget({
+    enabled: Boolean(explanation),
+    selectedClass: app.explanationTargetClass,
+    resolvedClass: explanation?.classIndex ?? null,
+  });
 
-    neuralScene.update(displayActivations, networkActivations, propagation.preActivations);
-    const probabilitiesForPanel = probabilities.length ? probabilities : logitsTyped;
-    probabilityPanel.update(probabilitiesForPanel.length ? Array.from(probabilitiesForPanel) : []);
+  neuralScene.update(displayActivations, networkActivations, preActivations);
+  app.weightMontagePanel?.setActivations(activations);
+  app.projectionPanel?.setCurrentActivations(activations);
+  const logitsTyped = preActivations.length > 0 ? preActivations[preActivations.length - 1] : new Float32Array(0);
+  const probabilitiesForPanel = probabilities.length ? probabilities : logitsTyped;
+  probabilityPanel.update(probabilitiesForPanel.length ? Array.from(probabilitiesForPanel) : []);
+  app.comparePanel?.setPixels(rawInput);
+}
 
-    // No noisy debug logs; visual updates are visible in-scene
+function applySnapshotComparison(app, result) {
+  const { probabilityPanel } = app;
+  if (!result) {
+    probabilityPanel.setColumns(null);
+    closeCompareScene(app);
+    return;
+  }
+  const [first, second] = result.inferences;
+  probabilityPanel.setColumns([
+    { label: result.snapshots[0].label, probabilities: first.probabilities },
+    { label: result.snapshots[1].label, probabilities: second.probabilities },
+  ]);
+  if (!result.split) {
+    closeCompareScene(app);
+    return;
+  }
+  const model = result.models[1];
+  if (app.compareScene && app.compareScene.scene.mlp !== model) {
+    closeCompareScene(app);
   }
+  if (!app.compareScene) {
+    // The second scene copies the live display settings and shares the camera with the main scene.
+    const scene = new NeuralVisualizer(model, { ...app.neuralScene.options, showFpsOverlay: false });
+    app.neuralScene.setViewportSide("left");
+    scene.setViewportSide("right");
+    app.compareScene = { scene, version: result.version, unlinkCamera: app.neuralScene.linkCamera(scene) };
+  } else if (app.compareScene.version !== result.version) {
+    app.compareScene.version = result.version;
+    app.compareScene.scene.updateNetworkWeights();
+  }
+  const { displayActivations, networkActivations } = toSceneActivations(app.digitCanvas.getPixels(), second);
+  app.compareScene.scene.update(displayActivations, networkActivations, second.preActivations);
+}
 
-  await setupMnistSampleButtons({
-    digitCanvas,
-    onSampleApplied: () => refreshNetworkState(),
+function closeCompareScene(app) {
+  if (!app.compareScene) return;
+  const { scene, unlinkCamera } = app.compareScene;
+  unlinkCamera?.();
+  scene.dispose();
+  app.compareScene = null;
+  app.neuralScene.setViewportSide(null);
+}
+
+function recordLoadedSample(app, sample) {
+  app.loadedSample = { label: sample.digit, pixels: app.digitCanvas.getPixels() };
+  app.sampleGallery?.recordSample(sample);
+}
+
+function getLoadedSampleLabel(app) {
+  // The label only counts as ground truth while the pad still shows the untouched test image.
+  const { loadedSample } = app;
+  if (!loadedSample) return null;
+  const pixels = app.digitCanvas.getPixels();
+  return pixels.every((value, index) => value === loadedSample.pixels[index]) ? loadedSample.label : null;
+}
+
+function applyTestSample(app, sample) {
+  app.digitCanvas.setPixels(sample.pixels);
+  recordLoadedSample(app, sample);
+  refreshNetworkState(app);
+}
+
+function setupAnalysisPanels(app) {
+  const { neuralModel, inferenceClient, digitCanvas, probabilityPanel, sampleLoader } = app;
+  app.testSetEvaluator = new TestSetEvaluator(neuralModel, sampleLoader);
+  app.neuronDiagnostics = new NeuronDiagnostics(neuralModel, sampleLoader);
+  const { testSetEvaluator, neuronDiagnostics } = app;
+  neuronDiagnostics.subscribe((event) => {
+    if (event.type === "progress") {
+      app.networkInfoPanel?.setDiagnostics({ report: neuronDiagnostics.report, progress: event.fraction });
+      return;
+    }
+    app.networkInfoPanel?.setDiagnostics({ report: neuronDiagnostics.report, stale: neuronDiagnostics.stale });
+    updateDeadNeuronOutlines(app);
   });
 
-  initializeAdvancedSettings({
-    neuralScene,
-    digitCanvas,
-    onConnectionsSettingsChange() {
-      refreshNetworkState();
+  const evaluationPanelElement = document.getElementById("evaluationPanel");
+  if (evaluationPanelElement) {
+    new EvaluationPanel(evaluationPanelElement, {
+      evaluator: testSetEvaluator,
+      toggleButton: document.getElementById("evaluationButton"),
+      onSampleSelect: (sample) => applyTestSample(app, sample),
+    });
+  }
+
+  const sampleGalleryElement = document.getElementById("galleryPanel");
+  app.sampleGallery = sampleGalleryElement
+    ? new SampleGallery(sampleGalleryElement, {
+        evaluator: testSetEvaluator,
+        toggleButton: document.getElementById("galleryButton"),
+        onSampleSelect: (sample) => applyTestSample(app, sample),
+      })
+    : null;
+
+  const adversarialPanelElement = document.getElementById("adversarialPanel");
+  app.adversarialPanel = adversarialPanelElement
+    ? new AdversarialPanel(adversarialPanelElement, {
+        model: neuralModel,
+        toggleButton: document.getElementById("adversarialButton"),
+        getPixels: () => digitCanvas.getPixels(),
+        getTrueClass: () => getLoadedSampleLabel(app),
+        onPreview(result) {
+          probabilityPanel.setComparison(
+            result ? { probabilities: result.probabilities, label: "Untere Leiste: adversariales Bild (Δ in Prozentpunkten)" } : null,
+          );
+        },
+        onApply: (pixels) => digitCanvas.setPixels(pixels),
+      })
+    : null;
+
+  const projectionPanelElement = document.getElementById("projectionPanel");
+  app.projectionPanel = projectionPanelElement
+    ? new ProjectionPanel(projectionPanelElement, {
+        model: neuralModel,
+        loader: sampleLoader,
+        workerUrl: PROJECTION_WORKER_URL,
+        toggleButton: document.getElementById("projectionButton"),
+        onSampleSelect: (sample) => applyTestSample(app, sample),
+      })
+    : null;
+
+  const montagePanelElement = document.getElementById("montagePanel");
+  app.weightMontagePanel = montagePanelElement
+    ? new WeightMontagePanel(montagePanelElement, {
+        model: neuralModel,
+        toggleButton: document.getElementById("montageButton"),
+        onNeuronSelect: (layerIndex, unit) => app.neuralScene.setSelectedNeuron(layerIndex + 1, unit),
+      })
+    : null;
+
+  const maximizePanelElement = document.getElementById("maximizePanel");
+  app.activationMaximizationPanel = maximizePanelElement
+    ? new ActivationMaximizationPanel(maximizePanelElement, {
+        model: neuralModel,
+        toggleButton: document.getElementById("maximizeButton"),
+        onApply: (pixels) => digitCanvas.setPixels(pixels),
+      })
+    : null;
+
+  const ablationPanelElement = document.getElementById("ablationPanel");
+  app.ablationPanel = ablationPanelElement
+    ? new AblationPanel(ablationPanelElement, {
+        model: neuralModel,
+        loader: sampleLoader,
+        toggleButton: document.getElementById("ablationButton"),
+        onChange(masks, units) {
+          neuralModel.setAblationMasks(masks);
+          inferenceClient.syncModel();
+          app.neuralScene.setAblatedNeurons(units);
+          testSetEvaluator.invalidate();
+          app.activationMaximizationPanel?.invalidate();
+          app.projectionPanel?.invalidate();
+          neuronDiagnostics.invalidate();
+          refreshNetworkState(app);
+        },
+      })
+    : null;
+}
+
+function createTrainingPanel(app) {
+  const { neuralModel, inferenceClient, parameterEditor } = app;
+  const trainingPanelElement = document.getElementById("trainingPanel");
+  if (!trainingPanelElement) return null;
+  return new TrainingPanel(trainingPanelElement, {
+    workerUrl: TRAINING_WORKER_URL,
+    toggleButton: document.getElementById("trainingButton"),
+    loader: app.sampleLoader,
+    getModelDefinition() {
+      const { layers, transfer } = packLayersForTransfer(neuralModel.layers);
+      return {
+        definition: {
+          normalization: neuralModel.normalization,
+          architecture: neuralModel.architecture,
+          inputShape: neuralModel.inputShape,
+          layers,
+        },
+        transfer,
+      };
+    },
+    onWeights(layers) {
+      parameterEditor.reset();
+      app.neuralScene.setEditedParameters([]);
+      neuralModel.updateLayers(layers);
+      inferenceClient.syncModel();
+      app.neuralScene.updateNetworkWeights();
+      app.networkInfoPanel?.update(neuralModel);
+      invalidateModelStatistics(app);
+      refreshNetworkState(app);
+    },
+    onSnapshot({ step, imagesSeen, averageLoss }) {
+      if (!app.timelineController) return;
+      const snapshot = createLiveSnapshot({
+        id: `live_${step}`,
+        label: `Live-Training, Schritt ${formatInteger(step)}`,
+        layers: neuralModel.layers,
+        imagesSeen,
+        batchesSeen: step,
+        metrics: { avgTrainingLoss: averageLoss },
+      });
+      app.timelineController.appendSnapshot(snapshot, { activate: true });
     },
   });
+}
 
-  const timelineController = setupTimelineSlider(timelineSnapshots, {
-    async onSnapshotChange(snapshot) {
+function createTimelineHandlers(app) {
+  const { neuralModel, inferenceClient, parameterEditor, digitCanvas } = app;
+  return {
+    async onSnapshotChange(snapshot, index) {
       if (!snapshot) return;
+      // Scrubbing the timeline would be overwritten by the next live update, so training pauses.
+      app.trainingPanel?.pause();
       const layers = await snapshot.loadLayers();
+      parameterEditor.reset();
+      app.neuralScene.setEditedParameters([]);
+      neuralModel.updateLayers(layers);
+      inferenceClient.syncModel();
+      app.neuralScene.updateNetworkWeights();
+      app.networkInfoPanel?.update(neuralModel);
+      invalidateModelStatistics(app);
+      app.activationMaximizationPanel?.setSnapshotKey(snapshot.id);
+      app.projectionPanel?.handleSnapshotChange();
+      // Once requested, the diagnostics follow the timeline so dead units can be watched appearing.
+      if (app.neuronDiagnostics?.report) app.neuronDiagnostics.run();
+      app.comparePanel?.handleSnapshotChange(index);
+      refreshNetworkState(app);
+    },
+    onPlaybackStart() {
+      app.trainingPanel?.pause();
+      parameterEditor.reset();
+      app.neuralScene.setEditedParameters([]);
+    },
+    async onInterpolate(layers, { isCurrent }) {
+      // Intermediate frames only swap the weights and rerun inference; statistics, montage, weight delta
+      // and the network overview follow once playback settles on a snapshot in onSnapshotChange.
       neuralModel.updateLayers(layers);
-      neuralScene.updateNetworkWeights();
-      networkInfoPanel?.update(neuralModel);
-      refreshNetworkState();
+      inferenceClient.syncModel();
+      app.neuralScene.updateNetworkWeights();
+      const rawInput = digitCanvas.getPixels();
+      const inference = await inferenceClient.evaluate(rawInput, buildInferenceOptions(app));
+      if (inference && isCurrent()) {
+        renderInference(app, rawInput, inference);
+      }
+    },
+  };
+}
+
+function createComparePanel(app) {
+  const comparePanelElement = document.getElementById("comparePanel");
+  if (!comparePanelElement) return null;
+  return new SnapshotComparePanel(comparePanelElement, {
+    model: app.neuralModel,
+    toggleButton: document.getElementById("compareButton"),
+    getSnapshots: () => app.timelineSnapshots,
+    getActiveIndex: () => app.timelineController?.activeIndex ?? null,
+    getPixels: () => app.digitCanvas.getPixels(),
+    isEdited: () => app.parameterEditor.getEditedParameters().length > 0,
+    onReferenceSelect(index) {
+      app.timelineController?.setActiveIndex(index, { emit: true }).catch((error) => {
+        console.error("Fehler beim Aktualisieren des Snapshots:", error);
+      });
+    },
+    onCompare: (result) => applySnapshotComparison(app, result),
+    onNeuronSelect(layerIndex, unit) {
+      app.neuralScene.setSelectedNeuron(layerIndex, unit);
+      app.compareScene?.scene.setSelectedNeuron(layerIndex, unit);
     },
   });
+}
 
-  digitCanvas.setChangeHandler(() => refreshNetworkState());
+function createOfflinePanel(app, registration) {
+  const offlinePanelElement = document.getElementById("offlinePanel");
+  if (!offlinePanelElement) return null;
+  return new OfflinePanel(offlinePanelElement, {
+    toggleButton: document.getElementById("offlineButton"),
+    registration,
+    layerCache: app.layerCache,
+    async getUrls() {
+      const sampleUrls = await resolveMnistSampleUrls().catch((error) => {
+        console.warn("MNIST-Dateien können nicht für den Offline-Modus ermittelt werden:", error);
+        return [];
+      });
+      // Models picked from disk are already local; only a remote model can be cached. Besides the
+      // manifest's snapshot files that includes the .onnx file or a TF.js model's weight shards.
+      const modelUrls = app.modelSource.remote
+        ? [...app.definitionUrls, ...app.timelineSnapshots.map((snapshot) => snapshot.weights?.url).filter(Boolean)]
+        : [];
+      return [...modelUrls, ...sampleUrls];
+    },
+  });
+}
 
-  if (timelineController && typeof timelineController.setActiveIndex === "function") {
-    await timelineController.setActiveIndex(defaultSnapshotIndex, { emit: true, force: true });
+async function switchModel(app, source, options = {}) {
+  let loaded;
+  try {
+    loaded = await openModelSource(source, options);
+  } catch (error) {
+    source.dispose();
+    throw error;
+  }
+  const { neuralModel, inferenceClient, parameterEditor } = app;
+  // The new model is fully loaded, so from here on the old one is torn down and everything rebuilt.
+  app.timelineController?.dispose();
+  app.trainingPanel?.reset();
+  app.comparePanel?.stop();
+  closeCompareScene(app);
+  app.neuralScene.clearSelection();
+  app.modelSource.dispose();
+  app.modelSource = loaded.source;
+  app.importedNormalization = loaded.importedNormalization;
+  app.layerCache = loaded.layerCache;
+  app.timelineSnapshots = loaded.timelineSnapshots;
+  app.definitionUrls = loaded.definitionUrls;
+
+  neuralModel.replaceDefinition(toModelDefinition(loaded));
+  parameterEditor.reset();
+  inferenceClient.syncModel();
+  // Display settings from the advanced dialog carry over to the new scene.
+  const sceneOptions = { ...app.neuralScene.options };
+  app.neuralScene.dispose();
+  app.neuralScene = createNeuralScene(app, sceneOptions);
+  window.neuralScene = app.neuralScene;
+
+  app.neuronDiagnostics.reset();
+  app.outlineDeadNeurons = false;
+  app.networkInfoPanel = createNetworkInfoPanel(app);
+  app.networkInfoPanel?.update(neuralModel);
+  resetWeightDelta(app);
+  app.ablationPanel?.handleModelChange();
+  app.projectionPanel?.handleModelChange();
+  app.activationMaximizationPanel?.handleModelChange();
+  invalidateModelStatistics(app);
+  app.offlinePanel?.setLayerCache(app.layerCache);
+
+  app.timelineController = setupTimelineSlider(app.timelineSnapshots, app.timelineHandlers);
+  app.comparePanel?.refreshSnapshots();
+  await app.timelineController?.setActiveIndex(loaded.defaultSnapshotIndex, { emit: true, force: true });
+
+  // Keeps the address bar shareable: remote models go into ?weights=, local files cannot be linked.
+  const location = new URL(window.location.href);
+  if (app.modelSource.remote) {
+    location.searchParams.set("weights", app.modelSource.url);
+  } else {
+    location.searchParams.delete("weights");
+  }
+  if (app.modelSource.remote && app.importedNormalization) {
+    location.searchParams.set("normalization", app.importedNormalization);
   } else {
-    networkInfoPanel?.update(neuralModel);
-    refreshNetworkState();
+    location.searchParams.delete("normalization");
+  }
+  window.history.replaceState(null, "", location);
+  return { normalization: app.importedNormalization ? neuralModel.normalization : null };
+}
+
+function setupModelSourcePanel(app) {
+  const modelSourcePanelElement = document.getElementById("modelSourcePanel");
+  if (!modelSourcePanelElement) return;
+  new ModelSourcePanel(modelSourcePanelElement, {
+    toggleButton: document.getElementById("modelSourceButton"),
+    currentName: app.modelSource.name,
+    currentNormalization: app.importedNormalization ? app.neuralModel.normalization : null,
+    normalizationPreset: app.importedNormalization ?? resolveInitialNormalization(),
+    onLoad: (source, options) => switchModel(app, source, options),
+  });
+}
+
+async function exportModel(app, { name, format, dtype, appendSnapshot, label, metrics }, onProgress) {
+  const { neuralModel } = app;
+  // Later edits write into buffers the model owns, so the exported state gets its own copy.
+  const layers = neuralModel.layers.map((layer) => ({
+    ...layer,
+    weights: layer.weights ? Float32Array.from(layer.weights) : null,
+    biases: layer.biases ? Float32Array.from(layer.biases) : null,
+  }));
+  const snapshot = createLiveSnapshot({
+    id: `edited_${Date.now()}`,
+    label,
+    description: "Aus dem Browser exportierter Stand des Modells.",
+    layers,
+    metrics,
+  });
+  let snapshots = [snapshot];
+  if (appendSnapshot && app.timelineController) {
+    await app.timelineController.appendSnapshot(snapshot, { activate: true });
+    snapshots = app.timelineSnapshots;
   }
+  const blob = await buildModelBundle({ model: neuralModel, snapshots, name, format, dtype, onProgress });
+  downloadBlob(blob, `${name}.zip`);
+  return { fileName: `${name}.zip`, snapshotCount: snapshots.length };
+}
+
+function setupExportPanel(app) {
+  const exportPanelElement = document.getElementById("exportPanel");
+  if (!exportPanelElement) return;
+  new ExportPanel(exportPanelElement, {
+    toggleButton: document.getElementById("exportButton"),
+    getSuggestions() {
+      const { testSetEvaluator } = app;
+      const evaluation = testSetEvaluator?.results;
+      return {
+        name: `${app.modelSource.name.replace(/\.[^.]*$/, "") || "model"}_export`,
+        // A stale evaluation describes weights that have been edited since.
+        testAccuracy: evaluation && !testSetEvaluator.stale ? evaluation.accuracy : null,
+        avgTrainingLoss: app.trainingPanel?.lastMetrics?.averageLoss ?? null,
+        snapshotCount: app.timelineSnapshots.length,
+      };
+    },
+    onExport: (settings, onProgress) => exportModel(app, settings, onProgress),
+  });
 }
 
 function initializeInfoDialog() {
@@ -352,7 +1155,13 @@ function initializeInfoDialog() {
   });
 }
 
-function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSettingsChange } = {}) {
+function initializeAdvancedSettings({
+  getNeuralScene,
+  digitCanvas,
+  onConnectionsSettingsChange,
+  onSaliencySettingsChange,
+  onRelevanceSettingsChange,
+} = {}) {
   const button = document.getElementById("advancedSettingsButton");
   const modal = document.getElementById("advancedSettingsModal");
   const closeButton = document.getElementById("closeAdvancedSettings");
@@ -368,7 +1177,13 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
   const thicknessValue = document.getElementById("brushThicknessValue");
   const strengthSlider = document.getElementById("brushStrengthSlider");
   const strengthValue = document.getElementById("brushStrengthValue");
+  const saliencyMethodSelect = document.getElementById("saliencyMethodSelect");
+  const saliencyInputLayerToggle = document.getElementById("saliencyInputLayerToggle");
+  const relevanceRuleSelect = document.getElementById("relevanceRuleSelect");
   let refreshConnectionThresholdBounds = null;
+  let refreshConnectionLimitBounds = null;
+  // Resolved on every use: loading another model replaces the scene.
+  const currentScene = () => getNeuralScene?.() ?? null;
 
   const focusTarget =
     connectionSlider ||
@@ -379,6 +1194,9 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
 
   const showModal = () => {
     modal.classList.add("visible");
+    if (typeof refreshConnectionLimitBounds === "function") {
+      refreshConnectionLimitBounds();
+    }
     if (typeof refreshConnectionThresholdBounds === "function") {
       refreshConnectionThresholdBounds();
     }
@@ -412,22 +1230,19 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     }
   });
 
-  if (connectionSlider && connectionValue && neuralScene) {
-    let maxIncoming = 0;
-    if (Array.isArray(neuralScene.mlp?.layers)) {
-      for (const layer of neuralScene.mlp.layers) {
-        if (!layer || !Array.isArray(layer.weights) || !layer.weights.length) continue;
-        const rowLength = layer.weights[0]?.length ?? 0;
-        if (rowLength > maxIncoming) {
-          maxIncoming = rowLength;
-        }
-      }
-    }
-    const sliderMax = Math.max(1, maxIncoming || Number.parseInt(connectionSlider.max, 10) || 64);
-    connectionSlider.max = String(sliderMax);
+  if (connectionSlider && connectionValue && currentScene()) {
+    const fallbackSliderMax = Number.parseInt(connectionSlider.max, 10) || 64;
+    let sliderMax = fallbackSliderMax;
+    const updateConnectionSliderBounds = () => {
+      const mlp = currentScene().mlp;
+      const maxIncoming = typeof mlp?.getMaxFanIn === "function" ? mlp.getMaxFanIn() : 0;
+      sliderMax = Math.max(1, maxIncoming || fallbackSliderMax);
+      connectionSlider.max = String(sliderMax);
+    };
+    updateConnectionSliderBounds();
 
     const syncConnectionUi = (value) => {
-      const normalized = Number.isFinite(value) ? value : neuralScene.options.maxConnectionsPerNeuron;
+      const normalized = Number.isFinite(value) ? value : currentScene().options.maxConnectionsPerNeuron;
       connectionSlider.value = String(normalized);
       connectionValue.textContent = `${normalized}`;
     };
@@ -435,13 +1250,13 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     const applyConnectionLimit = (rawValue, { emit = true } = {}) => {
       let parsed = Number.parseInt(rawValue, 10);
       if (!Number.isFinite(parsed)) {
-        parsed = neuralScene.options.maxConnectionsPerNeuron;
+        parsed = currentScene().options.maxConnectionsPerNeuron;
       }
       const maxValue = Number.parseInt(connectionSlider.max, 10) || sliderMax;
       const clamped = Math.min(maxValue, Math.max(1, parsed));
       syncConnectionUi(clamped);
       if (!emit) return;
-      const changed = neuralScene.setMaxConnectionsPerNeuron(clamped);
+      const changed = currentScene().setMaxConnectionsPerNeuron(clamped);
       if (changed) {
         if (typeof onConnectionsSettingsChange === "function") {
           onConnectionsSettingsChange(clamped);
@@ -450,7 +1265,11 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
       }
     };
 
-    applyConnectionLimit(neuralScene.options.maxConnectionsPerNeuron, { emit: false });
+    applyConnectionLimit(currentScene().options.maxConnectionsPerNeuron, { emit: false });
+    refreshConnectionLimitBounds = () => {
+      updateConnectionSliderBounds();
+      applyConnectionLimit(currentScene().options.maxConnectionsPerNeuron, { emit: false });
+    };
 
     connectionSlider.addEventListener("input", (event) => {
       applyConnectionLimit(event.target.value);
@@ -466,29 +1285,21 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     }
   }
 
-  if (connectionThresholdSlider && connectionThresholdValue && neuralScene) {
+  if (connectionThresholdSlider && connectionThresholdValue && currentScene()) {
     const min = Math.max(0, Number.parseFloat(connectionThresholdSlider.min) || 0);
     const fallbackMaxAttr = Number.parseFloat(connectionThresholdSlider.getAttribute("max"));
     const computeSceneMaxMagnitude = () => {
-      if (typeof neuralScene.getMaxConnectionWeightMagnitude === "function") {
-        const sceneValue = neuralScene.getMaxConnectionWeightMagnitude();
+      if (typeof currentScene().getMaxConnectionWeightMagnitude === "function") {
+        const sceneValue = currentScene().getMaxConnectionWeightMagnitude();
         if (Number.isFinite(sceneValue)) {
           return sceneValue;
         }
       }
       let maxMagnitude = 0;
-      if (Array.isArray(neuralScene.mlp?.layers)) {
-        for (const layer of neuralScene.mlp.layers) {
-          if (!Array.isArray(layer?.weights)) continue;
-          for (const row of layer.weights) {
-            if (!Array.isArray(row)) continue;
-            for (const weight of row) {
-              const magnitude = Math.abs(Number(weight));
-              if (Number.isFinite(magnitude) && magnitude > maxMagnitude) {
-                maxMagnitude = magnitude;
-              }
-            }
-          }
+      if (Array.isArray(currentScene().mlp?.layers)) {
+        for (const layer of currentScene().mlp.layers) {
+          if (!layer?.weights) continue;
+          maxMagnitude = Math.max(maxMagnitude, maxAbsValue(layer.weights));
         }
       }
       return maxMagnitude;
@@ -515,12 +1326,12 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
       const max = updateThresholdSliderBounds();
       let parsed = Number.parseFloat(rawValue);
       if (!Number.isFinite(parsed)) {
-        parsed = neuralScene.options.connectionWeightThreshold ?? 0;
+        parsed = currentScene().options.connectionWeightThreshold ?? 0;
       }
       const clamped = clamp(parsed, min, max);
       syncThresholdUi(clamped);
       if (!emit) return;
-      const changed = neuralScene.setConnectionWeightThreshold(clamped);
+      const changed = currentScene().setConnectionWeightThreshold(clamped);
       if (changed) {
         VISUALIZER_CONFIG.connectionWeightThreshold = clamped;
         if (typeof onConnectionsSettingsChange === "function") {
@@ -528,8 +1339,8 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
         }
       }
     };
-    const initialThreshold = Number.isFinite(neuralScene.options.connectionWeightThreshold)
-      ? Math.max(min, neuralScene.options.connectionWeightThreshold)
+    const initialThreshold = Number.isFinite(currentScene().options.connectionWeightThreshold)
+      ? Math.max(min, currentScene().options.connectionWeightThreshold)
       : Math.max(min, VISUALIZER_CONFIG.connectionWeightThreshold);
     updateThresholdSliderBounds();
     applyConnectionThreshold(initialThreshold, { emit: false });
@@ -551,7 +1362,7 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     }
   }
 
-  if (connectionThicknessSlider && connectionThicknessValue && neuralScene) {
+  if (connectionThicknessSlider && connectionThicknessValue && currentScene()) {
     const min = Number.parseFloat(connectionThicknessSlider.min) || 0.001;
     const max = Number.parseFloat(connectionThicknessSlider.max) || 0.1;
     const formatThickness = (value) => `${value.toFixed(3)}`;
@@ -562,18 +1373,18 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     const applyConnectionThickness = (rawValue, { emit = true } = {}) => {
       let parsed = Number.parseFloat(rawValue);
       if (!Number.isFinite(parsed)) {
-        parsed = neuralScene.options.connectionRadius;
+        parsed = currentScene().options.connectionRadius;
       }
       const clamped = clamp(parsed, min, max);
       syncConnectionThicknessUi(clamped);
       if (!emit) return;
-      const changed = neuralScene.setConnectionRadius(clamped);
+      const changed = currentScene().setConnectionRadius(clamped);
       if (changed) {
         VISUALIZER_CONFIG.connectionRadius = clamped;
       }
     };
-    const initialRadius = Number.isFinite(neuralScene.options.connectionRadius)
-      ? clamp(neuralScene.options.connectionRadius, min, max)
+    const initialRadius = Number.isFinite(currentScene().options.connectionRadius)
+      ? clamp(currentScene().options.connectionRadius, min, max)
       : clamp(VISUALIZER_CONFIG.connectionRadius, min, max);
     applyConnectionThickness(initialRadius, { emit: false });
 
@@ -654,6 +1465,47 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
     if (strengthValue) strengthValue.textContent = "—";
   }
 
+  if (saliencyMethodSelect) {
+    const saliency = VISUALIZER_CONFIG.saliency;
+    const syncSaliencyUi = () => {
+      saliencyMethodSelect.value = SALIENCY_METHODS.has(saliency.method) ? saliency.method : "none";
+      if (saliencyInputLayerToggle) {
+        saliencyInputLayerToggle.checked = Boolean(saliency.colorInputLayer);
+        saliencyInputLayerToggle.disabled = !SALIENCY_METHODS.has(saliency.method);
+      }
+    };
+    const notifySaliencyChange = () => {
+      syncSaliencyUi();
+      if (typeof onSaliencySettingsChange === "function") {
+        onSaliencySettingsChange({ ...saliency });
+      }
+    };
+    syncSaliencyUi();
+    saliencyMethodSelect.addEventListener("change", (event) => {
+      const method = event.target.value;
+      saliency.method = SALIENCY_METHODS.has(method) ? method : "none";
+      notifySaliencyChange();
+    });
+    saliencyInputLayerToggle?.addEventListener("change", (event) => {
+      saliency.colorInputLayer = Boolean(event.target.checked);
+      notifySaliencyChange();
+    });
+  } else if (saliencyInputLayerToggle) {
+    saliencyInputLayerToggle.disabled = true;
+  }
+
+  if (relevanceRuleSelect) {
+    const relevance = VISUALIZER_CONFIG.relevance;
+    relevanceRuleSelect.value = RELEVANCE_RULES.has(relevance.rule) ? relevance.rule : "none";
+    relevanceRuleSelect.addEventListener("change", (event) => {
+      const rule = event.target.value;
+      relevance.rule = RELEVANCE_RULES.has(rule) ? rule : "none";
+      if (typeof onRelevanceSettingsChange === "function") {
+        onRelevanceSettingsChange({ ...relevance });
+      }
+    });
+  }
+
   document.addEventListener("keydown", (event) => {
     if (event.key === "Escape" && modal.classList.contains("visible")) {
       hideModal();
@@ -661,6 +1513,49 @@ function initializeAdvancedSettings({ neuralScene, digitCanvas, onConnectionsSet
   });
 }
 
+// Resolves to the definition plus every URL it was read from, so the offline download can include them.
+async function loadNetworkDefinition(source, normalizationPreset = DEFAULT_IMPORTED_NORMALIZATION) {
+  const normalization =
+    IMPORTED_MODEL_NORMALIZATIONS[normalizationPreset] ?? IMPORTED_MODEL_NORMALIZATIONS[DEFAULT_IMPORTED_NORMALIZATION];
+  if (/\.onnx$/i.test(source.name)) {
+    const response = await fetch(source.url, { cache: "no-store" });
+    if (!response.ok) {
+      throw new Error(`ONNX-Modell konnte nicht geladen werden (${response.status})`);
+    }
+    const definition = convertOnnxModel(await response.arrayBuffer(), {
+      inputSize: MODEL_INPUT_SIZE,
+      normalization,
+      name: source.name,
+    });
+    return { definition, urls: [source.url] };
+  }
+  const definition = await fetchNetworkDefinition(source.url);
+  if (!isTfjsLayersModel(definition)) return { definition, urls: [source.url] };
+  const shardPaths = tfjsWeightPaths(definition);
+  const shardUrls = shardPaths.map((path) => {
+    const shardUrl = source.resolve(path);
+    if (!shardUrl) {
+      throw new Error(`Gewichts-Shard "${path}" wurde nicht gefunden.`);
+    }
+    return shardUrl;
+  });
+  const shardBuffers = await Promise.all(
+    shardUrls.map(async (shardUrl, index) => {
+      const response = await fetch(shardUrl, { cache: "no-store" });
+      if (!response.ok) {
+        throw new Error(`Gewichts-Shard "${shardPaths[index]}" konnte nicht geladen werden (${response.status})`);
+      }
+      return response.arrayBuffer();
+    }),
+  );
+  const converted = convertTfjsModel(definition, shardBuffers, {
+    inputSize: MODEL_INPUT_SIZE,
+    normalization,
+    name: definition.modelTopology.model_config?.config?.name ?? definition.modelTopology.config?.name ?? "Keras-Modell",
+  });
+  return { definition: converted, urls: [source.url, ...shardUrls] };
+}
+
 async function fetchNetworkDefinition(url) {
   const response = await fetch(url, { cache: "no-store" });
   if (!response.ok) {
@@ -669,26 +1564,221 @@ async function fetchNetworkDefinition(url) {
   return response.json();
 }
 
-function renderErrorMessage(message) {
-  const chart = document.getElementById("predictionChart");
-  if (chart) {
-    chart.innerHTML = `<p class="error-text">${message}</p>`;
-  }
+// A model source names the entry file (manifest, .onnx or TF.js model.json) and resolves the paths it
+// references, so remote exports and local files go through the same loading code.
+function createUrlModelSource(url) {
+  const resolved = new URL(url, window.location.href).toString();
+  return {
+    url: resolved,
+    name: decodeURIComponent(new URL(resolved).pathname.split("/").pop()),
+    remote: true,
+    resolve: (path) => resolveRelativeUrl(resolved, path),
+    dispose() {},
+  };
 }
 
-function resolveRelativeUrl(base, relativePath) {
-  try {
-    const baseUrl = base instanceof URL ? base : new URL(base, window.location.href);
-    return new URL(relativePath, baseUrl).toString();
-  } catch (error) {
-    console.warn("Konnte relative URL nicht auflösen:", relativePath, error);
-    return null;
+function resolveInitialModelSource() {
+  // ?weights=<url> swaps in another export (or an .onnx / model.json) without touching the config.
+  const requested = new URLSearchParams(window.location.search).get("weights");
+  return createUrlModelSource(requested || VISUALIZER_CONFIG.weightUrl);
+}
+
+function resolveInitialNormalization() {
+  // ?normalization=mnist|unit|symmetric sets the input scaling assumed for ONNX and TF.js imports.
+  const requested = new URLSearchParams(window.location.search).get("normalization");
+  return Object.prototype.hasOwnProperty.call(IMPORTED_MODEL_NORMALIZATIONS, requested) ? requested : DEFAULT_IMPORTED_NORMALIZATION;
+}
+
+function normaliseFilePath(path) {
+  const parts = [];
+  String(path)
+    .replace(/\\/g, "/")
+    .split("/")
+    .forEach((part) => {
+      if (part === "" || part === ".") return;
+      if (part === "..") parts.pop();
+      else parts.push(part);
+    });
+  return parts.join("/");
+}
+
+function parentFilePath(path) {
+  const index = path.lastIndexOf("/");
+  return index === -1 ? "" : path.slice(0, index);
+}
+
+async function expandZipFiles(files) {
+  const expanded = [];
+  for (const file of files) {
+    if (!/\.zip$/i.test(file.path)) {
+      expanded.push(file);
+      continue;
+    }
+    const entries = await readZipEntries(await file.blob.arrayBuffer());
+    // Archive paths stay relative to the folder the archive itself came from.
+    const folder = parentFilePath(file.path);
+    entries.forEach(({ path, data }) => expanded.push({ path: `${folder}/${path}`, blob: new Blob([data]) }));
   }
+  return expanded.map((file) => ({ ...file, path: normaliseFilePath(file.path) }));
 }
 
-function decodeBase64ToUint8Array(base64) {
-  if (typeof atob === "function") {
-    const binary = atob(base64);
+async function findModelEntry(files) {
+  // Snapshot files live in a subfolder next to their manifest, so the shallowest candidate wins.
+  const depth = (file) => file.path.split("/").length;
+  const byDepth = files.slice().sort((a, b) => depth(a) - depth(b) || a.path.localeCompare(b.path));
+  const onnx = byDepth.find((file) => /\.onnx$/i.test(file.path));
+  if (onnx) return onnx;
+  for (const file of byDepth.filter((candidate) => /\.json$/i.test(candidate.path))) {
+    let json = null;
+    try {
+      json = JSON.parse(await file.blob.text());
+    } catch (error) {
+      continue;
+    }
+    if ((json?.network && Array.isArray(json.timeline)) || isTfjsLayersModel(json)) return file;
+  }
+  throw new Error(
+    "Keine Modelldatei gefunden. Erwartet wird ein Manifest (JSON mit network und timeline), eine .onnx-Datei oder eine TF.js-model.json.",
+  );
+}
+
+async function createFileModelSource(files) {
+  // Local files are addressed by their path inside the picked folder or zip, so a manifest resolves its
+  // snapshot paths exactly as it would on a server. A flat selection falls back to unique file names.
+  const expanded = await expandZipFiles(files);
+  const entry = await findModelEntry(expanded);
+  const byPath = new Map(expanded.map((file) => [file.path, file]));
+  const byName = new Map();
+  expanded.forEach((file) => {
+    const name = file.path.split("/").pop();
+    byName.set(name, byName.has(name) ? null : file);
+  });
+  const objectUrls = new Map();
+  const toObjectUrl = (file) => {
+    if (!objectUrls.has(file.path)) objectUrls.set(file.path, URL.createObjectURL(file.blob));
+    return objectUrls.get(file.path);
+  };
+  const folder = parentFilePath(entry.path);
+  return {
+    url: toObjectUrl(entry),
+    name: entry.path.split("/").pop(),
+    remote: false,
+    resolve(path) {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(path)) return path;
+      const file = byPath.get(normaliseFilePath(`${folder}/${path}`)) ?? byName.get(path.split("/").pop());
+      if (!file) {
+        console.warn(`"${path}" ist nicht unter den ausgewählten Dateien.`);
+        return null;
+      }
+      return toObjectUrl(file);
+    },
+    dispose() {
+      objectUrls.forEach((url) => URL.revokeObjectURL(url));
+      objectUrls.clear();
+    },
+  };
+}
+
+async function collectDroppedFiles(dataTransfer) {
+  // Folders only survive a drop through the entry API; it has to be queried before the first await.
+  const entries = Array.from(dataTransfer.items ?? [], (item) => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) {
+    return Array.from(dataTransfer.files ?? [], (file) => ({ path: file.name, blob: file }));
+  }
+  const files = [];
+  const visit = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ path: entry.fullPath, blob: file });
+      return;
+    }
+    const reader = entry.createReader();
+    // readEntries hands out a directory in batches until it returns an empty one.
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (!batch.length) break;
+      for (const child of batch) await visit(child);
+    }
+  };
+  for (const entry of entries) await visit(entry);
+  return files;
+}
+
+async function openModelSource(source, { normalization = DEFAULT_IMPORTED_NORMALIZATION } = {}) {
+  const { definition, urls: definitionUrls } = await loadNetworkDefinition(source, normalization);
+  if (!definition?.network) {
+    throw new Error("Ungültige Netzwerkdefinition.");
+  }
+  assertMnistInput(definition.network);
+  // Imported models arrive with their layers decoded and local files need no download, so only remote
+  // manifests get a layer cache.
+  const layerCache =
+    definition.source || !source.remote
+      ? null
+      : await LayerCache.open(await hashManifest(definition).catch(() => null));
+  const timelineSnapshots = hydrateTimeline(definition.timeline, {
+    layerMetadata: definition.network.layers,
+    resolveUrl: source.resolve,
+    layerCache,
+  });
+  if (!timelineSnapshots.length) {
+    throw new Error("Keine gültigen Timeline-Snapshots gefunden.");
+  }
+  const defaultSnapshotIndex = timelineSnapshots.length - 1;
+  const initialLayers = await timelineSnapshots[defaultSnapshotIndex].loadLayers();
+  // Native manifests bring their own statistics; only imports run on the assumed preset.
+  const importedNormalization = definition.source ? normalization : null;
+  return {
+    source,
+    definition,
+    definitionUrls,
+    layerCache,
+    timelineSnapshots,
+    defaultSnapshotIndex,
+    initialLayers,
+    importedNormalization,
+  };
+}
+
+function assertMnistInput(network) {
+  const inputShape = normaliseShape(network.input_shape);
+  const inputSize = inputShape.length ? shapeSize(inputShape) : Number(network.architecture?.[0]);
+  if (inputSize !== MODEL_INPUT_SIZE) {
+    const described = inputShape.length ? inputShape.join("×") : String(network.architecture?.[0] ?? "unbekannt");
+    throw new Error(
+      `Das Modell erwartet ${described} Eingabewerte, der Visualizer liefert aber 28×28 = ${MODEL_INPUT_SIZE} Pixel.`,
+    );
+  }
+}
+
+function registerOfflineWorker() {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) return null;
+  return navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+    console.warn("Service Worker konnte nicht registriert werden, Offline-Modus nicht verfügbar:", error);
+    return null;
+  });
+}
+
+function renderErrorMessage(message) {
+  const chart = document.getElementById("predictionChart");
+  if (chart) {
+    chart.innerHTML = `<p class="error-text">${message}</p>`;
+  }
+}
+
+function resolveRelativeUrl(base, relativePath) {
+  try {
+    const baseUrl = base instanceof URL ? base : new URL(base, window.location.href);
+    return new URL(relativePath, baseUrl).toString();
+  } catch (error) {
+    console.warn("Konnte relative URL nicht auflösen:", relativePath, error);
+    return null;
+  }
+}
+
+function decodeBase64ToUint8Array(base64) {
+  if (typeof atob === "function") {
+    const binary = atob(base64);
     const length = binary.length;
     const bytes = new Uint8Array(length);
     for (let i = 0; i < length; i += 1) {
@@ -702,25 +1792,18 @@ function decodeBase64ToUint8Array(base64) {
   throw new Error("Base64-Dekodierung ist in dieser Umgebung nicht verfügbar.");
 }
 
-function float16ToFloat32(value) {
-  const sign = (value & 0x8000) >> 15;
-  const exponent = (value & 0x7c00) >> 10;
-  const fraction = value & 0x03ff;
-
-  let result;
-  if (exponent === 0) {
-    if (fraction === 0) {
-      result = 0;
-    } else {
-      result = (fraction / 0x400) * Math.pow(2, -14);
-    }
-  } else if (exponent === 0x1f) {
-    result = fraction === 0 ? Number.POSITIVE_INFINITY : Number.NaN;
-  } else {
-    result = (1 + fraction / 0x400) * Math.pow(2, exponent - 15);
+function encodeFloat16Base64(values) {
+  const bytes = new Uint8Array(values.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let index = 0; index < values.length; index += 1) {
+    view.setUint16(index * 2, float32ToFloat16(values[index]), true);
   }
-
-  return sign === 1 ? -result : result;
+  // String.fromCharCode takes its arguments on the stack, so large layers go in chunks.
+  let binary = "";
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
 }
 
 function decodeFloat16Base64(base64, expectedLength) {
@@ -743,64 +1826,108 @@ function decodeFloat16Base64(base64, expectedLength) {
   return result;
 }
 
-function decodeWeightMatrix(encoded, shape) {
-  const rows = Math.max(0, Number(shape?.[0]) || 0);
-  const cols = Math.max(0, Number(shape?.[1]) || 0);
-  if (rows === 0 || cols === 0) {
-    return [];
-  }
-  const flat = decodeFloat16Base64(encoded, rows * cols);
-  const result = [];
-  for (let row = 0; row < rows; row += 1) {
-    const start = row * cols;
-    const end = start + cols;
-    result.push(flat.slice(start, end));
-  }
-  return result;
-}
-
-function normaliseShape(shape, fallback = []) {
-  const source = Array.isArray(shape) ? shape : fallback;
-  if (!Array.isArray(source)) return [];
-  return source.map((value) => Number(value) || 0);
-}
-
 function normaliseLayerMetadata(layer, index) {
   const layerIndex = Number.isFinite(layer?.layer_index) ? Number(layer.layer_index) : index;
+  const type = typeof layer?.type === "string" ? layer.type : "dense";
+  if (!LAYER_TYPES.has(type)) {
+    throw new Error(`Layer ${layerIndex} hat den nicht unterstützten Typ "${type}".`);
+  }
+  const hasParameters = type === "dense" || type === "conv2d";
   const weightShape = normaliseShape(layer?.weight_shape);
   const biasShape = normaliseShape(layer?.bias_shape);
-  const resolvedWeightShape =
-    weightShape.length === 2 ? weightShape : [biasShape[0] ?? 0, weightShape[1] ?? 0];
-  const resolvedBiasShape = biasShape.length >= 1 ? biasShape : [resolvedWeightShape[0] ?? 0];
+  let resolvedWeightShape = [];
+  if (type === "dense") {
+    resolvedWeightShape = weightShape.length === 2 ? weightShape : [biasShape[0] ?? 0, weightShape[1] ?? 0];
+  } else if (type === "conv2d") {
+    if (weightShape.length !== 4) {
+      throw new Error(`Layer ${layerIndex} (conv2d) benötigt eine vierdimensionale weight_shape.`);
+    }
+    resolvedWeightShape = weightShape;
+  }
+  const resolvedBiasShape = !hasParameters
+    ? []
+    : biasShape.length >= 1
+      ? biasShape
+      : [resolvedWeightShape[0] ?? 0];
+  const rawActivation =
+    typeof layer?.activation === "string" ? layer.activation : hasParameters ? "relu" : "linear";
+  const activation = resolveActivationName(rawActivation);
+  if (!activation) {
+    throw new Error(`Layer ${layerIndex} verwendet die unbekannte Aktivierungsfunktion "${rawActivation}".`);
+  }
   return {
     layerIndex,
-    name: typeof layer?.name === "string" ? layer.name : `dense_${layerIndex}`,
-    activation: typeof layer?.activation === "string" ? layer.activation : "relu",
+    type,
+    name: typeof layer?.name === "string" ? layer.name : `${type}_${layerIndex}`,
+    activation,
     weightShape: resolvedWeightShape,
     biasShape: resolvedBiasShape,
+    inputShape: normaliseShape(layer?.input_shape),
+    kernelSize: layer?.kernel_size ?? null,
+    stride: layer?.stride ?? null,
+    padding: layer?.padding ?? null,
   };
 }
 
-function normaliseWeightsDescriptor(descriptor, baseUrl) {
+const SNAPSHOT_READERS = {
+  layer_array_v1: {
+    fetch: (url) => fetchSnapshotPayload(url, (response) => response.json()),
+    decode: decodeSnapshotLayers,
+  },
+  layer_binary_v1: {
+    fetch: (url) => fetchSnapshotPayload(url, (response) => response.arrayBuffer()),
+    decode: decodeBinarySnapshotLayers,
+  },
+};
+
+function normaliseWeightsDescriptor(descriptor, resolveUrl) {
   if (!descriptor || typeof descriptor !== "object") return null;
   const path = typeof descriptor.path === "string" ? descriptor.path : null;
   if (!path) return null;
-  const url = resolveRelativeUrl(baseUrl, path);
+  const format = typeof descriptor.format === "string" ? descriptor.format : "layer_array_v1";
+  const reader = SNAPSHOT_READERS[format];
+  if (!reader) {
+    console.warn(`Snapshot "${path}" verwendet das unbekannte Format "${format}" und wird übersprungen.`);
+    return null;
+  }
+  const url = resolveUrl(path);
   if (!url) return null;
   return {
     path,
     url,
-    dtype: typeof descriptor.dtype === "string" ? descriptor.dtype : "float16",
-    format: typeof descriptor.format === "string" ? descriptor.format : "layer_array_v1",
+    // layer_array_v1 is always float16; binary files carry their dtype, which is checked against this one.
+    dtype:
+      typeof descriptor.dtype === "string" ? descriptor.dtype : format === "layer_array_v1" ? "float16" : null,
+    format,
+    reader,
   };
 }
 
-async function fetchSnapshotPayload(url) {
+async function fetchSnapshotPayload(url, read) {
   const response = await fetch(url, { cache: "no-store" });
   if (!response.ok) {
     throw new Error(`Snapshot konnte nicht geladen werden (${response.status})`);
   }
-  return response.json();
+  return read(response);
+}
+
+async function loadSnapshotLayers(snapshot, layerMetadata, layerCache = null) {
+  const cached = await layerCache?.get(snapshot.id);
+  if (cached) return cached;
+  const { reader, url, dtype } = snapshot.weights;
+  const layers = reader.decode(await reader.fetch(url), layerMetadata, dtype);
+  layerCache?.put(snapshot.id, layers);
+  return layers;
+}
+
+function snapshotLayerStructure(meta) {
+  return {
+    type: meta.type,
+    inputShape: meta.inputShape,
+    kernelSize: meta.kernelSize,
+    stride: meta.stride,
+    padding: meta.padding,
+  };
 }
 
 function decodeSnapshotLayers(payload, layerMetadata) {
@@ -809,9 +1936,18 @@ function decodeSnapshotLayers(payload, layerMetadata) {
   }
 
   return layerMetadata.map((meta, index) => {
+    const structure = snapshotLayerStructure(meta);
     const layerPayload =
-      payload.layers[index] ??
-      payload.layers.find((layer) => Number(layer?.layer_index) === meta.layerIndex);
+      payload.layers.find((layer) => Number(layer?.layer_index) === meta.layerIndex) ??
+      payload.layers[index];
+    if (meta.type !== "dense" && meta.type !== "conv2d") {
+      return {
+        ...structure,
+        name: typeof layerPayload?.name === "string" ? layerPayload.name : meta.name,
+        activation:
+          typeof layerPayload?.activation === "string" ? layerPayload.activation : meta.activation,
+      };
+    }
     if (!layerPayload) {
       throw new Error(`Snapshot fehlt Layer ${meta.layerIndex}.`);
     }
@@ -823,25 +1959,116 @@ function decodeSnapshotLayers(payload, layerMetadata) {
 
     const weightShape = normaliseShape(weightsInfo.shape, meta.weightShape);
     const biasShape = normaliseShape(biasesInfo.shape, meta.biasShape);
-    if (weightShape.length !== 2) {
+    const expectedRank = meta.type === "conv2d" ? 4 : 2;
+    if (weightShape.length !== expectedRank) {
       throw new Error("Snapshot-Layer hat eine ungültige Gewichtsdimension.");
     }
     if (biasShape.length === 0) {
       throw new Error("Snapshot-Layer hat eine ungültige Bias-Dimension.");
     }
 
-    const weights = decodeWeightMatrix(weightsInfo.data, weightShape);
+    const weights = decodeFloat16Base64(weightsInfo.data, shapeSize(weightShape));
     const biases = decodeFloat16Base64(biasesInfo.data, biasShape[0]);
     return {
+      ...structure,
       name: typeof layerPayload.name === "string" ? layerPayload.name : meta.name,
       activation:
         typeof layerPayload.activation === "string" ? layerPayload.activation : meta.activation,
       weights,
+      weightShape,
       biases,
     };
   });
 }
 
+function decodeBinarySnapshotLayers(buffer, layerMetadata, declaredDtype = null) {
+  // layer_binary_v1, see encode_binary_snapshot in training/mlp_train.py for the layout.
+  if (!buffer || buffer.byteLength < 8) {
+    throw new Error("Binärer Snapshot ist zu kurz.");
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== BINARY_SNAPSHOT_MAGIC) {
+    throw new Error("Datei ist kein binärer Snapshot (layer_binary_v1).");
+  }
+  const version = view.getUint8(4);
+  if (version !== 1) {
+    throw new Error(`Binärer Snapshot hat die nicht unterstützte Version ${version}.`);
+  }
+  const dtype = BINARY_SNAPSHOT_DTYPES[view.getUint8(5)];
+  if (!dtype) {
+    throw new Error(`Binärer Snapshot verwendet den unbekannten Datentyp ${view.getUint8(5)}.`);
+  }
+  if (declaredDtype && declaredDtype !== dtype.name) {
+    throw new Error(
+      `Binärer Snapshot enthält ${dtype.name}-Werte, laut Manifest sollten es ${declaredDtype}-Werte sein.`,
+    );
+  }
+  const layerCount = view.getUint16(6, true);
+
+  const entries = new Map();
+  let offset = 8;
+  for (let index = 0; index < layerCount; index += 1) {
+    const layerIndex = view.getUint16(offset, true);
+    const rank = view.getUint8(offset + 2);
+    offset += 4;
+    if (rank === 0) continue;
+    const weightShape = Array.from({ length: rank }, (_, axis) => view.getUint32(offset + axis * 4, true));
+    offset += rank * 4;
+    entries.set(layerIndex, {
+      weightShape,
+      biasLength: view.getUint32(offset, true),
+      weightScale: view.getFloat32(offset + 4, true),
+      biasScale: view.getFloat32(offset + 8, true),
+    });
+    offset += 12;
+  }
+
+  const readValues = (length, scale) => {
+    offset = Math.ceil(offset / 4) * 4;
+    const byteLength = length * dtype.bytes;
+    if (offset + byteLength > buffer.byteLength) {
+      throw new Error("Binärer Snapshot endet vor dem Ende der Gewichtsdaten.");
+    }
+    const values = new Float32Array(length);
+    for (let i = 0; i < length; i += 1) {
+      const position = offset + i * dtype.bytes;
+      if (dtype.name === "float32") {
+        values[i] = view.getFloat32(position, true);
+      } else if (dtype.name === "float16") {
+        values[i] = float16ToFloat32(view.getUint16(position, true));
+      } else {
+        values[i] = view.getInt8(position) * scale;
+      }
+    }
+    offset += byteLength;
+    return values;
+  };
+  // Arrays are stored in header order, so they are read before matching them to the metadata.
+  entries.forEach((entry) => {
+    entry.weights = readValues(shapeSize(entry.weightShape), entry.weightScale);
+    entry.biases = readValues(entry.biasLength, entry.biasScale);
+  });
+
+  return layerMetadata.map((meta) => {
+    const structure = { ...snapshotLayerStructure(meta), name: meta.name, activation: meta.activation };
+    if (meta.type !== "dense" && meta.type !== "conv2d") {
+      return structure;
+    }
+    const entry = entries.get(meta.layerIndex);
+    if (!entry) {
+      throw new Error(`Snapshot fehlt Layer ${meta.layerIndex}.`);
+    }
+    if (entry.weightShape.length !== (meta.type === "conv2d" ? 4 : 2)) {
+      throw new Error("Snapshot-Layer hat eine ungültige Gewichtsdimension.");
+    }
+    if (entry.biasLength !== entry.weightShape[0]) {
+      throw new Error("Snapshot-Layer hat eine ungültige Bias-Dimension.");
+    }
+    return { ...structure, weights: entry.weights, weightShape: entry.weightShape, biases: entry.biases };
+  });
+}
+
 function hydrateTimeline(rawTimeline, options = {}) {
   if (!Array.isArray(rawTimeline)) return [];
 
@@ -851,14 +2078,17 @@ function hydrateTimeline(rawTimeline, options = {}) {
     normaliseLayerMetadata(layer, index),
   );
 
-  const baseUrl = options.baseUrl ?? window.location.href;
+  const resolveUrl =
+    options.resolveUrl ?? ((path) => resolveRelativeUrl(options.baseUrl ?? window.location.href, path));
 
   return rawTimeline
     .map((entry, index) => {
       if (!entry || typeof entry !== "object") return null;
 
-      const weights = normaliseWeightsDescriptor(entry.weights, baseUrl);
-      if (!weights?.url) return null;
+      // Imported models bring their decoded layers along instead of a snapshot file.
+      const inlineLayers = Array.isArray(entry.layers) && entry.layers.length ? entry.layers : null;
+      const weights = inlineLayers ? null : normaliseWeightsDescriptor(entry.weights, resolveUrl);
+      if (!inlineLayers && !weights?.url) return null;
 
       const metrics = typeof entry.metrics === "object" && entry.metrics !== null ? entry.metrics : {};
       const snapshot = {
@@ -877,14 +2107,22 @@ function hydrateTimeline(rawTimeline, options = {}) {
           avgTrainingLoss: Number.isFinite(metrics.avg_training_loss) ? metrics.avg_training_loss : null,
         },
         weights,
-        layers: null,
+        layers: inlineLayers,
+        pendingLayers: null,
         async loadLayers() {
           if (Array.isArray(this.layers) && this.layers.length) {
             return this.layers;
           }
-          const payload = await fetchSnapshotPayload(this.weights.url);
-          this.layers = decodeSnapshotLayers(payload, layerMetadata);
-          return this.layers;
+          // Shared between playback prefetching and regular loads so a file is never fetched twice.
+          this.pendingLayers ??= loadSnapshotLayers(this, layerMetadata, options.layerCache)
+            .then((layers) => {
+              this.layers = layers;
+              return this.layers;
+            })
+            .finally(() => {
+              this.pendingLayers = null;
+            });
+          return this.pendingLayers;
         },
       };
       return snapshot;
@@ -892,6 +2130,233 @@ function hydrateTimeline(rawTimeline, options = {}) {
     .filter(Boolean);
 }
 
+function createLiveSnapshot({ id, label, description = "", layers, imagesSeen = null, batchesSeen = null, metrics = {} }) {
+  return {
+    id,
+    order: null,
+    label,
+    description,
+    kind: "live",
+    imagesSeen,
+    targetImages: null,
+    batchesSeen,
+    datasetPasses: null,
+    datasetMultiple: null,
+    metrics: {
+      testAccuracy: Number.isFinite(metrics.testAccuracy) ? metrics.testAccuracy : null,
+      avgTrainingLoss: Number.isFinite(metrics.avgTrainingLoss) ? metrics.avgTrainingLoss : null,
+    },
+    weights: null,
+    layers: layers.map((layer) => ({ ...layer })),
+    async loadLayers() {
+      return this.layers;
+    },
+  };
+}
+
+function slugifyIdentifier(value) {
+  const slug = String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "snapshot";
+}
+
+function encodeBinarySnapshotLayers(layers, dtypeName = "float32") {
+  // Inverse of decodeBinarySnapshotLayers and byte-compatible with encode_binary_snapshot in
+  // training/mlp_train.py; layer indices are array positions, as in the exported network payload.
+  const dtypeCode = Number(
+    Object.keys(BINARY_SNAPSHOT_DTYPES).find((code) => BINARY_SNAPSHOT_DTYPES[code].name === dtypeName),
+  );
+  if (!dtypeCode) {
+    throw new Error(`Unbekannter Datentyp "${dtypeName}" für binäre Snapshots.`);
+  }
+  const bytesPerValue = BINARY_SNAPSHOT_DTYPES[dtypeCode].bytes;
+  const padToWord = (length) => Math.ceil(length / 4) * 4;
+  const hasParameters = (layer) => Boolean(layer.weights && layer.biases && layer.weightShape?.length);
+  const scaleFor = (values) => {
+    if (dtypeName !== "int8") return 1;
+    const peak = values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    return peak > 0 ? peak / 127 : 1;
+  };
+
+  let headerLength = 8;
+  let dataLength = 0;
+  layers.forEach((layer) => {
+    headerLength += 4;
+    if (!hasParameters(layer)) return;
+    headerLength += layer.weightShape.length * 4 + 12;
+    dataLength += padToWord(layer.weights.length * bytesPerValue) + padToWord(layer.biases.length * bytesPerValue);
+  });
+  const buffer = new ArrayBuffer(padToWord(headerLength) + dataLength);
+  const view = new DataView(buffer);
+  for (let i = 0; i < BINARY_SNAPSHOT_MAGIC.length; i += 1) {
+    view.setUint8(i, BINARY_SNAPSHOT_MAGIC.charCodeAt(i));
+  }
+  view.setUint8(4, 1);
+  view.setUint8(5, dtypeCode);
+  view.setUint16(6, layers.length, true);
+
+  let offset = 8;
+  let dataOffset = padToWord(headerLength);
+  const writeValues = (values, scale) => {
+    for (let i = 0; i < values.length; i += 1) {
+      const position = dataOffset + i * bytesPerValue;
+      if (dtypeName === "float32") {
+        view.setFloat32(position, values[i], true);
+      } else if (dtypeName === "float16") {
+        view.setUint16(position, float32ToFloat16(values[i]), true);
+      } else {
+        view.setInt8(position, clamp(Math.round(values[i] / scale), -127, 127));
+      }
+    }
+    dataOffset = padToWord(dataOffset + values.length * bytesPerValue);
+  };
+  layers.forEach((layer, layerIndex) => {
+    view.setUint16(offset, layerIndex, true);
+    if (!hasParameters(layer)) {
+      offset += 4;
+      return;
+    }
+    view.setUint8(offset + 2, layer.weightShape.length);
+    offset += 4;
+    layer.weightShape.forEach((dim) => {
+      view.setUint32(offset, dim, true);
+      offset += 4;
+    });
+    const weightScale = scaleFor(layer.weights);
+    const biasScale = scaleFor(layer.biases);
+    view.setUint32(offset, layer.biases.length, true);
+    view.setFloat32(offset + 4, weightScale, true);
+    view.setFloat32(offset + 8, biasScale, true);
+    offset += 12;
+    writeValues(layer.weights, weightScale);
+    writeValues(layer.biases, biasScale);
+  });
+  return new Uint8Array(buffer);
+}
+
+function encodeSnapshotPayload(layers) {
+  // Inverse of decodeSnapshotLayers, in the layout write_snapshot_file in training/mlp_train.py uses.
+  const payloadLayers = layers.map((layer, layerIndex) => {
+    const entry = { layer_index: layerIndex, name: layer.name, activation: layer.activation };
+    if (layer.weights && layer.biases && layer.weightShape?.length) {
+      entry.weights = { shape: layer.weightShape.slice(), data: encodeFloat16Base64(layer.weights) };
+      entry.biases = { shape: [layer.biases.length], data: encodeFloat16Base64(layer.biases) };
+    } else {
+      entry.type = layer.type;
+    }
+    return entry;
+  });
+  return new TextEncoder().encode(JSON.stringify({ version: 1, dtype: "float16", layers: payloadLayers }));
+}
+
+function buildNetworkPayload(model) {
+  // Mirrors build_network_payload in training/mlp_train.py so normaliseLayerMetadata reads it back.
+  const layers = model.layers.map((layer, index) => {
+    const entry = {
+      layer_index: index,
+      type: layer.type,
+      name: layer.name,
+      activation: layer.activation,
+      input_shape: layer.inputShape.slice(),
+      output_shape: layer.outputShape.slice(),
+    };
+    if (layer.weightShape) {
+      entry.weight_shape = layer.weightShape.slice();
+      entry.bias_shape = [layer.biases.length];
+    }
+    if (layer.kernelSize) {
+      entry.kernel_size = layer.kernelSize.slice();
+      entry.stride = layer.stride.slice();
+      entry.padding = layer.padding.slice();
+    }
+    return entry;
+  });
+  const payload = {
+    architecture: model.architecture.slice(),
+    layers,
+    input_dim: model.architecture[0],
+    output_dim: model.architecture[model.architecture.length - 1],
+    normalization: { mean: model.normalization.mean, std: model.normalization.std },
+  };
+  if (model.inputShape.length > 1) {
+    payload.input_shape = model.inputShape.slice();
+  }
+  return payload;
+}
+
+function serialiseTimelineEntry(snapshot, order, weightsPath, dtype, format) {
+  const entry = {
+    id: snapshot.id,
+    order,
+    label: snapshot.label,
+    kind: snapshot.kind,
+    description: snapshot.description ?? "",
+  };
+  const counters = {
+    images_seen: snapshot.imagesSeen,
+    target_images: snapshot.targetImages,
+    batches_seen: snapshot.batchesSeen,
+    dataset_passes: snapshot.datasetPasses,
+    dataset_multiple: snapshot.datasetMultiple,
+  };
+  Object.entries(counters).forEach(([key, value]) => {
+    if (Number.isFinite(value)) entry[key] = value;
+  });
+  entry.metrics = {};
+  if (Number.isFinite(snapshot.metrics?.testAccuracy)) entry.metrics.test_accuracy = snapshot.metrics.testAccuracy;
+  if (Number.isFinite(snapshot.metrics?.avgTrainingLoss)) {
+    entry.metrics.avg_training_loss = snapshot.metrics.avgTrainingLoss;
+  }
+  entry.weights = { path: weightsPath, dtype, format };
+  return entry;
+}
+
+async function buildModelBundle({ model, snapshots, name, format = "json", dtype = "float16", onProgress }) {
+  // Same layout as an export from training/mlp_train.py: <name>.json next to a <name>/ folder with one
+  // snapshot file per timeline entry, so the zip can be dropped back in or unpacked onto a server.
+  const weightsFormat = SNAPSHOT_EXPORT_FORMATS[format];
+  if (!weightsFormat) {
+    throw new Error(`Unbekanntes Snapshot-Format "${format}".`);
+  }
+  const binary = format === "binary";
+  if (!binary && dtype !== "float16") {
+    throw new Error("JSON-Snapshots unterstützen nur float16; für andere Datentypen das binäre Format wählen.");
+  }
+  const files = [];
+  const timeline = [];
+  for (const [order, snapshot] of snapshots.entries()) {
+    const layers = await snapshot.loadLayers();
+    const path = `${name}/${String(order).padStart(3, "0")}_${slugifyIdentifier(snapshot.id)}.${binary ? "bin" : "json"}`;
+    files.push({ path, data: binary ? encodeBinarySnapshotLayers(layers, dtype) : encodeSnapshotPayload(layers) });
+    timeline.push(serialiseTimelineEntry(snapshot, order, path, dtype, weightsFormat));
+    onProgress?.((order + 1) / snapshots.length);
+    await yieldToEventLoop();
+  }
+  const manifest = {
+    version: 2,
+    dtype,
+    weights: { storage: "per_snapshot_files", format: weightsFormat, precision: dtype },
+    network: buildNetworkPayload(model),
+    timeline,
+  };
+  files.unshift({ path: `${name}.json`, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+  return createZipArchive(files);
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function formatInteger(value) {
   if (!Number.isFinite(value)) return "";
   return Math.round(value).toLocaleString();
@@ -937,6 +2402,9 @@ function setupTimelineSlider(timelineSnapshots, options = {}) {
   const summary = document.getElementById("timelineSummary");
   const label = document.getElementById("timelineLabel");
   const metricsElement = document.getElementById("timelineMetrics");
+  const playButton = document.getElementById("timelinePlayButton");
+  const loopToggle = document.getElementById("timelineLoopToggle");
+  const speedSelect = document.getElementById("timelineSpeedSelect");
 
   if (
     !overlay ||
@@ -955,6 +2423,7 @@ function setupTimelineSlider(timelineSnapshots, options = {}) {
     if (summary) summary.textContent = "";
     if (label) label.textContent = "";
     if (metricsElement) metricsElement.textContent = "";
+    if (playButton) playButton.disabled = true;
     return null;
   }
 
@@ -1015,24 +2484,183 @@ function setupTimelineSlider(timelineSnapshots, options = {}) {
     return snapshot;
   };
 
-  slider.addEventListener("input", (event) => {
+  // Playback walks a fractional position through the timeline and hands blended layers to onInterpolate;
+  // stopping always settles on the nearest real snapshot so everything derived from it stays consistent.
+  const playback = { playing: false, position: 0, lastTime: null, frame: null, generation: 0 };
+
+  const updatePlaybackControls = () => {
+    overlay.classList.toggle("timeline-overlay--playing", playback.playing);
+    if (!playButton) return;
+    playButton.disabled = timelineSnapshots.length <= 1;
+    playButton.textContent = playback.playing ? "❚❚" : "▶";
+    playButton.setAttribute("aria-label", playback.playing ? "Wiedergabe anhalten" : "Timeline abspielen");
+  };
+
+  const prefetch = (index) => {
+    for (let offset = 0; offset <= TIMELINE_PREFETCH_AHEAD; offset += 1) {
+      timelineSnapshots[index + offset]?.loadLayers().catch((error) => {
+        console.warn("Snapshot konnte nicht vorab geladen werden:", error);
+      });
+    }
+  };
+
+  const showInterpolatedPosition = (index, t) => {
+    const from = timelineSnapshots[index];
+    const to = timelineSnapshots[index + 1];
+    state.activeIndex = Math.round(index + t);
+    slider.value = String(state.activeIndex);
+    summary.textContent = `${from.label} → ${to.label}`;
+    label.textContent = `${formatSnapshotDescription(t < 0.5 ? from : to)} • ${Math.round(t * 100)}%`;
+  };
+
+  const stopPlayback = () => {
+    // Frames still waiting for snapshot downloads check the generation and are dropped.
+    playback.generation += 1;
+    playback.playing = false;
+    if (playback.frame !== null) {
+      cancelAnimationFrame(playback.frame);
+      playback.frame = null;
+    }
+    updatePlaybackControls();
+  };
+
+  const pause = async ({ settle = true } = {}) => {
+    if (!playback.playing) return;
+    stopPlayback();
+    if (settle) {
+      await setActiveIndex(Math.round(playback.position), { emit: true, force: true });
+    }
+  };
+
+  const playFrame = async (time) => {
+    playback.frame = null;
+    if (!playback.playing) return;
+    const { generation } = playback;
+    const isCurrent = () => playback.playing && playback.generation === generation;
+    // Capped so a slow frame (or a stalled download) does not make the animation jump ahead.
+    const elapsed = playback.lastTime === null ? 0 : Math.min(time - playback.lastTime, TIMELINE_MAX_FRAME_STEP_MS);
+    playback.lastTime = time;
+    const speed = clamp(Number(speedSelect?.value) || 1, 0.1, 16);
+    const lastIndex = timelineSnapshots.length - 1;
+    playback.position += (elapsed * speed) / TIMELINE_SEGMENT_DURATION_MS;
+    if (playback.position >= lastIndex) {
+      if (!loopToggle?.checked) {
+        playback.position = lastIndex;
+        await pause();
+        return;
+      }
+      playback.position = 0;
+    }
+    const index = Math.min(Math.floor(playback.position), lastIndex - 1);
+    const t = playback.position - index;
+    prefetch(index);
+    try {
+      const [fromLayers, toLayers] = await Promise.all([
+        timelineSnapshots[index].loadLayers(),
+        timelineSnapshots[index + 1].loadLayers(),
+      ]);
+      if (!isCurrent()) return;
+      showInterpolatedPosition(index, t);
+      await options.onInterpolate?.(interpolateLayers(fromLayers, toLayers, t), { index, t, isCurrent });
+    } catch (error) {
+      if (!isCurrent()) return;
+      console.error("Fehler bei der Timeline-Wiedergabe:", error);
+      await pause();
+      return;
+    }
+    if (isCurrent()) {
+      playback.frame = requestAnimationFrame(playFrame);
+    }
+  };
+
+  const play = () => {
+    if (playback.playing || state.loading || timelineSnapshots.length <= 1) return;
+    const lastIndex = timelineSnapshots.length - 1;
+    playback.position = state.activeIndex ?? 0;
+    if (playback.position >= lastIndex) {
+      playback.position = 0;
+    }
+    playback.generation += 1;
+    playback.playing = true;
+    playback.lastTime = null;
+    updatePlaybackControls();
+    options.onPlaybackStart?.();
+    prefetch(Math.floor(playback.position));
+    playback.frame = requestAnimationFrame(playFrame);
+  };
+
+  const handlePlayClick = () => {
+    if (playback.playing) {
+      pause().catch((error) => console.error("Fehler beim Anhalten der Wiedergabe:", error));
+    } else {
+      play();
+    }
+  };
+  playButton?.addEventListener("click", handlePlayClick);
+  updatePlaybackControls();
+
+  const handleSliderInput = (event) => {
     const nextIndex = Number(event.target.value);
     if (Number.isNaN(nextIndex)) return;
-    setActiveIndex(nextIndex, { emit: true }).catch((error) => {
+    // Grabbing the slider stops playback; the model still holds blended weights, hence the forced reload.
+    const wasPlaying = playback.playing;
+    pause({ settle: false });
+    setActiveIndex(nextIndex, { emit: true, force: wasPlaying }).catch((error) => {
       console.error("Fehler beim Aktualisieren des Snapshots:", error);
     });
-  });
+  };
+  slider.addEventListener("input", handleSliderInput);
 
-  slider.addEventListener("change", (event) => {
+  const handleSliderChange = (event) => {
     const nextIndex = Number(event.target.value);
     if (Number.isNaN(nextIndex)) return;
     setActiveIndex(nextIndex, { emit: true }).catch((error) => {
       console.error("Fehler beim Aktualisieren des Snapshots:", error);
     });
-  });
+  };
+  slider.addEventListener("change", handleSliderChange);
+
+  const appendSnapshot = (snapshot, { activate = false } = {}) => {
+    if (!snapshot) return null;
+    snapshot.order = timelineSnapshots.length;
+    timelineSnapshots.push(snapshot);
+    slider.max = String(Math.max(timelineSnapshots.length - 1, 0));
+    if (!state.loading) {
+      slider.disabled = timelineSnapshots.length <= 1;
+    }
+    updatePlaybackControls();
+    if (activate) {
+      // The model already holds these weights, so the label is updated without reloading them.
+      return setActiveIndex(timelineSnapshots.length - 1, { emit: false });
+    }
+    return Promise.resolve(snapshot);
+  };
+
+  const dispose = () => {
+    // The slider and buttons are shared DOM, so a replacement timeline must not find these handlers on them.
+    pause({ settle: false });
+    playButton?.removeEventListener("click", handlePlayClick);
+    slider.removeEventListener("input", handleSliderInput);
+    slider.removeEventListener("change", handleSliderChange);
+  };
+
+  const selectIndex = (index, settings = {}) => {
+    // A snapshot picked from outside (compare panel, model switch) ends playback; the model still holds
+    // blended weights then, so the snapshot is reloaded even if its index did not change.
+    const wasPlaying = playback.playing && Boolean(settings.emit);
+    if (wasPlaying) stopPlayback();
+    return setActiveIndex(index, { ...settings, force: Boolean(settings.force) || wasPlaying });
+  };
 
   return {
-    setActiveIndex,
+    setActiveIndex: selectIndex,
+    appendSnapshot,
+    play,
+    pause,
+    dispose,
+    get playing() {
+      return playback.playing;
+    },
     get activeIndex() {
       return state.activeIndex;
     },
@@ -1042,39 +2670,364 @@ function setupTimelineSlider(timelineSnapshots, options = {}) {
   };
 }
 
-class DigitSketchPad {
-  constructor(container, rows, cols, options = {}) {
-    if (!container) {
-      throw new Error("Raster-Container nicht gefunden.");
+function packLayersForTransfer(layers) {
+  // Copies every layer into fresh buffers so they can be transferred without detaching the main-thread model.
+  const transfer = [];
+  const packed = layers.map((layer) => {
+    const result = { ...layer, inputShape: layer.inputShape?.slice(), outputShape: layer.outputShape?.slice() };
+    if (layer.weights) {
+      result.weights = Float32Array.from(layer.weights);
+      transfer.push(result.weights.buffer);
     }
-    this.container = container;
-    this.rows = rows;
-    this.cols = cols;
-    this.values = new Float32Array(rows * cols);
-    this.cells = [];
-    this.isDrawing = false;
-    this.activeMode = "draw";
-    this.onChange = null;
-    this.pendingChange = false;
-    this.interactionRow = null;
-    const defaultBrush = {
-      drawRadius: 1.2,
-      eraseRadius: 1.2,
-      drawStrength: 0.85,
-      eraseStrength: 0.8,
-      softness: 0.5,
-    };
-    this.brush = Object.assign(defaultBrush, options.brush || {});
-    this.buildGrid();
-  }
-
-  buildGrid() {
-    this.gridElement = document.createElement("div");
-    this.gridElement.className = "grid";
-    this.gridElement.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
-    this.gridElement.style.gridTemplateRows = `repeat(${this.rows}, 1fr)`;
+    if (layer.biases) {
+      result.biases = Float32Array.from(layer.biases);
+      transfer.push(result.biases.buffer);
+    }
+    return result;
+  });
+  return { layers: packed, transfer };
+}
 
-    for (let i = 0; i < this.values.length; i += 1) {
+function interpolateLayers(fromLayers, toLayers, t) {
+  // Linear blend of weights and biases; layers without matching parameters switch over at the midpoint.
+  const blend = (from, to) => {
+    if (!from || !to || from.length !== to.length) return null;
+    const result = new Float32Array(to.length);
+    for (let i = 0; i < to.length; i += 1) {
+      result[i] = from[i] + (to[i] - from[i]) * t;
+    }
+    return result;
+  };
+  return toLayers.map((layer, index) => {
+    const from = fromLayers[index];
+    const weights = blend(from?.weights, layer.weights);
+    if (!weights) {
+      return t < 0.5 && from ? from : layer;
+    }
+    return { ...layer, weights, biases: blend(from.biases, layer.biases) ?? layer.biases };
+  });
+}
+
+function computeWeightDelta(layers, referenceLayers) {
+  // Signed parameter change per layer (current − reference) plus the norms behind the relative-change figures.
+  return layers.map((layer, index) => {
+    const reference = referenceLayers?.[index];
+    if (!layer?.weights || !reference?.weights || layer.weights.length !== reference.weights.length) {
+      return null;
+    }
+    const changeNorm = (current, previous, delta) => {
+      let changeSquares = 0;
+      let referenceSquares = 0;
+      for (let i = 0; i < current.length; i += 1) {
+        delta[i] = current[i] - previous[i];
+        changeSquares += delta[i] * delta[i];
+        referenceSquares += previous[i] * previous[i];
+      }
+      return referenceSquares > 0 ? Math.sqrt(changeSquares / referenceSquares) : null;
+    };
+    const weights = new Float32Array(layer.weights.length);
+    const relativeWeightChange = changeNorm(layer.weights, reference.weights, weights);
+    let biases = null;
+    let relativeBiasChange = null;
+    if (layer.biases && reference.biases?.length === layer.biases.length) {
+      biases = new Float32Array(layer.biases.length);
+      relativeBiasChange = changeNorm(layer.biases, reference.biases, biases);
+    }
+    return {
+      weights,
+      biases,
+      weightScale: maxAbsValue(weights),
+      biasScale: biases ? maxAbsValue(biases) : 0,
+      relativeWeightChange,
+      relativeBiasChange,
+    };
+  });
+}
+
+class InferenceClient {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.version = 0;
+    this.nextRequestId = 1;
+    this.activeRequest = null;
+    this.pendingRequest = null;
+    this.worker = this.createWorker(options.workerUrl);
+    this.syncModel();
+  }
+
+  createWorker(workerUrl) {
+    if (!workerUrl || typeof Worker === "undefined") return null;
+    try {
+      const worker = new Worker(workerUrl, { type: "module" });
+      worker.addEventListener("message", (event) => this.handleMessage(event.data));
+      worker.addEventListener("error", (event) => {
+        event.preventDefault?.();
+        this.disableWorker(event.message || event);
+      });
+      return worker;
+    } catch (error) {
+      console.warn("Inferenz-Worker nicht verfügbar, Berechnung läuft im Hauptthread:", error);
+      return null;
+    }
+  }
+
+  syncModel() {
+    this.version += 1;
+    if (!this.worker) return;
+    const { layers, transfer } = packLayersForTransfer(this.model.layers);
+    this.worker.postMessage(
+      {
+        type: "load",
+        version: this.version,
+        definition: {
+          normalization: this.model.normalization,
+          architecture: this.model.architecture,
+          inputShape: this.model.inputShape,
+          layers,
+          ablation: this.model.ablationMasks,
+        },
+      },
+      transfer,
+    );
+  }
+
+  evaluate(pixels, options = {}) {
+    if (!this.worker) {
+      return Promise.resolve(runInference(this.model, pixels, options));
+    }
+    return new Promise((resolve) => {
+      // Only the latest drawing state matters; a request that never started is superseded.
+      this.pendingRequest?.resolve(null);
+      this.pendingRequest = { pixels: Float32Array.from(pixels), options, resolve };
+      this.dispatchPending();
+    });
+  }
+
+  dispatchPending() {
+    if (!this.worker || this.activeRequest || !this.pendingRequest) return;
+    const request = this.pendingRequest;
+    this.pendingRequest = null;
+    request.id = this.nextRequestId;
+    this.nextRequestId += 1;
+    this.activeRequest = request;
+    const pixels = request.pixels.slice();
+    this.worker.postMessage({ type: "infer", id: request.id, pixels, options: request.options }, [pixels.buffer]);
+  }
+
+  handleMessage(message) {
+    if (!message || typeof message !== "object") return;
+    if (message.type === "error" && message.id === undefined) {
+      this.disableWorker(message.message);
+      return;
+    }
+    const request = this.activeRequest;
+    if (!request || message.id !== request.id) return;
+    this.activeRequest = null;
+
+    if (message.type === "error") {
+      console.error("Inferenz-Worker meldet einen Fehler:", message.message);
+      request.resolve(runInference(this.model, request.pixels, request.options));
+    } else if (message.version !== this.version) {
+      // The weights changed while this request was running; evaluate it again unless a newer one is queued.
+      if (this.pendingRequest) {
+        request.resolve(null);
+      } else {
+        this.pendingRequest = request;
+      }
+    } else {
+      request.resolve(message.result);
+    }
+    this.dispatchPending();
+  }
+
+  disableWorker(reason) {
+    console.warn("Inferenz-Worker deaktiviert, Berechnung läuft im Hauptthread:", reason);
+    this.worker?.terminate();
+    this.worker = null;
+    [this.activeRequest, this.pendingRequest].forEach((request) => {
+      request?.resolve(runInference(this.model, request.pixels, request.options));
+    });
+    this.activeRequest = null;
+    this.pendingRequest = null;
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.activeRequest?.resolve(null);
+    this.pendingRequest?.resolve(null);
+    this.activeRequest = null;
+    this.pendingRequest = null;
+  }
+}
+
+class ParameterEditor {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.onChange = typeof options.onChange === "function" ? options.onChange : null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openEntry = null;
+    // Snapshot value of every parameter touched since the last reset, keyed "layer:key:index".
+    this.originals = new Map();
+  }
+
+  static keyOf({ layerIndex, key, index }) {
+    return `${layerIndex}:${key}:${index}`;
+  }
+
+  getValue({ layerIndex, key, index }) {
+    return this.model.layers[layerIndex]?.[key]?.[index] ?? null;
+  }
+
+  setValue(target, value, { transient = false } = {}) {
+    if (!Number.isFinite(value)) return false;
+    const current = this.getValue(target);
+    if (current === null) return false;
+    const stored = Math.fround(value);
+    const entryKey = ParameterEditor.keyOf(target);
+    if (!this.originals.has(entryKey)) {
+      this.originals.set(entryKey, current);
+    }
+    // Drag-scrubbing produces many intermediate values that collapse into a single undo step.
+    if (this.openEntry?.changes.length === 1 && ParameterEditor.keyOf(this.openEntry.changes[0]) === entryKey) {
+      this.openEntry.changes[0].next = stored;
+    } else {
+      const entry = { label: "Parameter", changes: [{ ...target, previous: current, next: stored }] };
+      this.undoStack.push(entry);
+      this.openEntry = entry;
+    }
+    if (!transient) {
+      this.openEntry = null;
+    }
+    this.redoStack = [];
+    this.model.setParameter(target.layerIndex, target.key, target.index, stored);
+    this.emitChange();
+    return true;
+  }
+
+  endGesture() {
+    this.openEntry = null;
+  }
+
+  revertLayer(layerIndex) {
+    const changes = [];
+    this.originals.forEach((original, entryKey) => {
+      const [layer, key, index] = entryKey.split(":");
+      if (Number(layer) !== layerIndex) return;
+      const target = { layerIndex, key, index: Number(index) };
+      const current = this.getValue(target);
+      if (current !== original) {
+        changes.push({ ...target, previous: current, next: original });
+      }
+    });
+    if (!changes.length) return false;
+    this.openEntry = null;
+    this.undoStack.push({ label: "Schicht zurücksetzen", changes });
+    this.redoStack = [];
+    this.applyChanges(changes, "next");
+    return true;
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+    this.openEntry = null;
+    this.redoStack.push(entry);
+    this.applyChanges(entry.changes, "previous");
+    return true;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+    this.openEntry = null;
+    this.undoStack.push(entry);
+    this.applyChanges(entry.changes, "next");
+    return true;
+  }
+
+  applyChanges(changes, field) {
+    changes.forEach((change) => {
+      this.model.setParameter(change.layerIndex, change.key, change.index, change[field]);
+    });
+    this.emitChange();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  isEdited(target) {
+    const entryKey = ParameterEditor.keyOf(target);
+    return this.originals.has(entryKey) && this.originals.get(entryKey) !== this.getValue(target);
+  }
+
+  getEditedParameters(layerIndex = null) {
+    const edited = [];
+    this.originals.forEach((original, entryKey) => {
+      const [layer, key, index] = entryKey.split(":");
+      if (layerIndex !== null && Number(layer) !== layerIndex) return;
+      const target = { layerIndex: Number(layer), key, index: Number(index) };
+      if (this.getValue(target) !== original) {
+        edited.push(target);
+      }
+    });
+    return edited;
+  }
+
+  reset() {
+    // New weights arrived from outside (timeline, training), so the history no longer applies.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openEntry = null;
+    this.originals.clear();
+  }
+
+  emitChange() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
+
+class DigitSketchPad {
+  constructor(container, rows, cols, options = {}) {
+    if (!container) {
+      throw new Error("Raster-Container nicht gefunden.");
+    }
+    this.container = container;
+    this.rows = rows;
+    this.cols = cols;
+    this.values = new Float32Array(rows * cols);
+    this.cells = [];
+    this.isDrawing = false;
+    this.activeMode = "draw";
+    this.onChange = null;
+    this.pendingChange = false;
+    this.interactionRow = null;
+    const defaultBrush = {
+      drawRadius: 1.2,
+      eraseRadius: 1.2,
+      drawStrength: 0.85,
+      eraseStrength: 0.8,
+      softness: 0.5,
+    };
+    this.brush = Object.assign(defaultBrush, options.brush || {});
+    this.buildGrid();
+  }
+
+  buildGrid() {
+    this.gridElement = document.createElement("div");
+    this.gridElement.className = "grid";
+    this.gridElement.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
+    this.gridElement.style.gridTemplateRows = `repeat(${this.rows}, 1fr)`;
+
+    for (let i = 0; i < this.values.length; i += 1) {
       const cell = document.createElement("div");
       cell.className = "grid-cell";
       cell.dataset.index = String(i);
@@ -1259,118 +3212,27 @@ class DigitSketchPad {
     }
   }
 
-  getInteractionRow() {
-    return this.interactionRow;
-  }
-
-  getGridElement() {
-    return this.gridElement;
-  }
-}
-
-class FeedForwardModel {
-  constructor(definition) {
-    if (!definition.layers?.length) {
-      throw new Error("Die Netzwerkdefinition muss Schichten enthalten.");
-    }
-    this.normalization = definition.normalization ?? { mean: 0, std: 1 };
-    this.architecture = Array.isArray(definition.architecture)
-      ? definition.architecture.slice()
-      : this.computeArchitecture(definition.layers);
-    this.layers = definition.layers.map((layer, index) => this.normaliseLayer(layer, index));
-  }
-
-  computeArchitecture(layers) {
-    if (!layers.length) return [];
-    const architecture = [];
-    const firstLayer = layers[0];
-    architecture.push(firstLayer.weights[0]?.length ?? 0);
-    for (const layer of layers) {
-      architecture.push(layer.biases.length);
-    }
-    return architecture;
-  }
-
-  normaliseLayer(layer, index) {
-    if (!layer || !Array.isArray(layer.weights) || layer.weights.length === 0) {
-      throw new Error(`Layer ${index} is missing valid weight matrices.`);
-    }
-    const weights = layer.weights.map((row) => {
-      if (row instanceof Float32Array) {
-        return new Float32Array(row);
-      }
-      if (Array.isArray(row)) {
-        return Float32Array.from(row);
+  setSaliencyOverlay(values) {
+    const overlay = values && values.length === this.values.length ? values : null;
+    this.gridElement.classList.toggle("grid--saliency", Boolean(overlay));
+    const scale = overlay ? maxAbsValue(overlay) || 1 : 1;
+    for (let i = 0; i < this.cells.length; i += 1) {
+      const cell = this.cells[i];
+      if (!overlay) {
+        cell.style.removeProperty("--saliency-color");
+        continue;
       }
-      throw new Error(`Layer ${index} contains an invalid weight row.`);
-    });
-    let biases;
-    if (layer.biases instanceof Float32Array) {
-      biases = new Float32Array(layer.biases);
-    } else if (Array.isArray(layer.biases)) {
-      biases = Float32Array.from(layer.biases);
-    } else {
-      biases = new Float32Array(weights.length > 0 ? weights[0].length : 0);
+      const normalized = overlay[i] / scale;
+      cell.style.setProperty("--saliency-color", divergingColor(normalized, Math.min(0.85, Math.abs(normalized))));
     }
-    return {
-      name: typeof layer.name === "string" ? layer.name : `dense_${index}`,
-      activation: typeof layer.activation === "string" ? layer.activation : "relu",
-      weights,
-      biases,
-    };
   }
 
-  updateLayers(layerDefinitions) {
-    if (!Array.isArray(layerDefinitions) || layerDefinitions.length === 0) {
-      throw new Error("Neue Layerdefinitionen müssen mindestens eine Schicht enthalten.");
-    }
-    this.layers = layerDefinitions.map((layer, index) => this.normaliseLayer(layer, index));
-    this.architecture = this.computeArchitecture(this.layers);
+  getInteractionRow() {
+    return this.interactionRow;
   }
 
-  propagate(pixels) {
-    const { mean, std } = this.normalization;
-    const input = new Float32Array(pixels.length);
-    for (let i = 0; i < pixels.length; i += 1) {
-      input[i] = (pixels[i] - mean) / std;
-    }
-
-    const activations = [input];
-    const preActivations = [];
-    let current = input;
-
-    for (const layer of this.layers) {
-      const outSize = layer.biases.length;
-      const linear = new Float32Array(outSize);
-
-      for (let neuron = 0; neuron < outSize; neuron += 1) {
-        let sum = layer.biases[neuron];
-        const weights = layer.weights[neuron];
-        for (let source = 0; source < weights.length; source += 1) {
-          sum += weights[source] * current[source];
-        }
-        linear[neuron] = sum;
-      }
-
-      preActivations.push(linear);
-      let activated;
-      if (layer.activation === "relu") {
-        activated = new Float32Array(outSize);
-        for (let i = 0; i < outSize; i += 1) {
-          activated[i] = linear[i] > 0 ? linear[i] : 0;
-        }
-      } else {
-        activated = linear.slice();
-      }
-      activations.push(activated);
-      current = activated;
-    }
-
-    return {
-      normalizedInput: activations[0],
-      activations,
-      preActivations,
-    };
+  getGridElement() {
+    return this.gridElement;
   }
 }
 
@@ -1378,6 +3240,11 @@ class ProbabilityPanel {
   constructor(container) {
     this.container = container;
     this.rows = [];
+    this.onClassSelect = null;
+    this.selectable = false;
+    this.probabilities = [];
+    this.comparison = null;
+    this.columns = null;
     if (!this.container) {
       throw new Error("Vorhersage-Diagrammcontainer nicht gefunden.");
     }
@@ -1390,6 +3257,26 @@ class ProbabilityPanel {
     title.textContent = "Wahrscheinlichkeiten der Ziffern";
     this.container.appendChild(title);
 
+    this.targetElement = document.createElement("p");
+    this.targetElement.className = "prediction-target";
+    this.targetElement.hidden = true;
+    this.container.appendChild(this.targetElement);
+
+    this.comparisonElement = document.createElement("p");
+    this.comparisonElement.className = "prediction-target prediction-comparison-note";
+    this.comparisonElement.hidden = true;
+    this.container.appendChild(this.comparisonElement);
+
+    this.columnsElement = document.createElement("div");
+    this.columnsElement.className = "prediction-columns";
+    this.columnsElement.hidden = true;
+    this.columnLabels = [document.createElement("span"), document.createElement("span")];
+    this.columnLabels.forEach((label) => {
+      label.className = "prediction-columns__label";
+      this.columnsElement.appendChild(label);
+    });
+    this.container.appendChild(this.columnsElement);
+
     this.chartElement = document.createElement("div");
     this.chartElement.className = "prediction-chart";
     this.container.appendChild(this.chartElement);
@@ -1409,20 +3296,157 @@ class ProbabilityPanel {
       bar.className = "prediction-bar";
       track.appendChild(bar);
 
+      const comparison = document.createElement("div");
+      comparison.className = "prediction-comparison";
+      comparison.hidden = true;
+      track.appendChild(comparison);
+
       const value = document.createElement("span");
       value.className = "prediction-percentage";
       value.textContent = "0.0%";
 
+      const secondaryTrack = document.createElement("div");
+      secondaryTrack.className = "prediction-bar-track";
+      secondaryTrack.hidden = true;
+      const secondaryBar = document.createElement("div");
+      secondaryBar.className = "prediction-bar";
+      secondaryTrack.appendChild(secondaryBar);
+
+      const secondaryValue = document.createElement("span");
+      secondaryValue.className = "prediction-percentage";
+      secondaryValue.hidden = true;
+
+      const shift = document.createElement("span");
+      shift.className = "prediction-shift";
+      shift.hidden = true;
+
       row.appendChild(label);
       row.appendChild(track);
       row.appendChild(value);
+      row.appendChild(secondaryTrack);
+      row.appendChild(secondaryValue);
+      row.appendChild(shift);
+      row.addEventListener("click", () => this.handleRowSelect(digit));
+      row.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          this.handleRowSelect(digit);
+        }
+      });
       this.chartElement.appendChild(row);
-      this.rows.push({ bar, value });
+      this.rows.push({ row, bar, value, comparison, shift, secondaryTrack, secondaryBar, secondaryValue });
+    }
+  }
+
+  setClassSelectHandler(handler) {
+    this.onClassSelect = typeof handler === "function" ? handler : null;
+  }
+
+  handleRowSelect(digit) {
+    if (!this.selectable || !this.onClassSelect) return;
+    this.onClassSelect(digit);
+  }
+
+  setExplanationTarget({ enabled = false, selectedClass = null, resolvedClass = null } = {}) {
+    this.selectable = Boolean(enabled);
+    this.chartElement.classList.toggle("prediction-chart--selectable", this.selectable);
+    this.rows.forEach((entry, digit) => {
+      entry.row.classList.toggle("prediction-bar-container--target", this.selectable && digit === resolvedClass);
+      if (this.selectable) {
+        entry.row.setAttribute("role", "button");
+        entry.row.tabIndex = 0;
+      } else {
+        entry.row.removeAttribute("role");
+        entry.row.removeAttribute("tabindex");
+      }
+    });
+    this.targetElement.hidden = !this.selectable || resolvedClass === null;
+    if (!this.targetElement.hidden) {
+      this.targetElement.textContent =
+        selectedClass === null
+          ? `Erklärung für Ziffer ${resolvedClass} (automatisch) – Ziffer anklicken zum Fixieren`
+          : `Erklärung für Ziffer ${selectedClass} (fixiert) – erneut anklicken zum Lösen`;
+    }
+  }
+
+  setComparison(comparison) {
+    // Overlays a second distribution (e.g. for an adversarial image) as a thin bar plus the per-class shift.
+    this.comparison = comparison?.probabilities?.length ? comparison : null;
+    this.renderComparison();
+  }
+
+  setColumns(columns) {
+    // Two full columns (e.g. two timeline snapshots) replace the live bars; the shift column shows right − left.
+    const previous = this.columns;
+    this.columns = Array.isArray(columns) && columns.length === 2 ? columns : null;
+    this.chartElement.classList.toggle("prediction-chart--columns", Boolean(this.columns));
+    this.columnsElement.hidden = !this.columns;
+    if (this.columns) {
+      this.renderColumns();
+      return;
+    }
+    this.rows.forEach((entry) => {
+      entry.secondaryTrack.hidden = true;
+      entry.secondaryValue.hidden = true;
+      entry.shift.hidden = true;
+    });
+    if (previous && this.probabilities.length) {
+      this.update(this.probabilities);
+    }
+    this.renderComparison();
+  }
+
+  renderColumns() {
+    const [left, right] = this.columns;
+    this.columnLabels[0].textContent = left.label ?? "";
+    this.columnLabels[1].textContent = right.label ?? "";
+    this.comparisonElement.hidden = true;
+    const leftMax = Math.max(...left.probabilities);
+    const rightMax = Math.max(...right.probabilities);
+    this.rows.forEach((entry, digit) => {
+      const a = clamp(left.probabilities[digit] ?? 0, 0, 1);
+      const b = clamp(right.probabilities[digit] ?? 0, 0, 1);
+      entry.comparison.hidden = true;
+      entry.bar.style.width = `${(a * 100).toFixed(1)}%`;
+      entry.bar.classList.toggle("highest", left.probabilities[digit] === leftMax);
+      entry.value.textContent = `${(a * 100).toFixed(1)}%`;
+      entry.secondaryTrack.hidden = false;
+      entry.secondaryValue.hidden = false;
+      entry.secondaryBar.style.width = `${(b * 100).toFixed(1)}%`;
+      entry.secondaryBar.classList.toggle("highest", right.probabilities[digit] === rightMax);
+      entry.secondaryValue.textContent = `${(b * 100).toFixed(1)}%`;
+      const delta = (b - a) * 100;
+      entry.shift.hidden = false;
+      entry.shift.textContent = `${delta >= 0 ? "+" : "−"}${Math.abs(delta).toFixed(1)}`;
+      entry.shift.classList.toggle("prediction-shift--up", delta >= 0.05);
+      entry.shift.classList.toggle("prediction-shift--down", delta <= -0.05);
+    });
+  }
+
+  renderComparison() {
+    if (this.columns) return;
+    const comparison = this.comparison;
+    this.comparisonElement.hidden = !comparison;
+    if (comparison) {
+      this.comparisonElement.textContent = comparison.label ?? "Vergleich (untere Leiste)";
     }
+    this.rows.forEach((entry, digit) => {
+      entry.comparison.hidden = !comparison;
+      entry.shift.hidden = !comparison;
+      if (!comparison) return;
+      const next = clamp(comparison.probabilities[digit] ?? 0, 0, 1);
+      const delta = (next - (this.probabilities[digit] ?? 0)) * 100;
+      entry.comparison.style.width = `${(next * 100).toFixed(1)}%`;
+      entry.shift.textContent = `${delta >= 0 ? "+" : "−"}${Math.abs(delta).toFixed(1)}`;
+      entry.shift.classList.toggle("prediction-shift--up", delta >= 0.05);
+      entry.shift.classList.toggle("prediction-shift--down", delta <= -0.05);
+    });
   }
 
   update(probabilities) {
     if (!probabilities.length) return;
+    this.probabilities = probabilities;
+    if (this.columns) return;
     const maxProb = Math.max(...probabilities);
     probabilities.forEach((prob, index) => {
       const clamped = Math.max(0, Math.min(1, prob));
@@ -1436,16 +3460,66 @@ class ProbabilityPanel {
         entry.bar.classList.remove("highest");
       }
     });
+    if (this.comparison) {
+      this.renderComparison();
+    }
   }
 }
 
-class NetworkInfoPanel {
+class ColorScaleLegend {
   constructor(container) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Legenden-Container nicht gefunden.");
+    }
+    this.build();
+    this.hide();
+  }
+
+  build() {
+    this.container.innerHTML = "";
+    this.titleElement = document.createElement("div");
+    this.titleElement.className = "color-legend__title";
+    this.barElement = document.createElement("div");
+    this.barElement.className = "color-legend__bar";
+    const labels = document.createElement("div");
+    labels.className = "color-legend__labels";
+    this.negativeElement = document.createElement("span");
+    this.neutralElement = document.createElement("span");
+    this.positiveElement = document.createElement("span");
+    labels.append(this.negativeElement, this.neutralElement, this.positiveElement);
+    this.container.append(this.titleElement, this.barElement, labels);
+  }
+
+  show({ title = "", negativeLabel = "", neutralLabel = "", positiveLabel = "", gradient = null } = {}) {
+    this.titleElement.textContent = title;
+    this.negativeElement.textContent = negativeLabel;
+    this.neutralElement.textContent = neutralLabel;
+    this.positiveElement.textContent = positiveLabel;
+    if (gradient) {
+      this.barElement.style.background = gradient;
+    } else {
+      this.barElement.style.removeProperty("background");
+    }
+    this.container.classList.remove("hidden");
+  }
+
+  hide() {
+    this.container.classList.add("hidden");
+  }
+}
+
+class NetworkInfoPanel {
+  constructor(container, options = {}) {
     this.container = container;
     if (!this.container) {
       throw new Error("Netzwerkinfo-Container nicht gefunden.");
     }
+    this.options = options;
     this.numberFormatter = new Intl.NumberFormat("de-DE");
+    this.diagnostics = null;
+    this.weightDelta = null;
+    this.model = null;
     this.build();
   }
 
@@ -1468,8 +3542,13 @@ class NetworkInfoPanel {
     this.emptyElement.className = "network-info-panel__empty";
     this.emptyElement.textContent = "Keine Netzwerkdaten verfügbar.";
 
+    this.diagnosticsElement = this.buildDiagnosticsToolbar();
+
     this.container.appendChild(this.titleElement);
     this.container.appendChild(this.summaryElement);
+    if (this.diagnosticsElement) {
+      this.container.appendChild(this.diagnosticsElement);
+    }
     this.container.appendChild(this.layersElement);
     this.container.appendChild(this.emptyElement);
 
@@ -1478,6 +3557,93 @@ class NetworkInfoPanel {
     this.emptyElement.style.display = "block";
   }
 
+  buildDiagnosticsToolbar() {
+    if (typeof this.options.onRunDiagnostics !== "function") return null;
+    const wrapper = document.createElement("div");
+    wrapper.className = "network-info-panel__diagnostics";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "network-info-panel__diagnostics-button";
+    button.textContent = "Neuronen-Diagnose";
+    button.addEventListener("click", () => this.options.onRunDiagnostics());
+    const toggle = document.createElement("label");
+    toggle.className = "network-info-panel__diagnostics-toggle";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.addEventListener("change", () => this.options.onOutlineChange?.(checkbox.checked));
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode(" Tote Neuronen markieren"));
+    this.diagnosticsStatus = document.createElement("div");
+    this.diagnosticsStatus.className = "network-info-panel__diagnostics-status";
+    this.diagnosticsButton = button;
+    wrapper.appendChild(button);
+    wrapper.appendChild(toggle);
+    wrapper.appendChild(this.diagnosticsStatus);
+    return wrapper;
+  }
+
+  setDiagnostics({ report = null, stale = false, progress = null } = {}) {
+    this.diagnostics = { report, stale };
+    if (this.diagnosticsStatus) {
+      let text = "";
+      if (progress !== null) {
+        text = `Diagnose läuft … ${Math.round(progress * 100)}%`;
+      } else if (report) {
+        const dead = report.layers.reduce((sum, layer) => sum + layer.dead.length, 0);
+        const saturated = report.layers.reduce((sum, layer) => sum + layer.saturated.length, 0);
+        text = `${this.formatNumber(report.total)} Testbilder: ${this.formatNumber(dead)} nie aktiv, ${this.formatNumber(
+          saturated,
+        )} fast immer aktiv${stale ? " • veraltet" : ""}`;
+      }
+      this.diagnosticsStatus.textContent = text;
+    }
+    if (this.diagnosticsButton) {
+      this.diagnosticsButton.disabled = progress !== null;
+    }
+    if (this.model && progress === null) {
+      this.update(this.model);
+    }
+  }
+
+  setWeightDelta(weightDelta) {
+    this.weightDelta = weightDelta ?? null;
+    if (this.model) {
+      this.update(this.model);
+    }
+  }
+
+  buildLayerDelta(layerDelta) {
+    const line = document.createElement("div");
+    line.className = "network-info-panel__layer-delta";
+    const percent = (value) => (value === null ? "—" : `${formatDecimal(value * 100, 2)}%`);
+    const parts = [`Δ‖W‖/‖W‖ ${percent(layerDelta.relativeWeightChange)}`];
+    if (layerDelta.biases) {
+      parts.push(`Δ‖b‖/‖b‖ ${percent(layerDelta.relativeBiasChange)}`);
+    }
+    parts.push(`max |ΔW| ${formatDecimal(layerDelta.weightScale, 4)}`);
+    line.textContent = parts.join(" • ");
+    return line;
+  }
+
+  buildLayerDiagnostics(layerReport) {
+    const line = document.createElement("div");
+    line.className = "network-info-panel__layer-diagnostics";
+    if (this.diagnostics?.stale) {
+      line.classList.add("network-info-panel__layer-diagnostics--stale");
+    }
+    const percent = (count) => `${formatDecimal((count / Math.max(layerReport.units, 1)) * 100, 1)}%`;
+    line.textContent =
+      `Nie aktiv: ${this.formatNumber(layerReport.dead.length)} (${percent(layerReport.dead.length)}) • ` +
+      `≥${Math.round(SATURATION_FIRE_RATE * 100)}% aktiv: ${this.formatNumber(layerReport.saturated.length)} • ` +
+      `Ø Aktivierung ${formatDecimal(layerReport.meanActivation, 3)} (Var ${formatDecimal(layerReport.meanVariance, 3)}) • ` +
+      `Ø Selektivität ${formatDecimal(layerReport.meanSelectivity, 2)}`;
+    if (layerReport.dead.length) {
+      const listed = layerReport.dead.slice(0, 12).map((unit) => unit + 1);
+      line.title = `Nie aktive Neuronen: ${listed.join(", ")}${layerReport.dead.length > listed.length ? " …" : ""}`;
+    }
+    return line;
+  }
+
   formatNumber(value) {
     if (!Number.isFinite(value)) return "—";
     return this.numberFormatter.format(Math.round(value));
@@ -1502,14 +3668,21 @@ class NetworkInfoPanel {
     const labelElement = document.createElement("strong");
     labelElement.textContent = label;
     const valueElement = document.createElement("span");
-    valueElement.textContent = this.formatNumber(value);
+    valueElement.textContent = typeof value === "string" ? value : this.formatNumber(value);
     line.appendChild(labelElement);
     line.appendChild(valueElement);
     return line;
   }
 
-  describeLayerName(rawName, index) {
-    if (typeof rawName === "string" && rawName.trim().length > 0) {
+  formatShape(shape, size) {
+    if (Array.isArray(shape) && shape.length > 1) {
+      return shape.join("×");
+    }
+    return this.formatNumber(size);
+  }
+
+  describeLayerName(rawName, index) {
+    if (typeof rawName === "string" && rawName.trim().length > 0) {
       const normalized = rawName.replace(/[_-]+/g, " ").trim();
       return normalized.length ? normalized : `Layer ${index + 1}`;
     }
@@ -1517,6 +3690,7 @@ class NetworkInfoPanel {
   }
 
   update(model) {
+    this.model = model ?? null;
     if (!model || !Array.isArray(model.layers) || model.layers.length === 0) {
       this.emptyElement.style.display = "block";
       this.summaryElement.style.display = "none";
@@ -1528,33 +3702,25 @@ class NetworkInfoPanel {
     const layerSummaries = model.layers.map((layer, index) => {
       const archInput = architecture[index];
       const archOutput = architecture[index + 1];
-      const weightRows = Array.isArray(layer.weights) ? layer.weights : [];
       const inputSize =
-        typeof archInput === "number" && Number.isFinite(archInput)
-          ? archInput
-          : weightRows[0]?.length ?? 0;
+        typeof archInput === "number" && Number.isFinite(archInput) ? archInput : shapeSize(layer.inputShape);
       const outputSizeCandidate =
         typeof archOutput === "number" && Number.isFinite(archOutput)
           ? archOutput
-          : layer.biases?.length ?? 0;
+          : shapeSize(layer.outputShape);
       const outputSize = Number.isFinite(outputSizeCandidate) ? outputSizeCandidate : 0;
 
-      let weightCount = 0;
-      for (const row of weightRows) {
-        if (row && typeof row.length === "number") {
-          weightCount += row.length;
-        }
-      }
-
-      const biasArray = layer.biases;
-      const biasCount = typeof biasArray?.length === "number" ? biasArray.length : 0;
+      const { weightCount, biasCount } = model.getParameterCounts(index);
       const parameterCount = weightCount + biasCount;
       return {
         index,
         name: this.describeLayerName(layer.name, index),
+        type: typeof layer.type === "string" ? layer.type : "dense",
         activation: typeof layer.activation === "string" ? layer.activation : null,
         inputSize,
         outputSize,
+        inputShape: layer.inputShape,
+        outputShape: layer.outputShape,
         weightCount,
         biasCount,
         parameterCount,
@@ -1580,6 +3746,9 @@ class NetworkInfoPanel {
       this.summaryElement.appendChild(this.buildSummaryLine("Ausgabeklassen", outputNodes));
     }
     this.summaryElement.appendChild(this.buildSummaryLine("Layer (inkl. Ausgaben)", layerSummaries.length));
+    if (this.weightDelta) {
+      this.summaryElement.appendChild(this.buildSummaryLine("Änderung gegenüber", this.weightDelta.referenceLabel));
+    }
 
     this.layersElement.innerHTML = "";
     layerSummaries.forEach((entry) => {
@@ -1588,8 +3757,9 @@ class NetworkInfoPanel {
 
       const title = document.createElement("div");
       title.className = "network-info-panel__layer-title";
-      const activationLabel = entry.activation ? ` (${entry.activation})` : "";
-      title.textContent = `${entry.name}${activationLabel} • ${this.formatNumber(entry.inputSize)} → ${this.formatNumber(entry.outputSize)}`;
+      const showActivation = entry.activation && (entry.weightCount > 0 || entry.activation !== "linear");
+      const activationLabel = showActivation ? ` (${entry.activation})` : "";
+      title.textContent = `${entry.name}${activationLabel} • ${this.formatShape(entry.inputShape, entry.inputSize)} → ${this.formatShape(entry.outputShape, entry.outputSize)}`;
 
       const metrics = document.createElement("div");
       metrics.className = "network-info-panel__layer-metrics";
@@ -1599,6 +3769,14 @@ class NetworkInfoPanel {
 
       layerRow.appendChild(title);
       layerRow.appendChild(metrics);
+      const layerDelta = this.weightDelta?.layers[entry.index];
+      if (layerDelta) {
+        layerRow.appendChild(this.buildLayerDelta(layerDelta));
+      }
+      const layerReport = this.diagnostics?.report?.layers.find((report) => report.layerIndex === entry.index);
+      if (layerReport) {
+        layerRow.appendChild(this.buildLayerDiagnostics(layerReport));
+      }
       this.layersElement.appendChild(layerRow);
     });
 
@@ -1612,10 +3790,23 @@ class NeuronDetailPanel {
   constructor(root) {
     this.root = root;
     this.onClear = null;
+    this.editor = null;
+    this.scrub = null;
     this.handleClose = this.handleClose.bind(this);
+    this.handleScrubMove = this.handleScrubMove.bind(this);
+    this.handleScrubEnd = this.handleScrubEnd.bind(this);
     if (this.root) {
       this.root.classList.remove("visible");
       this.root.innerHTML = "";
+      // The panel is re-rendered on every inference, so edit controls are handled by delegation.
+      this.root.addEventListener("change", (event) => this.handleParameterInput(event));
+      this.root.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && event.target.matches?.("[data-edit]")) {
+          event.target.blur();
+        }
+      });
+      this.root.addEventListener("pointerdown", (event) => this.handleScrubStart(event));
+      this.root.addEventListener("click", (event) => this.handleEditAction(event));
     }
   }
 
@@ -1623,6 +3814,78 @@ class NeuronDetailPanel {
     this.onClear = typeof handler === "function" ? handler : null;
   }
 
+  setParameterEditor(editor) {
+    this.editor = editor ?? null;
+  }
+
+  parseEditTarget(element) {
+    const [layerIndex, key, index] = (element?.dataset?.edit ?? "").split(":");
+    if (!key) return null;
+    return { layerIndex: Number(layerIndex), key, index: Number(index) };
+  }
+
+  handleParameterInput(event) {
+    const target = this.parseEditTarget(event.target);
+    if (!target || !this.editor) return;
+    const value = Number.parseFloat(event.target.value);
+    if (!this.editor.setValue(target, value)) {
+      event.target.value = this.formatEditableValue(this.editor.getValue(target));
+    }
+  }
+
+  handleScrubStart(event) {
+    const target = this.parseEditTarget(event.target);
+    if (!target || !this.editor || event.button !== 0) return;
+    this.scrub = {
+      target,
+      startX: event.clientX,
+      startValue: this.editor.getValue(target),
+      moved: false,
+    };
+    window.addEventListener("pointermove", this.handleScrubMove);
+    window.addEventListener("pointerup", this.handleScrubEnd);
+    window.addEventListener("pointercancel", this.handleScrubEnd);
+  }
+
+  handleScrubMove(event) {
+    if (!this.scrub) return;
+    const dx = event.clientX - this.scrub.startX;
+    if (!this.scrub.moved && Math.abs(dx) < 4) return;
+    this.scrub.moved = true;
+    event.preventDefault();
+    // Shift scrubs ten times finer for small adjustments.
+    const step = event.shiftKey ? 0.001 : 0.01;
+    const value = this.scrub.startValue + dx * step;
+    this.editor.setValue(this.scrub.target, value, { transient: true });
+    const input = this.root.querySelector(`[data-edit="${ParameterEditor.keyOf(this.scrub.target)}"]`);
+    if (input) input.value = this.formatEditableValue(value);
+  }
+
+  handleScrubEnd() {
+    window.removeEventListener("pointermove", this.handleScrubMove);
+    window.removeEventListener("pointerup", this.handleScrubEnd);
+    window.removeEventListener("pointercancel", this.handleScrubEnd);
+    if (this.scrub?.moved) {
+      this.editor?.endGesture();
+      document.activeElement?.blur?.();
+    }
+    this.scrub = null;
+  }
+
+  handleEditAction(event) {
+    const button = event.target.closest?.("[data-edit-action]");
+    if (!button || !this.editor) return;
+    event.preventDefault();
+    const action = button.dataset.editAction;
+    if (action === "undo") {
+      this.editor.undo();
+    } else if (action === "redo") {
+      this.editor.redo();
+    } else if (action === "revert") {
+      this.editor.revertLayer(Number(button.dataset.layer));
+    }
+  }
+
   handleClose(event) {
     event.preventDefault();
     if (typeof this.onClear === "function") {
@@ -1652,7 +3915,7 @@ class NeuronDetailPanel {
       <div class="neuron-detail-panel__row">
         <div><small>Quelle</small><br><strong>#${entry.sourceIndex + 1}</strong></div>
         <div><small>Input</small><br>${this.formatValue(entry.sourceActivation)}</div>
-        <div><small>Gewicht</small><br>${this.formatValue(entry.weight)}</div>
+        <div><small>Gewicht</small><br>${this.renderParameter(entry.weight, payload.incomingLayer, "weights", entry.weightIndex)}</div>
         <div><small>Produkt</small><br><strong>${this.formatValue(entry.contribution)}</strong></div>
       </div>
     `,
@@ -1667,7 +3930,7 @@ class NeuronDetailPanel {
       <div class="neuron-detail-panel__row">
         <div><small>Ziel</small><br><strong>#${entry.targetIndex + 1}</strong></div>
         <div><small>Aktivierung (Ziel)</small><br>${this.formatValue(entry.targetActivation)}</div>
-        <div><small>Gewicht</small><br>${this.formatValue(entry.weight)}</div>
+        <div><small>Gewicht</small><br>${this.renderParameter(entry.weight, payload.outgoingLayer, "weights", entry.weightIndex)}</div>
         <div><small>Beitrag</small><br><strong>${this.formatValue(entry.contribution)}</strong></div>
       </div>
     `,
@@ -1681,7 +3944,7 @@ class NeuronDetailPanel {
       payload.bias !== null && payload.bias !== undefined
         ? `
       <div class="neuron-detail-panel__row neuron-detail-panel__row--bias">
-        <div><small>Bias</small><br><strong>${this.formatValue(payload.bias)}</strong></div>
+        <div><small>Bias</small><br><strong>${this.renderParameter(payload.bias, payload.incomingLayer, "biases", payload.biasIndex)}</strong></div>
         <div></div>
         <div></div>
         <div></div>
@@ -1700,12 +3963,23 @@ class NeuronDetailPanel {
     `
         : "";
 
+    const activationMarkup =
+      payload.activationOutput && payload.activationValue !== null && payload.activationValue !== undefined
+        ? `
+      <div class="neuron-detail-panel__row neuron-detail-panel__row--activation">
+        <div><small>${payload.activationOutput.label}</small><br><strong>${this.formatValue(payload.activationValue)}</strong></div>
+        <div class="neuron-detail-panel__formula">${payload.activationOutput.formula}</div>
+      </div>
+    `
+        : "";
+
     const totalsBlock =
-      biasMarkup || totalMarkup
+      biasMarkup || totalMarkup || activationMarkup
         ? `
       <div class="neuron-detail-panel__totals">
         ${biasMarkup}
         ${totalMarkup}
+        ${activationMarkup}
       </div>
     `
         : "";
@@ -1725,64 +3999,2959 @@ class NeuronDetailPanel {
     `
       : `<div class="neuron-detail-panel__empty">Keine eingehenden Verbindungen für diese Schicht.</div>`;
 
-    const outgoingSection = hasOutgoing
-      ? `
-      <div>
-        <div class="neuron-detail-panel__section-title">Ausgehende Beiträge</div>
-        <div class="neuron-detail-panel__row neuron-detail-panel__row--header">
-          <div>Ziel</div>
-          <div>Aktivierung (Ziel)</div>
-          <div>Gewicht</div>
-          <div>Beitrag</div>
-        </div>
-        ${outgoingRows}
-      </div>
-    `
-      : "";
+    const outgoingSection = hasOutgoing
+      ? `
+      <div>
+        <div class="neuron-detail-panel__section-title">Ausgehende Beiträge</div>
+        <div class="neuron-detail-panel__row neuron-detail-panel__row--header">
+          <div>Ziel</div>
+          <div>Aktivierung (Ziel)</div>
+          <div>Gewicht</div>
+          <div>Beitrag</div>
+        </div>
+        ${outgoingRows}
+      </div>
+    `
+      : "";
+
+    const kernelSection = payload.kernel ? this.buildKernelMarkup(payload.kernel) : "";
+    const receptiveFieldSection = payload.receptiveField
+      ? `
+      <div>
+        <div class="neuron-detail-panel__section-title">Rezeptives Feld</div>
+        <div class="neuron-detail-panel__receptive-field">
+          <canvas class="neuron-detail-panel__receptive-canvas" width="${payload.receptiveField.inputWidth}" height="${payload.receptiveField.inputHeight}"></canvas>
+          <span>Zeilen ${payload.receptiveField.top + 1}–${payload.receptiveField.bottom + 1}, Spalten ${
+            payload.receptiveField.left + 1
+          }–${payload.receptiveField.right + 1} (${payload.receptiveField.bottom - payload.receptiveField.top + 1}×${
+            payload.receptiveField.right - payload.receptiveField.left + 1
+          } Pixel)</span>
+        </div>
+      </div>
+    `
+      : "";
+    const inputWeightSection = payload.inputWeights
+      ? `
+      <div>
+        <div class="neuron-detail-panel__section-title">Eingangsgewichte als Bild (${payload.inputWeights.rows}×${
+          payload.inputWeights.cols
+        })</div>
+        <div class="neuron-detail-panel__weight-images">
+          <figure>
+            <canvas class="neuron-detail-panel__weight-canvas" data-weight-image="weights"></canvas>
+            <figcaption>Gewichte</figcaption>
+          </figure>
+          <figure>
+            <canvas class="neuron-detail-panel__weight-canvas" data-weight-image="product"></canvas>
+            <figcaption>Gewicht × Input</figcaption>
+          </figure>
+        </div>
+      </div>
+    `
+      : "";
+    const unitPosition = payload.unitPosition
+      ? ` • Kanal ${payload.unitPosition.channel + 1}, (${payload.unitPosition.row + 1}, ${payload.unitPosition.col + 1})`
+      : "";
+
+    const summaryFormula =
+      payload.preActivation !== null && payload.preActivation !== undefined
+        ? `Σ = Σ(input × gewicht)${payload.bias !== null && payload.bias !== undefined ? " + bias" : ""}`
+        : "";
+
+    const editSection = this.buildEditToolbar(payload);
+    const focused = this.root.contains(document.activeElement) ? document.activeElement : null;
+    const focusedEdit = focused?.dataset?.edit ? { key: focused.dataset.edit, value: focused.value } : null;
+
+    this.root.innerHTML = `
+      <div class="neuron-detail-panel__inner">
+        <div class="neuron-detail-panel__header">
+          <div class="neuron-detail-panel__title">${payload.layerLabel} • Neuron ${payload.neuronIndex + 1}${unitPosition}${
+            payload.activationName ? ` (${payload.activationName})` : ""
+          }</div>
+          <button type="button" class="neuron-detail-panel__close">Auswahl aufheben</button>
+        </div>
+        <div class="neuron-detail-panel__body">
+          <div class="neuron-detail-panel__summary">
+            ${summaryFormula ? `<div>${summaryFormula}</div>` : ""}
+          </div>
+          ${totalsBlock}
+          ${editSection}
+          <div class="neuron-detail-panel__activations">
+            <span>Eingangsschicht-Größe: ${payload.previousLayerSize ?? "—"}</span>
+            <span>Ausgangsschicht-Größe: ${payload.nextLayerSize ?? "—"}</span>
+          </div>
+          ${kernelSection}
+          ${receptiveFieldSection}
+          ${inputWeightSection}
+          ${incomingSection}
+          ${outgoingSection}
+        </div>
+      </div>
+    `;
+
+    this.root.classList.add("visible");
+    if (payload.receptiveField) {
+      this.drawReceptiveField(payload.receptiveField, payload.inputPixels);
+    }
+    if (payload.inputWeights) {
+      this.drawInputWeights(payload.inputWeights, payload.inputPixels);
+    }
+    const closeButton = this.root.querySelector(".neuron-detail-panel__close");
+    if (closeButton) {
+      closeButton.addEventListener("click", this.handleClose);
+    }
+    if (focusedEdit) {
+      // Keep a half-typed value when a re-render lands while the user is editing.
+      const input = this.root.querySelector(`[data-edit="${focusedEdit.key}"]`);
+      if (input) {
+        input.value = focusedEdit.value;
+        input.focus();
+      }
+    }
+  }
+
+  renderParameter(value, layerIndex, key, index) {
+    if (!this.editor || layerIndex === null || layerIndex === undefined || !Number.isInteger(index)) {
+      return this.formatValue(value);
+    }
+    const target = { layerIndex, key, index };
+    const edited = this.editor.isEdited(target);
+    return `<input class="neuron-detail-panel__input${edited ? " neuron-detail-panel__input--edited" : ""}" type="number" step="any" value="${this.formatEditableValue(value)}" data-edit="${ParameterEditor.keyOf(target)}" title="Wert eingeben oder horizontal ziehen (Shift = fein)">`;
+  }
+
+  buildEditToolbar(payload) {
+    if (!this.editor) return "";
+    const layerIndex = payload.incomingLayer ?? payload.outgoingLayer;
+    if (layerIndex === null || layerIndex === undefined) return "";
+    const editedCount = this.editor.getEditedParameters(layerIndex).length;
+    return `
+      <div class="neuron-detail-panel__edit-toolbar">
+        <button type="button" data-edit-action="undo"${this.editor.canUndo() ? "" : " disabled"}>Rückgängig</button>
+        <button type="button" data-edit-action="redo"${this.editor.canRedo() ? "" : " disabled"}>Wiederholen</button>
+        <button type="button" data-edit-action="revert" data-layer="${layerIndex}"${editedCount ? "" : " disabled"}>
+          Schicht ${layerIndex + 1} auf Snapshot zurücksetzen
+        </button>
+        <span>${editedCount ? `${editedCount} Parameter geändert` : "Keine Änderungen"}</span>
+      </div>
+    `;
+  }
+
+  formatEditableValue(value) {
+    if (!Number.isFinite(value)) return "";
+    return String(Number(value.toPrecision(5)));
+  }
+
+  buildKernelMarkup(kernel) {
+    const scale = kernel.channels.reduce((max, values) => Math.max(max, maxAbsValue(values)), 0) || 1;
+    const grids = kernel.channels
+      .map((values, channel) => {
+        const cells = Array.from(values)
+          .map(
+            (value) =>
+              `<div class="neuron-detail-panel__kernel-cell" style="background:${divergingColor(value / scale)}">${this.formatValue(value)}</div>`,
+          )
+          .join("");
+        return `
+        <div class="neuron-detail-panel__kernel">
+          <small>Eingangskanal ${channel + 1}</small>
+          <div class="neuron-detail-panel__kernel-grid" style="grid-template-columns: repeat(${kernel.kernelWidth}, 1fr)">${cells}</div>
+        </div>
+      `;
+      })
+      .join("");
+    return `
+      <div>
+        <div class="neuron-detail-panel__section-title">Kernel ${kernel.kernelHeight}×${kernel.kernelWidth} • Filter ${kernel.outputChannel + 1}</div>
+        <div class="neuron-detail-panel__kernels">${grids}</div>
+      </div>
+    `;
+  }
+
+  drawReceptiveField(field, pixels) {
+    const canvas = this.root.querySelector(".neuron-detail-panel__receptive-canvas");
+    const ctx = canvas?.getContext("2d");
+    if (!ctx) return;
+    const { inputWidth, inputHeight } = field;
+    const image = ctx.createImageData(inputWidth, inputHeight);
+    for (let row = 0; row < inputHeight; row += 1) {
+      for (let col = 0; col < inputWidth; col += 1) {
+        const index = row * inputWidth + col;
+        const value = clamp(Number(pixels?.[index]) || 0, 0, 1);
+        const inside = row >= field.top && row <= field.bottom && col >= field.left && col <= field.right;
+        const offset = index * 4;
+        const base = 20 + value * 200;
+        image.data[offset] = inside ? base * 0.45 : base * 0.5;
+        image.data[offset + 1] = inside ? Math.min(255, base + 40) : base * 0.5;
+        image.data[offset + 2] = inside ? 255 : base * 0.55;
+        image.data[offset + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+
+  drawInputWeights({ rows, cols, weights }, pixels) {
+    // Each image is scaled to its own largest magnitude, so the product map stays readable for faint strokes.
+    const product = weights.map((weight, index) => weight * (Number(pixels?.[index]) || 0));
+    drawDivergingThumbnail(this.root.querySelector('[data-weight-image="weights"]'), weights, rows, cols);
+    drawDivergingThumbnail(
+      this.root.querySelector('[data-weight-image="product"]'),
+      product,
+      rows,
+      cols,
+      maxAbsValue(product) || 1,
+    );
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return "—";
+    if (!Number.isFinite(value)) return value > 0 ? "∞" : value < 0 ? "-∞" : "NaN";
+    const abs = Math.abs(value);
+    if (abs >= 10000 || (abs > 0 && abs < 0.0001)) {
+      return value.toExponential(2);
+    }
+    return value.toFixed(abs >= 1 ? 3 : 4);
+  }
+}
+
+class LossCurveChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas?.getContext("2d") ?? null;
+  }
+
+  draw(losses) {
+    if (!this.context) return;
+    const { width, height } = this.canvas;
+    const ctx = this.context;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(18, 26, 48, 0.9)";
+    ctx.fillRect(0, 0, width, height);
+    if (!losses.length) {
+      ctx.fillStyle = "rgba(198, 212, 255, 0.6)";
+      ctx.font = "12px sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillText("Noch keine Trainingsschritte", width / 2, height / 2);
+      return;
+    }
+    const padding = 6;
+    const maxLoss = Math.max(...losses, 1e-6);
+    const toX = (index) => padding + (index / Math.max(losses.length - 1, 1)) * (width - padding * 2);
+    const toY = (loss) => height - padding - (loss / maxLoss) * (height - padding * 2);
+    // Thin raw batch losses with a bold exponential moving average on top.
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(59, 130, 246, 0.35)";
+    this.strokeSeries(losses, toX, toY);
+    let smoothed = losses[0];
+    const averages = losses.map((loss) => {
+      smoothed = 0.95 * smoothed + 0.05 * loss;
+      return smoothed;
+    });
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "#f97316";
+    this.strokeSeries(averages, toX, toY);
+    ctx.fillStyle = "rgba(198, 212, 255, 0.75)";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillText(maxLoss.toFixed(2), padding, 12);
+  }
+
+  strokeSeries(values, toX, toY) {
+    const ctx = this.context;
+    const stride = Math.max(1, Math.floor(values.length / this.canvas.width));
+    ctx.beginPath();
+    for (let index = 0; index < values.length; index += stride) {
+      const x = toX(index);
+      const y = toY(values[index]);
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  }
+}
+
+class TrainingPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Trainings-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.worker = null;
+    this.sessionReady = false;
+    this.running = false;
+    this.losses = [];
+    this.lastMetrics = null;
+    this.lastSnapshotStep = 0;
+    this.elements = {
+      initialization: document.getElementById("trainingInitSelect"),
+      optimizer: document.getElementById("trainingOptimizerSelect"),
+      learningRate: document.getElementById("trainingLearningRateInput"),
+      batchSize: document.getElementById("trainingBatchSizeInput"),
+      publishEvery: document.getElementById("trainingPublishInput"),
+      snapshotEvery: document.getElementById("trainingSnapshotIntervalInput"),
+      start: document.getElementById("trainingStartButton"),
+      pause: document.getElementById("trainingPauseButton"),
+      step: document.getElementById("trainingStepButton"),
+      reset: document.getElementById("trainingResetButton"),
+      snapshot: document.getElementById("trainingSnapshotButton"),
+      status: document.getElementById("trainingStatus"),
+      close: document.getElementById("closeTrainingPanel"),
+    };
+    this.chart = new LossCurveChart(document.getElementById("trainingLossCanvas"));
+    this.bindEvents();
+    this.chart.draw(this.losses);
+    if (!this.options.loader?.images?.length) {
+      this.setStatus("MNIST-Daten nicht verfügbar – Training deaktiviert.");
+      [this.elements.start, this.elements.step, this.elements.reset].forEach((button) => {
+        if (button) button.disabled = true;
+      });
+    } else {
+      this.setStatus("Bereit. Start trainiert auf den mitgelieferten MNIST-Testdaten.");
+    }
+    this.syncButtons();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    const toggle = this.options.toggleButton;
+    toggle?.addEventListener("click", () => this.container.classList.toggle("hidden"));
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.start?.addEventListener("click", () => this.start());
+    elements.pause?.addEventListener("click", () => this.pause());
+    elements.step?.addEventListener("click", () => this.step());
+    elements.reset?.addEventListener("click", () => this.reset());
+    elements.snapshot?.addEventListener("click", () => this.requestSnapshot());
+    elements.initialization?.addEventListener("change", () => this.reset());
+    [elements.optimizer, elements.learningRate, elements.batchSize, elements.publishEvery].forEach((element) => {
+      element?.addEventListener("change", () => this.pushConfiguration());
+    });
+  }
+
+  readConfiguration() {
+    const { elements } = this;
+    const learningRate = Number.parseFloat(elements.learningRate?.value);
+    const batchSize = Number.parseInt(elements.batchSize?.value, 10);
+    const publishEvery = Number.parseInt(elements.publishEvery?.value, 10);
+    return {
+      initialization: elements.initialization?.value === "random" ? "random" : "snapshot",
+      optimizer: elements.optimizer?.value === "sgd" ? "sgd" : "adam",
+      learningRate: Number.isFinite(learningRate) && learningRate > 0 ? learningRate : 0.001,
+      batchSize: Number.isFinite(batchSize) && batchSize > 0 ? clamp(batchSize, 1, 512) : 32,
+      publishEvery: Number.isFinite(publishEvery) && publishEvery > 0 ? publishEvery : 10,
+    };
+  }
+
+  ensureWorker() {
+    if (this.worker) return this.worker;
+    if (typeof Worker === "undefined" || !this.options.workerUrl) {
+      this.setStatus("Web Worker werden von diesem Browser nicht unterstützt.");
+      return null;
+    }
+    this.worker = new Worker(this.options.workerUrl, { type: "module" });
+    this.worker.addEventListener("message", (event) => this.handleMessage(event.data));
+    this.worker.addEventListener("error", (event) => {
+      event.preventDefault?.();
+      this.handleError(event.message || "Trainings-Worker abgestürzt.");
+    });
+    return this.worker;
+  }
+
+  ensureSession() {
+    if (this.sessionReady) return true;
+    const worker = this.ensureWorker();
+    const loader = this.options.loader;
+    if (!worker || !loader?.images?.length) return false;
+    const { definition, transfer } = this.options.getModelDefinition();
+    const images = loader.images.slice();
+    const labels = loader.labels.slice();
+    worker.postMessage(
+      {
+        type: "init",
+        options: {
+          ...this.readConfiguration(),
+          definition,
+          images,
+          labels,
+          sampleSize: loader.sampleSize,
+        },
+      },
+      [...transfer, images.buffer, labels.buffer],
+    );
+    this.sessionReady = true;
+    this.losses = [];
+    this.lastSnapshotStep = 0;
+    this.chart.draw(this.losses);
+    return true;
+  }
+
+  start() {
+    if (this.running || !this.ensureSession()) return;
+    this.worker.postMessage({ type: "start" });
+    this.running = true;
+    this.setStatus("Training läuft …");
+    this.syncButtons();
+  }
+
+  pause() {
+    if (!this.running) return;
+    this.worker?.postMessage({ type: "pause" });
+    this.running = false;
+    this.syncButtons();
+  }
+
+  step() {
+    if (this.running || !this.ensureSession()) return;
+    this.worker.postMessage({ type: "step" });
+  }
+
+  invalidateSession() {
+    // The worker trains its own copy, so edits made on the page only reach it through a fresh session.
+    this.pause();
+    this.sessionReady = false;
+  }
+
+  reset() {
+    this.pause();
+    this.sessionReady = false;
+    this.losses = [];
+    this.lastMetrics = null;
+    this.chart.draw(this.losses);
+    this.setStatus("Zurückgesetzt. Der nächste Start übernimmt die gewählte Initialisierung.");
+    this.syncButtons();
+  }
+
+  pushConfiguration() {
+    if (!this.sessionReady || !this.worker) return;
+    const { optimizer, learningRate, batchSize, publishEvery } = this.readConfiguration();
+    this.worker.postMessage({ type: "configure", options: { optimizer, learningRate, batchSize, publishEvery } });
+  }
+
+  requestSnapshot() {
+    if (!this.lastMetrics || typeof this.options.onSnapshot !== "function") return;
+    this.options.onSnapshot(this.lastMetrics);
+    this.lastSnapshotStep = this.lastMetrics.step;
+  }
+
+  handleMessage(message) {
+    if (!message || typeof message !== "object") return;
+    if (message.type === "progress") {
+      message.steps.forEach((metrics) => this.losses.push(metrics.loss));
+      const latest = message.steps[message.steps.length - 1];
+      if (latest) {
+        this.setStatus(
+          `Schritt ${formatInteger(latest.step)} • ${formatInteger(latest.imagesSeen)} Bilder • ` +
+            `Verlust ${formatDecimal(latest.loss, 4)} • Batch-Genauigkeit ${formatDecimal(latest.accuracy * 100, 1)}%`,
+        );
+      }
+      if (!message.running && this.running) {
+        this.running = false;
+        this.syncButtons();
+      }
+      this.chart.draw(this.losses);
+    } else if (message.type === "weights") {
+      this.lastMetrics = { step: message.step, imagesSeen: message.imagesSeen, averageLoss: message.averageLoss };
+      if (typeof this.options.onWeights === "function") {
+        this.options.onWeights(message.layers, this.lastMetrics);
+      }
+      const snapshotEvery = Number.parseInt(this.elements.snapshotEvery?.value, 10);
+      if (snapshotEvery > 0 && message.step - this.lastSnapshotStep >= snapshotEvery) {
+        this.requestSnapshot();
+      }
+      this.syncButtons();
+    } else if (message.type === "error") {
+      this.handleError(message.message);
+    }
+  }
+
+  handleError(reason) {
+    console.error("Fehler im Trainings-Worker:", reason);
+    this.running = false;
+    this.sessionReady = false;
+    this.setStatus(`Training abgebrochen: ${reason}`);
+    this.syncButtons();
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+
+  syncButtons() {
+    const { elements } = this;
+    const available = Boolean(this.options.loader?.images?.length);
+    if (elements.start) elements.start.disabled = !available || this.running;
+    if (elements.pause) elements.pause.disabled = !this.running;
+    if (elements.step) elements.step.disabled = !available || this.running;
+    if (elements.snapshot) elements.snapshot.disabled = !this.lastMetrics;
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.running = false;
+    this.sessionReady = false;
+  }
+}
+
+class AblationPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Ablations-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.model = options.model;
+    this.units = new Map();
+    this.meanActivations = null;
+    this.sweepToken = 0;
+    this.elements = {
+      mode: document.getElementById("ablationModeToggle"),
+      replacement: document.getElementById("ablationReplacementSelect"),
+      list: document.getElementById("ablationList"),
+      reset: document.getElementById("ablationResetButton"),
+      sweepLayer: document.getElementById("ablationSweepLayerSelect"),
+      sweep: document.getElementById("ablationSweepButton"),
+      status: document.getElementById("ablationStatus"),
+      results: document.getElementById("ablationSweepResults"),
+      close: document.getElementById("closeAblationPanel"),
+    };
+    if (!this.options.loader?.images?.length) {
+      // Means and the sweep both need the MNIST test set.
+      const meanOption = this.elements.replacement?.querySelector('option[value="mean"]');
+      if (meanOption) meanOption.disabled = true;
+      if (this.elements.sweep) this.elements.sweep.disabled = true;
+    }
+    this.bindEvents();
+    this.populateLayerOptions();
+    this.render();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => this.container.classList.toggle("hidden"));
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.reset?.addEventListener("click", () => this.reset());
+    elements.replacement?.addEventListener("change", () => this.applyMasks());
+    elements.sweep?.addEventListener("click", () => this.runSweep());
+    elements.list?.addEventListener("click", (event) => {
+      const button = event.target.closest?.("[data-unit]");
+      if (!button) return;
+      const [layerIndex, neuronIndex] = button.dataset.unit.split(":").map(Number);
+      this.toggleUnit(layerIndex, neuronIndex);
+    });
+    elements.results?.addEventListener("click", (event) => {
+      const button = event.target.closest?.("[data-unit]");
+      if (!button) return;
+      const [layerIndex, neuronIndex] = button.dataset.unit.split(":").map(Number);
+      this.toggleUnit(layerIndex, neuronIndex);
+    });
+  }
+
+  populateLayerOptions() {
+    const select = this.elements.sweepLayer;
+    if (!select) return;
+    const hiddenLayers = this.model.architecture.slice(1, -1);
+    select.innerHTML = hiddenLayers
+      .map((size, offset) => `<option value="${offset + 1}">Schicht ${offset + 1} (${size} Einheiten)</option>`)
+      .join("");
+  }
+
+  isActive() {
+    return !this.container.classList.contains("hidden") && Boolean(this.elements.mode?.checked);
+  }
+
+  handleNeuronClick(layerIndex, neuronIndex) {
+    if (!this.isActive()) return false;
+    // Only hidden units can be knocked out; input and output clicks keep selecting.
+    if (layerIndex <= 0 || layerIndex >= this.model.architecture.length - 1) return false;
+    this.toggleUnit(layerIndex, neuronIndex);
+    return true;
+  }
+
+  toggleUnit(layerIndex, neuronIndex) {
+    const key = `${layerIndex}:${neuronIndex}`;
+    if (this.units.has(key)) {
+      this.units.delete(key);
+    } else {
+      this.units.set(key, { layerIndex, neuronIndex });
+    }
+    this.applyMasks();
+  }
+
+  reset() {
+    if (!this.units.size) return;
+    this.units.clear();
+    this.applyMasks();
+  }
+
+  handleModelChange() {
+    // A different network was loaded: knocked-out units and sweep results refer to its predecessor.
+    this.units.clear();
+    this.invalidateStatistics();
+    if (this.elements.results) this.elements.results.innerHTML = "";
+    this.setStatus("");
+    this.populateLayerOptions();
+    this.render();
+  }
+
+  invalidateStatistics() {
+    // Called whenever the weights change: cached means and running sweeps no longer describe this model.
+    this.meanActivations = null;
+    this.sweepToken += 1;
+    if (this.elements.sweep) this.elements.sweep.disabled = !this.options.loader?.images?.length;
+    if (this.units.size && this.elements.replacement?.value === "mean") {
+      this.applyMasks();
+    }
+  }
+
+  async applyMasks() {
+    const useMean = this.elements.replacement?.value === "mean";
+    const means = useMean ? await this.ensureMeanActivations() : null;
+    const { architecture } = this.model;
+    const masks = architecture.slice(1).map(() => null);
+    this.units.forEach(({ layerIndex, neuronIndex }) => {
+      const size = architecture[layerIndex];
+      if (!size || neuronIndex >= size) return;
+      if (!masks[layerIndex - 1]) {
+        masks[layerIndex - 1] = { mask: new Uint8Array(size), values: new Float32Array(size) };
+      }
+      masks[layerIndex - 1].mask[neuronIndex] = 1;
+      masks[layerIndex - 1].values[neuronIndex] = means?.[layerIndex]?.[neuronIndex] ?? 0;
+    });
+    this.render();
+    if (typeof this.options.onChange === "function") {
+      this.options.onChange(masks, Array.from(this.units.values()));
+    }
+  }
+
+  async ensureMeanActivations() {
+    if (this.meanActivations) return this.meanActivations;
+    const loader = this.options.loader;
+    if (!loader?.images?.length) return null;
+    const token = this.sweepToken;
+    const sums = this.model.architecture.map((size) => new Float64Array(size));
+    let seen = 0;
+    for (const batch of iterateSampleBatches(loader, 500)) {
+      // Means describe the intact network, so existing ablations are ignored here.
+      const { activations } = this.model.propagateBatch(batch.samples, null);
+      activations.forEach((values, layerIndex) => {
+        const size = sums[layerIndex].length;
+        for (let i = 0; i < values.length; i += 1) {
+          sums[layerIndex][i % size] += values[i];
+        }
+      });
+      seen += batch.count;
+      this.setStatus(`Mittlere Aktivierungen: ${Math.round((seen / loader.totalSamples) * 100)}%`);
+      await yieldToEventLoop();
+      if (token !== this.sweepToken) return null;
+    }
+    this.meanActivations = sums.map((values) => Float32Array.from(values, (sum) => sum / Math.max(seen, 1)));
+    this.setStatus(`Mittelwerte über ${formatInteger(seen)} Testbilder berechnet.`);
+    return this.meanActivations;
+  }
+
+  async runSweep() {
+    const loader = this.options.loader;
+    const layerIndex = Number.parseInt(this.elements.sweepLayer?.value, 10);
+    const size = this.model.architecture[layerIndex];
+    if (!loader?.images?.length || !size) return;
+    if (size > MAX_SWEEP_UNITS) {
+      this.setStatus(`Schicht ${layerIndex} hat ${formatInteger(size)} Einheiten – zu viele für einen Sweep.`);
+      return;
+    }
+    this.sweepToken += 1;
+    const token = this.sweepToken;
+    this.elements.sweep.disabled = true;
+    this.elements.results.innerHTML = "";
+    const useMean = this.elements.replacement?.value === "mean";
+    const means = useMean ? await this.ensureMeanActivations() : null;
+    if (token !== this.sweepToken) return;
+    const correct = new Float64Array(size);
+    let baselineCorrect = 0;
+    let seen = 0;
+    for (const batch of iterateSampleBatches(loader, 500)) {
+      const result = this.model.computeAblationSweep(batch.samples, batch.labels, layerIndex, means?.[layerIndex]);
+      baselineCorrect += result.baselineCorrect;
+      result.correct.forEach((value, unit) => {
+        correct[unit] += value;
+      });
+      seen += batch.count;
+      this.setStatus(`Ablations-Sweep Schicht ${layerIndex}: ${Math.round((seen / loader.totalSamples) * 100)}%`);
+      await yieldToEventLoop();
+      if (token !== this.sweepToken) return;
+    }
+    this.elements.sweep.disabled = false;
+    const baseline = baselineCorrect / seen;
+    const ranking = Array.from(correct, (value, unit) => ({ unit, drop: baseline - value / seen }))
+      .sort((a, b) => b.drop - a.drop)
+      .slice(0, 10);
+    this.setStatus(`Basisgenauigkeit ${formatDecimal(baseline * 100, 2)}% auf ${formatInteger(seen)} Testbildern.`);
+    this.elements.results.innerHTML = ranking
+      .map(
+        ({ unit, drop }) => `
+        <li>
+          <button type="button" data-unit="${layerIndex}:${unit}">Neuron ${unit + 1}</button>
+          <span>${drop >= 0 ? "−" : "+"}${formatDecimal(Math.abs(drop) * 100, 2)} Pp.</span>
+        </li>
+      `,
+      )
+      .join("");
+  }
+
+  render() {
+    const { list, reset } = this.elements;
+    if (reset) reset.disabled = this.units.size === 0;
+    if (!list) return;
+    if (!this.units.size) {
+      list.innerHTML = `<span class="ablation-panel__empty">Keine Neuronen deaktiviert.</span>`;
+      return;
+    }
+    list.innerHTML = Array.from(this.units.values())
+      .sort((a, b) => a.layerIndex - b.layerIndex || a.neuronIndex - b.neuronIndex)
+      .map(
+        ({ layerIndex, neuronIndex }) => `
+        <button type="button" class="ablation-panel__chip" data-unit="${layerIndex}:${neuronIndex}" title="Wieder aktivieren">
+          S${layerIndex} • N${neuronIndex + 1} ×
+        </button>
+      `,
+      )
+      .join("");
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class TestSetEvaluator {
+  constructor(model, loader) {
+    this.model = model;
+    this.loader = loader ?? null;
+    this.results = null;
+    this.stale = false;
+    this.running = false;
+    this.runToken = 0;
+    this.listeners = new Set();
+  }
+
+  get available() {
+    return Boolean(this.loader?.images?.length);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  async run() {
+    if (!this.available) return null;
+    this.runToken += 1;
+    const token = this.runToken;
+    const total = this.loader.totalSamples;
+    const classes = this.model.architecture[this.model.architecture.length - 1];
+    const predictions = new Int32Array(total);
+    const probabilities = new Float32Array(total * classes);
+    this.running = true;
+    this.emit({ type: "progress", fraction: 0 });
+    for (const batch of iterateSampleBatches(this.loader, 500)) {
+      const result = this.model.predictBatch(batch.samples);
+      predictions.set(result.predictions, batch.start);
+      probabilities.set(result.probabilities, batch.start * classes);
+      this.emit({ type: "progress", fraction: (batch.start + batch.count) / total });
+      await yieldToEventLoop();
+      if (token !== this.runToken) return null;
+    }
+    this.running = false;
+    this.results = this.summarise(predictions, probabilities, classes);
+    this.stale = false;
+    this.emit({ type: "results", results: this.results });
+    return this.results;
+  }
+
+  invalidate() {
+    // Weights or ablations changed: cancel a running pass and flag the last result as outdated.
+    if (this.running) {
+      this.runToken += 1;
+      this.running = false;
+      this.emit({ type: "cancelled" });
+    }
+    if (this.results && !this.stale) {
+      this.stale = true;
+      this.emit({ type: "stale" });
+    }
+  }
+
+  summarise(predictions, probabilities, classes) {
+    const labels = this.loader.labels;
+    const confusion = new Int32Array(classes * classes);
+    const confidence = new Float32Array(predictions.length);
+    const entropy = new Float32Array(predictions.length);
+    const margin = new Float32Array(predictions.length);
+    let correct = 0;
+    predictions.forEach((predicted, index) => {
+      const row = probabilities.subarray(index * classes, (index + 1) * classes);
+      let best = 0;
+      let second = 0;
+      let sum = 0;
+      row.forEach((p) => {
+        if (p > best) {
+          second = best;
+          best = p;
+        } else if (p > second) {
+          second = p;
+        }
+        if (p > 0) sum -= p * Math.log2(p);
+      });
+      confidence[index] = best;
+      entropy[index] = sum;
+      margin[index] = best - second;
+      const actual = labels[index];
+      if (actual >= classes) return;
+      confusion[actual * classes + predicted] += 1;
+      if (actual === predicted) correct += 1;
+    });
+    const perClass = Array.from({ length: classes }, (_, digit) => {
+      let predictedCount = 0;
+      let actualCount = 0;
+      for (let other = 0; other < classes; other += 1) {
+        predictedCount += confusion[other * classes + digit];
+        actualCount += confusion[digit * classes + other];
+      }
+      const hits = confusion[digit * classes + digit];
+      return {
+        digit,
+        support: actualCount,
+        precision: predictedCount ? hits / predictedCount : null,
+        recall: actualCount ? hits / actualCount : null,
+      };
+    });
+    return {
+      total: predictions.length,
+      classes,
+      accuracy: predictions.length ? correct / predictions.length : 0,
+      predictions,
+      probabilities,
+      confidence,
+      entropy,
+      margin,
+      confusion,
+      perClass,
+    };
+  }
+}
+
+class NeuronDiagnostics {
+  // Per hidden layer: how often each unit fires (pre-activation > 0), its activation mean/variance and
+  // class selectivity (μ_max − μ_rest) / (μ_max + μ_rest) over the class-conditional mean activations.
+  constructor(model, loader) {
+    this.model = model;
+    this.loader = loader ?? null;
+    this.report = null;
+    this.stale = false;
+    this.running = false;
+    this.runToken = 0;
+    this.listeners = new Set();
+  }
+
+  get available() {
+    return Boolean(this.loader?.images?.length);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  async run() {
+    if (!this.available) return null;
+    this.runToken += 1;
+    const token = this.runToken;
+    const total = this.loader.totalSamples;
+    const classes = 10;
+    const hidden = this.model.layers.slice(0, -1).map((layer, layerIndex) => {
+      const units = this.model.architecture[layerIndex + 1];
+      return {
+        layerIndex,
+        activation: resolveActivationName(layer.activation) ?? layer.activation,
+        units,
+        fires: new Int32Array(units),
+        sum: new Float64Array(units),
+        sumSquares: new Float64Array(units),
+        classSums: new Float64Array(units * classes),
+      };
+    });
+    const classCounts = new Int32Array(classes);
+    this.running = true;
+    this.emit({ type: "progress", fraction: 0 });
+    for (const batch of iterateSampleBatches(this.loader, 500)) {
+      const { activations, preActivations } = this.model.propagateBatch(batch.samples);
+      batch.labels.forEach((label) => {
+        if (label < classes) classCounts[label] += 1;
+      });
+      hidden.forEach((entry) => {
+        const values = activations[entry.layerIndex + 1];
+        const pre = preActivations[entry.layerIndex];
+        const { units } = entry;
+        for (let sample = 0; sample < batch.count; sample += 1) {
+          const label = batch.labels[sample];
+          const offset = sample * units;
+          for (let unit = 0; unit < units; unit += 1) {
+            const value = values[offset + unit];
+            if (pre[offset + unit] > 0) entry.fires[unit] += 1;
+            entry.sum[unit] += value;
+            entry.sumSquares[unit] += value * value;
+            if (label < classes) entry.classSums[unit * classes + label] += value;
+          }
+        }
+      });
+      this.emit({ type: "progress", fraction: (batch.start + batch.count) / total });
+      await yieldToEventLoop();
+      if (token !== this.runToken) return null;
+    }
+    this.running = false;
+    this.report = {
+      total,
+      layers: hidden.map((entry) => this.summariseLayer(entry, total, classCounts)),
+    };
+    this.stale = false;
+    this.emit({ type: "report", report: this.report });
+    return this.report;
+  }
+
+  summariseLayer({ layerIndex, activation, units, fires, sum, sumSquares, classSums }, total, classCounts) {
+    const classes = classCounts.length;
+    const fireRate = new Float32Array(units);
+    const mean = new Float32Array(units);
+    const variance = new Float32Array(units);
+    const selectivity = new Float32Array(units);
+    const preferredClass = new Uint8Array(units);
+    const dead = [];
+    const saturated = [];
+    for (let unit = 0; unit < units; unit += 1) {
+      fireRate[unit] = fires[unit] / total;
+      mean[unit] = sum[unit] / total;
+      variance[unit] = Math.max(sumSquares[unit] / total - mean[unit] * mean[unit], 0);
+      if (fires[unit] === 0) dead.push(unit);
+      else if (fireRate[unit] >= SATURATION_FIRE_RATE) saturated.push(unit);
+      let best = 0;
+      let bestMean = Number.NEGATIVE_INFINITY;
+      let totalMean = 0;
+      let present = 0;
+      for (let digit = 0; digit < classes; digit += 1) {
+        if (!classCounts[digit]) continue;
+        const classMean = classSums[unit * classes + digit] / classCounts[digit];
+        totalMean += classMean;
+        present += 1;
+        if (classMean > bestMean) {
+          bestMean = classMean;
+          best = digit;
+        }
+      }
+      const restMean = present > 1 ? (totalMean - bestMean) / (present - 1) : 0;
+      const denominator = Math.abs(bestMean) + Math.abs(restMean);
+      selectivity[unit] = denominator > 1e-9 ? (bestMean - restMean) / denominator : 0;
+      preferredClass[unit] = best;
+    }
+    const alive = units - dead.length;
+    const selectivitySum = selectivity.reduce((acc, value, unit) => acc + (fires[unit] ? value : 0), 0);
+    return {
+      layerIndex,
+      activation,
+      units,
+      fireRate,
+      mean,
+      variance,
+      selectivity,
+      preferredClass,
+      dead,
+      saturated,
+      meanActivation: mean.reduce((acc, value) => acc + value, 0) / Math.max(units, 1),
+      meanVariance: variance.reduce((acc, value) => acc + value, 0) / Math.max(units, 1),
+      meanSelectivity: alive ? selectivitySum / alive : 0,
+    };
+  }
+
+  invalidate() {
+    if (this.running) {
+      this.runToken += 1;
+      this.running = false;
+      this.emit({ type: "cancelled" });
+    }
+    if (this.report && !this.stale) {
+      this.stale = true;
+      this.emit({ type: "stale" });
+    }
+  }
+
+  reset() {
+    // After a model swap the old report does not even match the layer layout.
+    this.invalidate();
+    this.report = null;
+    this.stale = false;
+  }
+}
+
+class EvaluationPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Auswertungs-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.evaluator = options.evaluator;
+    this.loader = this.evaluator?.loader ?? null;
+    this.selectedCell = null;
+    this.elements = {
+      run: document.getElementById("evaluationRunButton"),
+      progress: document.getElementById("evaluationProgress"),
+      summary: document.getElementById("evaluationSummary"),
+      classes: document.getElementById("evaluationClassTable"),
+      matrix: document.getElementById("evaluationMatrix"),
+      samples: document.getElementById("evaluationSamples"),
+      close: document.getElementById("closeEvaluationPanel"),
+    };
+    this.bindEvents();
+    this.evaluator?.subscribe((event) => this.handleEvaluatorEvent(event));
+    if (!this.loader?.images?.length) {
+      if (this.elements.run) this.elements.run.disabled = true;
+      this.setSummary("MNIST-Testdaten nicht verfügbar.");
+    } else {
+      this.setSummary(`Wertet das aktuelle Modell auf ${formatInteger(this.loader.totalSamples)} Testbildern aus.`);
+    }
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => this.container.classList.toggle("hidden"));
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.run?.addEventListener("click", () => this.evaluator.run());
+    elements.matrix?.addEventListener("click", (event) => {
+      const cell = event.target.closest?.("[data-cell]");
+      if (!cell) return;
+      const [actual, predicted] = cell.dataset.cell.split(":").map(Number);
+      this.selectCell(actual, predicted);
+    });
+    elements.samples?.addEventListener("click", (event) => {
+      const button = event.target.closest?.("[data-sample]");
+      if (!button || typeof this.options.onSampleSelect !== "function") return;
+      const sample = this.loader.getSampleByIndex(Number(button.dataset.sample));
+      if (sample) this.options.onSampleSelect(sample);
+    });
+  }
+
+  get results() {
+    return this.evaluator?.results ?? null;
+  }
+
+  handleEvaluatorEvent(event) {
+    if (event.type === "progress") {
+      if (this.elements.run) this.elements.run.disabled = true;
+      this.setProgress(event.fraction);
+    } else if (event.type === "cancelled") {
+      if (this.elements.run) this.elements.run.disabled = false;
+      this.setProgress(null);
+    } else if (event.type === "results") {
+      if (this.elements.run) this.elements.run.disabled = false;
+      this.setProgress(null);
+      this.selectedCell = null;
+      this.render();
+    } else if (event.type === "stale") {
+      this.renderSummary();
+    }
+  }
+
+  render() {
+    this.renderSummary();
+    this.renderClassTable();
+    this.renderMatrix();
+    this.renderSamples();
+  }
+
+  renderSummary() {
+    if (!this.results) return;
+    const { accuracy, total } = this.results;
+    this.setSummary(
+      `Genauigkeit ${formatDecimal(accuracy * 100, 2)}% auf ${formatInteger(total)} Testbildern` +
+        (this.evaluator.stale ? " (veraltet – Modell wurde seitdem geändert)" : ""),
+    );
+  }
+
+  renderClassTable() {
+    const table = this.elements.classes;
+    if (!table || !this.results) return;
+    const formatRatio = (value) => (value === null ? "—" : `${formatDecimal(value * 100, 1)}%`);
+    const rows = this.results.perClass
+      .map(
+        ({ digit, support, precision, recall }) => `
+        <tr>
+          <th scope="row">${digit}</th>
+          <td>${formatRatio(precision)}</td>
+          <td>${formatRatio(recall)}</td>
+          <td>${formatInteger(support)}</td>
+        </tr>
+      `,
+      )
+      .join("");
+    table.innerHTML = `
+      <thead><tr><th>Ziffer</th><th>Präzision</th><th>Recall</th><th>Anzahl</th></tr></thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  renderMatrix() {
+    const matrix = this.elements.matrix;
+    if (!matrix || !this.results) return;
+    const { classes, confusion } = this.results;
+    const header = Array.from({ length: classes }, (_, digit) => `<th scope="col">${digit}</th>`).join("");
+    const rows = Array.from({ length: classes }, (_, actual) => {
+      let rowTotal = 0;
+      for (let predicted = 0; predicted < classes; predicted += 1) rowTotal += confusion[actual * classes + predicted];
+      const cells = Array.from({ length: classes }, (_, predicted) => {
+        const count = confusion[actual * classes + predicted];
+        const share = rowTotal ? count / rowTotal : 0;
+        // Diagonal cells shade green by recall, errors shade red; the square root keeps rare confusions visible.
+        const intensity = count ? 0.15 + 0.85 * Math.sqrt(share) : 0;
+        const color = actual === predicted ? `rgba(34, 197, 94, ${intensity})` : `rgba(239, 68, 68, ${intensity})`;
+        const selected =
+          this.selectedCell?.actual === actual && this.selectedCell?.predicted === predicted
+            ? " evaluation-matrix__cell--selected"
+            : "";
+        return `<td><button type="button" class="evaluation-matrix__cell${selected}" data-cell="${actual}:${predicted}" style="background:${color}" title="Ist ${actual}, erkannt als ${predicted}: ${count}"${count ? "" : " disabled"}>${count || ""}</button></td>`;
+      }).join("");
+      return `<tr><th scope="row">${actual}</th>${cells}</tr>`;
+    }).join("");
+    matrix.innerHTML = `
+      <thead><tr><th class="evaluation-matrix__corner">Ist ↓ Erkannt →</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  selectCell(actual, predicted) {
+    if (!this.results) return;
+    this.selectedCell = { actual, predicted };
+    this.renderMatrix();
+    this.renderSamples();
+  }
+
+  renderSamples() {
+    const container = this.elements.samples;
+    if (!container) return;
+    if (!this.results || !this.selectedCell) {
+      container.innerHTML = "";
+      return;
+    }
+    const { actual, predicted } = this.selectedCell;
+    const { predictions, probabilities, classes } = this.results;
+    const matches = [];
+    predictions.forEach((value, index) => {
+      if (value === predicted && this.loader.labels[index] === actual) {
+        matches.push({ index, confidence: probabilities[index * classes + predicted] });
+      }
+    });
+    // Most confident mistakes first: they are the most instructive ones to look at.
+    matches.sort((a, b) => b.confidence - a.confidence);
+    const shown = matches.slice(0, MAX_LISTED_SAMPLES);
+    container.innerHTML = `
+      <div class="evaluation-panel__samples-title">
+        Ist ${actual}, erkannt als ${predicted}: ${formatInteger(matches.length)} Bilder${
+          matches.length > shown.length ? ` (die ${shown.length} sichersten)` : ""
+        }
+      </div>
+      <div class="evaluation-panel__sample-grid">
+        ${shown
+          .map(
+            ({ index, confidence }) => `
+          <button type="button" class="evaluation-panel__sample" data-sample="${index}" title="Testbild #${index} • p(${predicted}) = ${formatDecimal(confidence * 100, 1)}%">
+            <canvas class="sample-thumbnail"></canvas>
+            <span>${formatDecimal(confidence * 100, 0)}%</span>
+          </button>
+        `,
+          )
+          .join("")}
+      </div>
+    `;
+    container.querySelectorAll("[data-sample]").forEach((button) => {
+      const sample = this.loader.getSampleByIndex(Number(button.dataset.sample));
+      drawDigitThumbnail(button.querySelector("canvas"), sample?.pixels, this.loader.rows, this.loader.cols);
+    });
+  }
+
+  setProgress(fraction) {
+    const progress = this.elements.progress;
+    if (!progress) return;
+    progress.classList.toggle("hidden", fraction === null);
+    progress.style.setProperty("--progress", `${Math.round((fraction ?? 0) * 100)}%`);
+  }
+
+  setSummary(text) {
+    if (this.elements.summary) {
+      this.elements.summary.textContent = text;
+    }
+  }
+}
+
+class SampleGallery {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Galerie-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.evaluator = options.evaluator;
+    this.loader = this.evaluator?.loader ?? null;
+    this.filtered = new Int32Array(0);
+    this.shownCount = 0;
+    this.currentIndex = null;
+    this.recent = [];
+    this.elements = {
+      label: document.getElementById("galleryLabelSelect"),
+      prediction: document.getElementById("galleryPredictionSelect"),
+      correctness: document.getElementById("galleryCorrectnessSelect"),
+      minConfidence: document.getElementById("galleryMinConfidenceInput"),
+      maxConfidence: document.getElementById("galleryMaxConfidenceInput"),
+      sort: document.getElementById("gallerySortSelect"),
+      predict: document.getElementById("galleryPredictButton"),
+      status: document.getElementById("galleryStatus"),
+      grid: document.getElementById("galleryGrid"),
+      more: document.getElementById("galleryMoreButton"),
+      recent: document.getElementById("galleryRecent"),
+      close: document.getElementById("closeGalleryPanel"),
+    };
+    [this.elements.label, this.elements.prediction].forEach((select) => {
+      if (!select) return;
+      select.innerHTML =
+        `<option value="">Alle</option>` +
+        Array.from({ length: 10 }, (_, digit) => `<option value="${digit}">${digit}</option>`).join("");
+    });
+    this.bindEvents();
+    this.evaluator?.subscribe((event) => this.handleEvaluatorEvent(event));
+    this.refresh();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (!this.container.classList.contains("hidden")) {
+        this.renderGrid();
+      }
+    });
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    [
+      elements.label,
+      elements.prediction,
+      elements.correctness,
+      elements.minConfidence,
+      elements.maxConfidence,
+      elements.sort,
+    ].forEach((element) => element?.addEventListener("change", () => this.refresh()));
+    elements.predict?.addEventListener("click", () => this.evaluator?.run());
+    elements.more?.addEventListener("click", () => {
+      this.shownCount += GALLERY_PAGE_SIZE;
+      this.renderGrid();
+    });
+    [elements.grid, elements.recent].forEach((element) => {
+      element?.addEventListener("click", (event) => {
+        const button = event.target.closest?.("[data-sample]");
+        if (button) this.select(Number(button.dataset.sample));
+      });
+    });
+  }
+
+  handleEvaluatorEvent(event) {
+    if (event.type === "progress") {
+      if (this.elements.predict) this.elements.predict.disabled = true;
+      this.setStatus(`Vorhersagen werden berechnet … ${Math.round(event.fraction * 100)}%`);
+    } else if (event.type === "results" || event.type === "cancelled" || event.type === "stale") {
+      if (this.elements.predict) this.elements.predict.disabled = !this.evaluator.available;
+      this.refresh();
+    }
+  }
+
+  readFilters() {
+    const { elements } = this;
+    const parseDigit = (value) => (value === "" || value === undefined ? null : Number(value));
+    const parsePercent = (value, fallback) => {
+      const parsed = Number.parseFloat(value);
+      return Number.isFinite(parsed) ? clamp(parsed, 0, 100) / 100 : fallback;
+    };
+    return {
+      label: parseDigit(elements.label?.value),
+      prediction: parseDigit(elements.prediction?.value),
+      correctness: elements.correctness?.value ?? "all",
+      minConfidence: parsePercent(elements.minConfidence?.value, 0),
+      maxConfidence: parsePercent(elements.maxConfidence?.value, 1),
+      sort: elements.sort?.value ?? "index",
+    };
+  }
+
+  refresh() {
+    if (!this.loader?.images?.length) {
+      this.setStatus("MNIST-Testdaten nicht verfügbar.");
+      if (this.elements.predict) this.elements.predict.disabled = true;
+      return;
+    }
+    const results = this.evaluator.results;
+    const filters = this.readFilters();
+    // Prediction-based filters and sort keys only exist after an evaluation pass.
+    [this.elements.prediction, this.elements.correctness, this.elements.minConfidence, this.elements.maxConfidence].forEach(
+      (element) => {
+        if (element) element.disabled = !results;
+      },
+    );
+    this.elements.sort?.querySelectorAll("option[data-needs-predictions]").forEach((option) => {
+      option.disabled = !results;
+    });
+    const sort = results ? filters.sort : "index";
+    const { labels, totalSamples } = this.loader;
+    const matches = [];
+    for (let index = 0; index < totalSamples; index += 1) {
+      if (filters.label !== null && labels[index] !== filters.label) continue;
+      if (results) {
+        const predicted = results.predictions[index];
+        const confidence = results.confidence[index];
+        if (filters.prediction !== null && predicted !== filters.prediction) continue;
+        if (filters.correctness === "correct" && predicted !== labels[index]) continue;
+        if (filters.correctness === "wrong" && predicted === labels[index]) continue;
+        if (confidence < filters.minConfidence || confidence > filters.maxConfidence) continue;
+      }
+      matches.push(index);
+    }
+    const sortKeys = {
+      entropy_desc: (index) => -results.entropy[index],
+      entropy_asc: (index) => results.entropy[index],
+      margin_asc: (index) => results.margin[index],
+      confidence_desc: (index) => -results.confidence[index],
+    };
+    if (sortKeys[sort]) {
+      const key = sortKeys[sort];
+      matches.sort((a, b) => key(a) - key(b));
+    }
+    this.filtered = Int32Array.from(matches);
+    this.shownCount = GALLERY_PAGE_SIZE;
+    const note = results
+      ? this.evaluator.stale
+        ? " • Vorhersagen veraltet"
+        : ""
+      : " • Für Vorhersage-Filter zuerst die Vorhersagen berechnen";
+    this.setStatus(`${formatInteger(matches.length)} von ${formatInteger(totalSamples)} Testbildern${note}`);
+    this.renderGrid();
+  }
+
+  renderGrid() {
+    const grid = this.elements.grid;
+    if (!grid || this.container.classList.contains("hidden")) return;
+    const results = this.evaluator.results;
+    const visible = this.filtered.subarray(0, this.shownCount);
+    grid.innerHTML = Array.from(visible, (index) => {
+      const label = this.loader.labels[index];
+      const predicted = results ? results.predictions[index] : null;
+      const wrong = predicted !== null && predicted !== label;
+      const caption = predicted === null ? `${label}` : wrong ? `${label}→${predicted}` : `${label}`;
+      const confidence = results ? ` • ${formatDecimal(results.confidence[index] * 100, 0)}%` : "";
+      const classes = [
+        "gallery-panel__tile",
+        wrong ? "gallery-panel__tile--wrong" : "",
+        index === this.currentIndex ? "gallery-panel__tile--current" : "",
+      ].join(" ");
+      return `
+        <button type="button" class="${classes.trim()}" data-sample="${index}" title="Testbild #${index}">
+          <canvas class="sample-thumbnail"></canvas>
+          <span>${caption}${confidence}</span>
+        </button>
+      `;
+    }).join("");
+    grid.querySelectorAll("[data-sample]").forEach((button) => {
+      this.drawThumbnail(button.querySelector("canvas"), Number(button.dataset.sample));
+    });
+    if (this.elements.more) {
+      this.elements.more.classList.toggle("hidden", this.shownCount >= this.filtered.length);
+    }
+  }
+
+  drawThumbnail(canvas, index) {
+    // Drawn straight from the uint8 blob so browsing does not fill the loader's normalised pixel cache.
+    const { images, sampleSize, rows, cols } = this.loader;
+    const bytes = images.subarray(index * sampleSize, (index + 1) * sampleSize);
+    drawDigitThumbnail(canvas, Float32Array.from(bytes, (value) => value / 255), rows, cols);
+  }
+
+  select(index) {
+    const sample = this.loader?.getSampleByIndex(index);
+    if (!sample) return;
+    if (typeof this.options.onSampleSelect === "function") {
+      this.options.onSampleSelect(sample);
+    } else {
+      this.recordSample(sample);
+    }
+  }
+
+  recordSample(sample) {
+    if (!Number.isInteger(sample?.index)) return;
+    this.currentIndex = sample.index;
+    this.recent = [sample.index, ...this.recent.filter((index) => index !== sample.index)].slice(0, 12);
+    this.elements.grid?.querySelectorAll("[data-sample]").forEach((button) => {
+      button.classList.toggle("gallery-panel__tile--current", Number(button.dataset.sample) === this.currentIndex);
+    });
+    this.renderRecent();
+  }
+
+  renderRecent() {
+    const container = this.elements.recent;
+    if (!container) return;
+    container.innerHTML = this.recent.length
+      ? `<span>Zuletzt geladen:</span>${this.recent
+          .map(
+            (index) =>
+              `<button type="button" class="gallery-panel__chip${index === this.currentIndex ? " gallery-panel__chip--current" : ""}" data-sample="${index}">#${index} (${this.loader.labels[index]})</button>`,
+          )
+          .join("")}`
+      : "";
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class AdversarialPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Adversarial-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.model = options.model;
+    this.result = null;
+    this.elements = {
+      method: document.getElementById("adversarialMethodSelect"),
+      epsilon: document.getElementById("adversarialEpsilonInput"),
+      epsilonValue: document.getElementById("adversarialEpsilonValue"),
+      target: document.getElementById("adversarialTargetSelect"),
+      steps: document.getElementById("adversarialStepsInput"),
+      stepsField: document.getElementById("adversarialStepsField"),
+      generate: document.getElementById("adversarialGenerateButton"),
+      apply: document.getElementById("adversarialApplyButton"),
+      status: document.getElementById("adversarialStatus"),
+      original: document.getElementById("adversarialOriginalCanvas"),
+      perturbation: document.getElementById("adversarialPerturbationCanvas"),
+      adversarial: document.getElementById("adversarialImageCanvas"),
+      close: document.getElementById("closeAdversarialPanel"),
+    };
+    if (this.elements.target) {
+      this.elements.target.innerHTML =
+        `<option value="">Weg von der Ausgangsklasse</option>` +
+        Array.from({ length: 10 }, (_, digit) => `<option value="${digit}">Zielklasse ${digit}</option>`).join("");
+    }
+    this.bindEvents();
+    this.updateControls();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (this.container.classList.contains("hidden")) {
+        this.clearResult();
+      }
+    });
+    elements.close?.addEventListener("click", () => {
+      this.container.classList.add("hidden");
+      this.clearResult();
+    });
+    elements.epsilon?.addEventListener("input", () => {
+      this.updateControls();
+      // ε is a budget slider, so an existing preview follows it live.
+      if (this.result) this.generate();
+    });
+    [elements.method, elements.target, elements.steps].forEach((element) =>
+      element?.addEventListener("change", () => {
+        this.updateControls();
+        if (this.result) this.generate();
+      }),
+    );
+    elements.generate?.addEventListener("click", () => this.generate());
+    elements.apply?.addEventListener("click", () => this.apply());
+  }
+
+  readSettings() {
+    const { elements } = this;
+    const target = elements.target?.value ?? "";
+    return {
+      method: elements.method?.value === "pgd" ? "pgd" : "fgsm",
+      epsilon: clamp(Number.parseFloat(elements.epsilon?.value) || 0, 0, 1),
+      targetClass: target === "" ? null : Number(target),
+      steps: clamp(Math.round(Number(elements.steps?.value) || 10), 1, 200),
+    };
+  }
+
+  updateControls() {
+    const settings = this.readSettings();
+    if (this.elements.epsilonValue) {
+      this.elements.epsilonValue.textContent = formatDecimal(settings.epsilon, 2);
+    }
+    this.elements.stepsField?.classList.toggle("hidden", settings.method !== "pgd");
+    if (this.elements.apply) {
+      this.elements.apply.disabled = !this.result;
+    }
+  }
+
+  generate() {
+    const pixels = this.options.getPixels?.();
+    if (!pixels?.length) return;
+    const settings = this.readSettings();
+    const trueClass = this.options.getTrueClass?.() ?? null;
+    try {
+      this.result = this.model.computeAdversarial(pixels, { ...settings, sourceClass: trueClass });
+      this.result.sourceIsLabel = trueClass !== null;
+    } catch (error) {
+      console.error("Adversariales Beispiel fehlgeschlagen:", error);
+      this.clearResult(`Fehler: ${error.message}`);
+      return;
+    }
+    this.render();
+    this.options.onPreview?.(this.result);
+  }
+
+  render() {
+    const { result, elements } = this;
+    const [rows, cols] = this.model.getInputGrid();
+    drawDigitThumbnail(elements.original, result.original, rows, cols);
+    // Amplified so that ±ε spans the full colour range.
+    drawDivergingThumbnail(elements.perturbation, result.perturbation, rows, cols, result.epsilon || 1);
+    drawDigitThumbnail(elements.adversarial, result.adversarial, rows, cols);
+    const before = argMax(result.originalProbabilities);
+    const after = argMax(result.probabilities);
+    const percent = (value) => `${formatDecimal(value * 100, 1)}%`;
+    const goal =
+      result.targetClass === null
+        ? `weg von ${result.sourceClass} (${result.sourceIsLabel ? "Label" : "Vorhersage"})`
+        : `Ziel ${result.targetClass}`;
+    const tracked = result.targetClass ?? result.sourceClass;
+    this.setStatus(
+      `${result.method.toUpperCase()}, ε = ${formatDecimal(result.epsilon, 2)}, ${goal}: ` +
+        `${before} (${percent(result.originalProbabilities[before])}) → ${after} (${percent(result.probabilities[after])}); ` +
+        `P(${tracked}) ${percent(result.originalProbabilities[tracked])} → ${percent(result.probabilities[tracked])}`,
+    );
+    this.updateControls();
+  }
+
+  apply() {
+    if (!this.result) return;
+    const pixels = this.result.adversarial;
+    this.clearResult("Adversariales Bild auf das Raster übernommen.");
+    this.options.onApply?.(pixels);
+  }
+
+  invalidate() {
+    if (!this.result) return;
+    this.clearResult("Zeichnung oder Gewichte geändert – bitte neu erzeugen.");
+  }
+
+  clearResult(message = "") {
+    const hadResult = Boolean(this.result);
+    this.result = null;
+    this.setStatus(message);
+    this.updateControls();
+    if (hadResult) {
+      this.options.onPreview?.(null);
+    }
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class ActivationMaximizationPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Container für Aktivierungsmaximierung nicht gefunden.");
+    }
+    this.options = options;
+    this.model = options.model;
+    this.target = null;
+    this.snapshotKey = null;
+    this.cache = new Map();
+    this.result = null;
+    this.runToken = 0;
+    this.running = false;
+    this.elements = {
+      target: document.getElementById("maximizeTarget"),
+      steps: document.getElementById("maximizeStepsInput"),
+      l2: document.getElementById("maximizeL2Input"),
+      tv: document.getElementById("maximizeTvInput"),
+      canvas: document.getElementById("maximizeCanvas"),
+      progress: document.getElementById("maximizeProgress"),
+      status: document.getElementById("maximizeStatus"),
+      run: document.getElementById("maximizeRunButton"),
+      apply: document.getElementById("maximizeApplyButton"),
+      close: document.getElementById("closeMaximizePanel"),
+    };
+    this.bindEvents();
+    this.render();
+  }
+
+  bindEvents() {
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (this.container.classList.contains("hidden")) this.cancel();
+    });
+    this.elements.close?.addEventListener("click", () => {
+      this.container.classList.add("hidden");
+      this.cancel();
+    });
+    this.elements.run?.addEventListener("click", () => (this.running ? this.cancel() : this.run()));
+    this.elements.apply?.addEventListener("click", () => {
+      if (this.result) this.options.onApply?.(Float32Array.from(this.result.pixels));
+    });
+  }
+
+  static cacheKey(snapshotKey, target) {
+    return `${snapshotKey}:${target.layerIndex}:${target.unitIndex}`;
+  }
+
+  setSelection(detail) {
+    // Visual layer l is model layer l − 1; input pixels have nothing to maximise.
+    const next =
+      detail && detail.layerIndex > 0
+        ? { layerIndex: detail.layerIndex - 1, unitIndex: detail.neuronIndex, label: detail.layerLabel }
+        : null;
+    if (next && this.target && next.layerIndex === this.target.layerIndex && next.unitIndex === this.target.unitIndex) {
+      return;
+    }
+    this.cancel();
+    this.target = next;
+    this.result = this.lookupCache();
+    this.render();
+  }
+
+  setSnapshotKey(key) {
+    this.cancel();
+    this.snapshotKey = key ?? null;
+    this.result = this.lookupCache();
+    this.render();
+  }
+
+  invalidate() {
+    // Weights or ablations changed outside the timeline, so results no longer belong to a snapshot.
+    this.setSnapshotKey(null);
+  }
+
+  handleModelChange() {
+    // Snapshot ids such as "initial" repeat across exports, so cached images would be attributed wrongly.
+    this.cache.clear();
+    this.target = null;
+    this.setSnapshotKey(null);
+  }
+
+  lookupCache() {
+    if (!this.target || this.snapshotKey === null) return null;
+    return this.cache.get(ActivationMaximizationPanel.cacheKey(this.snapshotKey, this.target)) ?? null;
+  }
+
+  readSettings() {
+    const read = (element, fallback, min, max) => {
+      const value = Number.parseFloat(element?.value);
+      return Number.isFinite(value) ? clamp(value, min, max) : fallback;
+    };
+    return {
+      steps: Math.round(read(this.elements.steps, 200, 1, 5000)),
+      l2: read(this.elements.l2, 0.01, 0, 10),
+      tv: read(this.elements.tv, 0.05, 0, 10),
+    };
+  }
+
+  async run() {
+    if (!this.target || this.running) return;
+    const token = ++this.runToken;
+    const target = this.target;
+    const snapshotKey = this.snapshotKey;
+    const settings = this.readSettings();
+    const pixels = new Float32Array(shapeSize(this.model.inputShape));
+    for (let i = 0; i < pixels.length; i += 1) {
+      pixels[i] = 0.4 + Math.random() * 0.2;
+    }
+    this.running = true;
+    this.result = null;
+    this.render();
+    let outcome = null;
+    for (let step = 0; step < settings.steps; step += 1) {
+      outcome = this.model.stepActivationMaximization(pixels, target.layerIndex, target.unitIndex, settings);
+      const last = step === settings.steps - 1;
+      if (last || (step + 1) % MAXIMIZATION_STEPS_PER_FRAME === 0) {
+        this.drawPixels(pixels);
+        this.setProgress((step + 1) / settings.steps);
+        this.setStatus(
+          `Schritt ${formatInteger(step + 1)}/${formatInteger(settings.steps)} • Voraktivierung ${formatDecimal(outcome.activation, 3)}`,
+        );
+        await yieldToEventLoop();
+        if (token !== this.runToken) return;
+      }
+    }
+    this.running = false;
+    this.result = { pixels, activation: outcome.activation, settings };
+    if (snapshotKey !== null) {
+      this.cache.set(ActivationMaximizationPanel.cacheKey(snapshotKey, target), this.result);
+    }
+    this.render();
+  }
+
+  cancel() {
+    if (!this.running) return;
+    this.runToken += 1;
+    this.running = false;
+    this.render();
+  }
+
+  render() {
+    const { elements, target, result } = this;
+    if (elements.target) {
+      elements.target.textContent = target
+        ? `${target.label ?? `Schicht ${target.layerIndex + 1}`} • Neuron ${target.unitIndex}`
+        : "Neuron in einer verdeckten oder der Ausgabeschicht auswählen.";
+    }
+    if (elements.run) {
+      elements.run.disabled = !target;
+      elements.run.textContent = this.running ? "Abbrechen" : result ? "Neu berechnen" : "Maximieren";
+    }
+    if (elements.apply) {
+      elements.apply.disabled = !result || this.running;
+    }
+    if (this.running) return;
+    this.setProgress(result ? 1 : 0);
+    if (result) {
+      this.drawPixels(result.pixels);
+      const { steps, l2, tv } = result.settings;
+      this.setStatus(
+        `Voraktivierung ${formatDecimal(result.activation, 3)} nach ${formatInteger(steps)} Schritten (λ₂ ${l2}, TV ${tv})` +
+          (this.snapshotKey === null ? "" : " • für diesen Snapshot gespeichert"),
+      );
+    } else {
+      this.drawPixels(null);
+      this.setStatus("");
+    }
+  }
+
+  drawPixels(pixels) {
+    const [rows, cols] = this.model.getInputGrid();
+    drawDigitThumbnail(this.elements.canvas, pixels, rows, cols);
+  }
+
+  setProgress(fraction) {
+    this.elements.progress?.style.setProperty("--progress", `${(clamp(fraction, 0, 1) * 100).toFixed(1)}%`);
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class WeightMontagePanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Montage-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.model = options.model;
+    this.layerIndex = null;
+    this.tiles = [];
+    this.norms = new Float32Array(0);
+    this.activations = null;
+    this.dirty = true;
+    this.elements = {
+      sort: document.getElementById("montageSortSelect"),
+      grid: document.getElementById("montageGrid"),
+      status: document.getElementById("montageStatus"),
+      close: document.getElementById("closeMontagePanel"),
+    };
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (!this.container.classList.contains("hidden")) this.render();
+    });
+    this.elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    this.elements.sort?.addEventListener("change", () => this.applyOrder());
+    this.elements.grid?.addEventListener("click", (event) => {
+      const tile = event.target.closest?.("[data-unit]");
+      if (tile && this.layerIndex !== null) {
+        this.options.onNeuronSelect?.(this.layerIndex, Number(tile.dataset.unit));
+      }
+    });
+  }
+
+  get visible() {
+    return !this.container.classList.contains("hidden");
+  }
+
+  refresh() {
+    // Weights changed (timeline, training or edits); images are redrawn lazily while the panel is closed.
+    this.dirty = true;
+    if (this.visible) this.render();
+  }
+
+  setActivations(activations) {
+    this.activations = activations ?? null;
+    if (this.visible && this.elements.sort?.value === "activation") this.applyOrder();
+  }
+
+  render() {
+    if (!this.dirty) {
+      this.applyOrder();
+      return;
+    }
+    this.dirty = false;
+    const grid = this.elements.grid;
+    this.layerIndex = this.model.findInputWeightLayer();
+    if (this.layerIndex === null || !grid) {
+      this.tiles = [];
+      if (grid) grid.innerHTML = "";
+      this.setStatus("Keine Dense-Schicht direkt am Eingang – Gewichtsbilder nicht verfügbar.");
+      return;
+    }
+    const units = this.model.layers[this.layerIndex].weightShape[0];
+    if (this.tiles.length !== units) {
+      grid.innerHTML = Array.from(
+        { length: units },
+        (_, unit) => `
+          <button type="button" class="montage-panel__tile" data-unit="${unit}">
+            <canvas class="montage-panel__canvas"></canvas>
+          </button>
+        `,
+      ).join("");
+      this.tiles = Array.from(grid.querySelectorAll("[data-unit]"));
+    }
+    this.norms = new Float32Array(units);
+    this.tiles.forEach((tile, unit) => {
+      const image = this.model.getInputWeightImage(this.layerIndex, unit);
+      let sum = 0;
+      for (let i = 0; i < image.weights.length; i += 1) {
+        sum += image.weights[i] * image.weights[i];
+      }
+      this.norms[unit] = Math.sqrt(sum);
+      tile.title = `Neuron ${unit + 1} • ‖w‖ = ${formatDecimal(this.norms[unit], 3)}`;
+      drawDivergingThumbnail(tile.querySelector("canvas"), image.weights, image.rows, image.cols);
+    });
+    this.setStatus(`Schicht ${this.layerIndex + 1}: ${formatInteger(units)} Neuronen, jedes Bild auf sein eigenes Maximum skaliert.`);
+    this.applyOrder();
+  }
+
+  applyOrder() {
+    if (!this.tiles.length || !this.elements.grid) return;
+    const mode = this.elements.sort?.value ?? "index";
+    const order = this.tiles.map((_, unit) => unit);
+    if (mode === "norm") {
+      order.sort((a, b) => this.norms[b] - this.norms[a]);
+    } else if (mode === "activation") {
+      const values = this.activations?.[this.layerIndex + 1];
+      if (values) order.sort((a, b) => values[b] - values[a]);
+    }
+    // Re-appending existing nodes only moves them, so canvases are not redrawn.
+    order.forEach((unit) => this.elements.grid.appendChild(this.tiles[unit]));
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class ProjectionPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Projektions-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.model = options.model;
+    this.loader = options.loader ?? null;
+    this.worker = null;
+    this.requestId = 0;
+    this.pending = null;
+    this.projection = null;
+    this.stale = false;
+    this.currentActivations = null;
+    this.currentPoint = null;
+    this.rotation = { yaw: 0.6, pitch: 0.35 };
+    this.drag = null;
+    this.screenPoints = [];
+    this.elements = {
+      layer: document.getElementById("projectionLayerSelect"),
+      method: document.getElementById("projectionMethodSelect"),
+      dims: document.getElementById("projectionDimsSelect"),
+      samples: document.getElementById("projectionSamplesSelect"),
+      perplexity: document.getElementById("projectionPerplexityInput"),
+      auto: document.getElementById("projectionAutoToggle"),
+      run: document.getElementById("projectionRunButton"),
+      progress: document.getElementById("projectionProgress"),
+      status: document.getElementById("projectionStatus"),
+      canvas: document.getElementById("projectionCanvas"),
+      legend: document.getElementById("projectionLegend"),
+      close: document.getElementById("closeProjectionPanel"),
+    };
+    this.populateLayerOptions();
+    if (this.elements.legend) {
+      this.elements.legend.innerHTML = DIGIT_COLORS.map(
+        (color, digit) => `<span><i style="background:${color}"></i>${digit}</span>`,
+      ).join("");
+    }
+    this.bindEvents();
+    this.setStatus(this.loader ? "Schicht und Methode wählen, dann „Projizieren“." : "MNIST-Testdaten nicht verfügbar.");
+    if (this.elements.run) this.elements.run.disabled = !this.loader;
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (!this.container.classList.contains("hidden")) this.draw();
+    });
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.run?.addEventListener("click", () => (this.pending ? this.cancel() : this.run()));
+    const canvas = elements.canvas;
+    if (!canvas) return;
+    canvas.addEventListener("pointerdown", (event) => {
+      this.drag = { x: event.clientX, y: event.clientY, moved: false };
+      canvas.setPointerCapture?.(event.pointerId);
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (!this.drag) return;
+      const dx = event.clientX - this.drag.x;
+      const dy = event.clientY - this.drag.y;
+      if (!this.drag.moved && Math.hypot(dx, dy) < 4) return;
+      this.drag.moved = true;
+      if (this.projection?.dims === 3) {
+        this.rotation.yaw += dx * 0.01;
+        this.rotation.pitch = clamp(this.rotation.pitch + dy * 0.01, -1.5, 1.5);
+        this.drag.x = event.clientX;
+        this.drag.y = event.clientY;
+        this.draw();
+      }
+    });
+    canvas.addEventListener("pointerup", (event) => {
+      const drag = this.drag;
+      this.drag = null;
+      if (!drag || drag.moved) return;
+      const rect = canvas.getBoundingClientRect();
+      const x = ((event.clientX - rect.left) / rect.width) * canvas.width;
+      const y = ((event.clientY - rect.top) / rect.height) * canvas.height;
+      this.selectNearest(x, y);
+    });
+  }
+
+  populateLayerOptions() {
+    const select = this.elements.layer;
+    if (!select) return;
+    const sizes = this.model.architecture;
+    select.innerHTML = sizes
+      .map((size, index) => {
+        const name = index === 0 ? "Eingabe" : index === sizes.length - 1 ? "Ausgabe" : `Schicht ${index}`;
+        return `<option value="${index}"${index === Math.min(1, sizes.length - 1) ? " selected" : ""}>${name} (${size} Einheiten)</option>`;
+      })
+      .join("");
+  }
+
+  readSettings() {
+    const { elements } = this;
+    const layerIndex = Number.parseInt(elements.layer?.value, 10);
+    return {
+      layerIndex: Number.isInteger(layerIndex) ? layerIndex : 1,
+      method: elements.method?.value === "tsne" ? "tsne" : "pca",
+      dims: elements.dims?.value === "3" ? 3 : 2,
+      samples: clamp(Math.round(Number(elements.samples?.value) || 1000), 50, 5000),
+      perplexity: clamp(Number.parseFloat(elements.perplexity?.value) || 30, 2, 100),
+    };
+  }
+
+  ensureWorker() {
+    if (this.worker) return this.worker;
+    if (typeof Worker === "undefined" || !this.options.workerUrl) {
+      this.setStatus("Web Worker werden von diesem Browser nicht unterstützt.");
+      return null;
+    }
+    this.worker = new Worker(this.options.workerUrl, { type: "module" });
+    this.worker.addEventListener("message", (event) => this.handleMessage(event.data));
+    this.worker.addEventListener("error", (event) => {
+      event.preventDefault?.();
+      this.pending = null;
+      this.worker = null;
+      this.setStatus(`Fehler: ${event.message || "Projektions-Worker abgestürzt."}`);
+      this.updateRunButton();
+    });
+    return this.worker;
+  }
+
+  async run() {
+    if (!this.loader || this.pending) return;
+    const worker = this.ensureWorker();
+    if (!worker) return;
+    const settings = this.readSettings();
+    const id = ++this.requestId;
+    this.pending = { id, settings };
+    this.updateRunButton();
+    this.setProgress(0);
+    this.setStatus("Aktivierungen werden gesammelt …");
+    const collected = await this.collectActivations(settings, id);
+    if (!collected || this.pending?.id !== id) return;
+    const previous = this.projection;
+    // Reusing the last layout as the starting point keeps t-SNE plots comparable across snapshots.
+    const initial =
+      settings.method === "tsne" &&
+      previous?.method === "tsne" &&
+      previous.layerIndex === settings.layerIndex &&
+      previous.dims === settings.dims &&
+      previous.count === collected.count
+        ? Float32Array.from(previous.embedding)
+        : null;
+    this.pending.collected = collected;
+    const data = collected.data.slice();
+    worker.postMessage(
+      {
+        type: "project",
+        id,
+        method: settings.method,
+        data,
+        count: collected.count,
+        dimension: collected.dimension,
+        options: { dims: settings.dims, perplexity: settings.perplexity, initial },
+      },
+      [data.buffer],
+    );
+    this.setStatus(settings.method === "tsne" ? "t-SNE läuft im Worker …" : "PCA wird berechnet …");
+  }
+
+  async collectActivations({ layerIndex, samples }, id) {
+    const count = Math.min(samples, this.loader.totalSamples);
+    const dimension = this.model.architecture[layerIndex];
+    const data = new Float32Array(count * dimension);
+    for (const batch of iterateSampleBatches(this.loader, 256, count)) {
+      const { activations } = this.model.propagateBatch(batch.samples);
+      data.set(activations[layerIndex], batch.start * dimension);
+      this.setProgress(((batch.start + batch.count) / count) * 0.2);
+      await yieldToEventLoop();
+      if (this.pending?.id !== id) return null;
+    }
+    return { count, dimension, data, labels: this.loader.labels.slice(0, count) };
+  }
+
+  handleMessage(message) {
+    if (!message || message.id !== this.pending?.id) return;
+    const { settings, collected } = this.pending;
+    if (message.type === "error") {
+      this.pending = null;
+      this.setStatus(`Fehler: ${message.message}`);
+      this.updateRunButton();
+      return;
+    }
+    this.projection = {
+      ...settings,
+      dims: message.dims,
+      count: collected.count,
+      dimension: collected.dimension,
+      data: collected.data,
+      labels: collected.labels,
+      embedding: message.embedding,
+      pca: message.pca ?? null,
+    };
+    this.stale = false;
+    if (message.type === "progress") {
+      this.setProgress(0.2 + 0.8 * (message.iteration / message.total));
+      this.setStatus(`t-SNE: Iteration ${formatInteger(message.iteration)}/${formatInteger(message.total)}`);
+    } else if (message.type === "result") {
+      this.pending = null;
+      this.setProgress(1);
+      this.setStatus(this.describeProjection());
+      this.updateRunButton();
+    }
+    this.updateCurrentPoint();
+    this.draw();
+  }
+
+  describeProjection() {
+    const { method, layerIndex, count, pca } = this.projection;
+    const variance = pca
+      ? ` • erklärte Varianz ${Array.from(pca.explainedVariance)
+          .map((value) => `${formatDecimal(value * 100, 1)}%`)
+          .join(" / ")}`
+      : "";
+    const layer = layerIndex === 0 ? "Eingabe" : `Schicht ${layerIndex}`;
+    return `${method === "pca" ? "PCA" : "t-SNE"} von ${layer}, ${formatInteger(count)} Testbilder${variance}${
+      this.stale ? " • veraltet" : ""
+    }`;
+  }
+
+  cancel() {
+    if (!this.pending) return;
+    this.worker?.postMessage({ type: "cancel" });
+    this.pending = null;
+    this.requestId += 1;
+    this.setStatus(this.projection ? `${this.describeProjection()} (abgebrochen)` : "Abgebrochen.");
+    this.updateRunButton();
+  }
+
+  invalidate() {
+    // The plotted activations belong to the old weights until the projection is recomputed.
+    if (!this.projection || this.stale) return;
+    this.stale = true;
+    if (!this.pending) this.setStatus(this.describeProjection());
+  }
+
+  handleSnapshotChange() {
+    if (!this.elements.auto?.checked || this.container.classList.contains("hidden")) return;
+    this.cancel();
+    this.run();
+  }
+
+  handleModelChange() {
+    // Layer choices and the plotted embedding belong to the previous network.
+    this.cancel();
+    this.projection = null;
+    this.stale = false;
+    this.currentPoint = null;
+    this.populateLayerOptions();
+    this.draw();
+    this.setStatus(this.loader ? "Schicht und Methode wählen, dann „Projizieren“." : "MNIST-Testdaten nicht verfügbar.");
+  }
+
+  setCurrentActivations(activations) {
+    this.currentActivations = activations;
+    if (!this.projection || this.container.classList.contains("hidden")) return;
+    this.updateCurrentPoint();
+    this.draw();
+  }
+
+  updateCurrentPoint() {
+    const projection = this.projection;
+    const vector = projection ? this.currentActivations?.[projection.layerIndex] : null;
+    if (!vector || vector.length !== projection.dimension) {
+      this.currentPoint = null;
+      return;
+    }
+    if (projection.pca) {
+      this.currentPoint = projectPca(projection.pca, vector);
+      return;
+    }
+    // t-SNE has no out-of-sample mapping; place the drawing at the inverse-distance-weighted
+    // mean of its nearest neighbours in activation space.
+    const { data, dimension, count, embedding, dims } = projection;
+    const nearest = [];
+    for (let row = 0; row < count; row += 1) {
+      let distance = 0;
+      const offset = row * dimension;
+      for (let column = 0; column < dimension; column += 1) {
+        const diff = data[offset + column] - vector[column];
+        distance += diff * diff;
+      }
+      if (nearest.length < PROJECTION_NEIGHBOURS || distance < nearest[nearest.length - 1].distance) {
+        nearest.push({ row, distance });
+        nearest.sort((a, b) => a.distance - b.distance);
+        if (nearest.length > PROJECTION_NEIGHBOURS) nearest.pop();
+      }
+    }
+    const point = new Float32Array(dims);
+    let total = 0;
+    nearest.forEach(({ row, distance }) => {
+      const weight = 1 / (Math.sqrt(distance) + 1e-6);
+      total += weight;
+      for (let d = 0; d < dims; d += 1) point[d] += weight * embedding[row * dims + d];
+    });
+    point.forEach((value, d) => (point[d] = value / (total || 1)));
+    this.currentPoint = point;
+  }
+
+  toScreen(coordinates, bounds, width, height) {
+    let [x, y, z = 0] = coordinates;
+    x = (x - bounds.center[0]) / bounds.radius;
+    y = (y - bounds.center[1]) / bounds.radius;
+    z = bounds.dims === 3 ? (z - bounds.center[2]) / bounds.radius : 0;
+    if (bounds.dims === 3) {
+      const { yaw, pitch } = this.rotation;
+      const rx = x * Math.cos(yaw) + z * Math.sin(yaw);
+      const rz = -x * Math.sin(yaw) + z * Math.cos(yaw);
+      const ry = y * Math.cos(pitch) - rz * Math.sin(pitch);
+      z = y * Math.sin(pitch) + rz * Math.cos(pitch);
+      x = rx;
+      y = ry;
+    }
+    const scale = Math.min(width, height) * 0.45;
+    return { x: width / 2 + x * scale, y: height / 2 - y * scale, depth: z };
+  }
+
+  computeBounds() {
+    const { embedding, dims, count } = this.projection;
+    const center = new Float32Array(dims);
+    for (let i = 0; i < count; i += 1) {
+      for (let d = 0; d < dims; d += 1) center[d] += embedding[i * dims + d] / count;
+    }
+    let radius = 0;
+    for (let i = 0; i < count; i += 1) {
+      for (let d = 0; d < dims; d += 1) {
+        radius = Math.max(radius, Math.abs(embedding[i * dims + d] - center[d]));
+      }
+    }
+    return { center, radius: radius || 1, dims };
+  }
+
+  draw() {
+    const canvas = this.elements.canvas;
+    const ctx = canvas?.getContext("2d");
+    if (!ctx || this.container.classList.contains("hidden")) return;
+    const width = canvas.clientWidth || 360;
+    const height = canvas.clientHeight || 360;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    this.screenPoints = [];
+    if (!this.projection) return;
+    const { embedding, dims, count, labels } = this.projection;
+    const bounds = this.computeBounds();
+    for (let i = 0; i < count; i += 1) {
+      const point = this.toScreen(embedding.subarray(i * dims, (i + 1) * dims), bounds, width, height);
+      this.screenPoints.push({ ...point, row: i });
+    }
+    // Far points first so nearer ones are drawn on top in 3D.
+    const ordered = dims === 3 ? this.screenPoints.slice().sort((a, b) => a.depth - b.depth) : this.screenPoints;
+    ctx.globalAlpha = this.stale ? 0.45 : 0.8;
+    ordered.forEach(({ x, y, depth, row }) => {
+      ctx.fillStyle = DIGIT_COLORS[labels[row]] ?? "#cbd5f5";
+      const size = dims === 3 ? 2 + (depth + 1) * 0.8 : 2.5;
+      ctx.fillRect(x - size / 2, y - size / 2, size, size);
+    });
+    ctx.globalAlpha = 1;
+    if (this.currentPoint) {
+      const { x, y } = this.toScreen(this.currentPoint, bounds, width, height);
+      ctx.strokeStyle = "#facc15";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 7, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(x - 11, y);
+      ctx.lineTo(x + 11, y);
+      ctx.moveTo(x, y - 11);
+      ctx.lineTo(x, y + 11);
+      ctx.stroke();
+    }
+  }
+
+  selectNearest(x, y) {
+    let best = null;
+    let bestDistance = 8 * 8;
+    this.screenPoints.forEach((point) => {
+      const distance = (point.x - x) ** 2 + (point.y - y) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = point;
+      }
+    });
+    if (!best) return;
+    const sample = this.loader?.getSampleByIndex(best.row);
+    if (sample) this.options.onSampleSelect?.(sample);
+  }
+
+  updateRunButton() {
+    if (this.elements.run) {
+      this.elements.run.textContent = this.pending ? "Abbrechen" : "Projizieren";
+    }
+  }
+
+  setProgress(fraction) {
+    this.elements.progress?.style.setProperty("--progress", `${(clamp(fraction, 0, 1) * 100).toFixed(1)}%`);
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class SnapshotComparePanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Vergleichs-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.models = [null, null];
+    this.snapshots = [null, null];
+    this.pixels = null;
+    this.result = null;
+    this.active = false;
+    this.loadToken = 0;
+    this.version = 0;
+    this.elements = {
+      first: document.getElementById("compareFirstSelect"),
+      second: document.getElementById("compareSecondSelect"),
+      split: document.getElementById("compareSplitToggle"),
+      run: document.getElementById("compareRunButton"),
+      stop: document.getElementById("compareStopButton"),
+      status: document.getElementById("compareStatus"),
+      list: document.getElementById("compareNeuronList"),
+      close: document.getElementById("closeComparePanel"),
+    };
+    this.bindEvents();
+    this.updateControls();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (this.container.classList.contains("hidden")) {
+        this.stop();
+      } else {
+        this.refreshSnapshots();
+      }
+    });
+    elements.close?.addEventListener("click", () => {
+      this.container.classList.add("hidden");
+      this.stop();
+    });
+    elements.first?.addEventListener("change", () => {
+      // The main scene always shows the left snapshot, so picking it moves the timeline (which reloads us).
+      if (this.options.onReferenceSelect) {
+        this.options.onReferenceSelect(Number(elements.first.value));
+      } else if (this.active) {
+        this.load();
+      }
+    });
+    elements.second?.addEventListener("change", () => {
+      if (this.active) this.load();
+    });
+    elements.split?.addEventListener("change", () => {
+      if (this.result) this.emit();
+    });
+    elements.run?.addEventListener("click", () => this.load());
+    elements.stop?.addEventListener("click", () => this.stop());
+    elements.list?.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-unit]");
+      if (!button) return;
+      const [layerIndex, unit] = button.dataset.unit.split(":").map(Number);
+      this.options.onNeuronSelect?.(layerIndex + 1, unit);
+    });
+  }
+
+  refreshSnapshots() {
+    const snapshots = this.options.getSnapshots?.() ?? [];
+    const { first, second } = this.elements;
+    if (!first || !second) return;
+    const previous = [first.value, second.value];
+    [first, second].forEach((select) => {
+      select.innerHTML = "";
+      snapshots.forEach((snapshot, index) => {
+        const option = document.createElement("option");
+        option.value = String(index);
+        option.textContent = snapshot.label;
+        select.appendChild(option);
+      });
+    });
+    const activeIndex = this.options.getActiveIndex?.() ?? snapshots.length - 1;
+    first.value = String(activeIndex ?? 0);
+    // By default the current state is compared with the earliest snapshot.
+    second.value = previous[1] !== "" && Number(previous[1]) < snapshots.length ? previous[1] : "0";
+    this.updateControls();
+  }
+
+  handleSnapshotChange(index) {
+    // Scrubbing the timeline moves the left column along with the main scene.
+    if (!this.elements.first || !Number.isInteger(index)) return;
+    if (this.elements.first.options.length <= index) this.refreshSnapshots();
+    this.elements.first.value = String(index);
+    if (this.active) this.load();
+  }
+
+  setPixels(pixels) {
+    this.pixels = pixels;
+    if (this.active && this.models[0] && this.models[1]) {
+      this.evaluate();
+      this.emit();
+    }
+  }
+
+  readSelection() {
+    const snapshots = this.options.getSnapshots?.() ?? [];
+    return [this.elements.first, this.elements.second].map((select) => snapshots[Number(select?.value)] ?? null);
+  }
+
+  async load() {
+    const selection = this.readSelection();
+    if (!selection[0] || !selection[1]) {
+      this.setStatus("Bitte zwei Snapshots wählen.");
+      return;
+    }
+    this.loadToken += 1;
+    const token = this.loadToken;
+    this.active = true;
+    this.updateControls();
+    this.setStatus("Snapshots werden geladen …");
+    let layerSets;
+    try {
+      layerSets = await Promise.all(selection.map((snapshot) => snapshot.loadLayers()));
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.error("Snapshot-Vergleich fehlgeschlagen:", error);
+      this.setStatus(`Fehler: ${error.message}`);
+      return;
+    }
+    if (token !== this.loadToken) return;
+    const reference = this.options.model;
+    this.models = layerSets.map((layers, index) => {
+      const model = this.models[index];
+      if (model) {
+        model.updateLayers(layers);
+        return model;
+      }
+      return new FeedForwardModel({
+        normalization: reference.normalization,
+        inputShape: reference.inputShape,
+        layers,
+      });
+    });
+    this.snapshots = selection;
+    this.version += 1;
+    this.evaluate();
+    this.emit();
+  }
+
+  evaluate() {
+    const pixels = this.pixels ?? this.options.getPixels?.();
+    if (!pixels?.length) return;
+    const inferences = this.models.map((model) => runInference(model, pixels));
+    const changes = [];
+    const [first, second] = inferences;
+    // Hidden layers only: the output layer is already covered by the two probability columns.
+    for (let layerIndex = 0; layerIndex < first.activations.length - 2; layerIndex += 1) {
+      const a = first.activations[layerIndex + 1];
+      const b = second.activations[layerIndex + 1];
+      if (a.length !== b.length) continue;
+      for (let unit = 0; unit < a.length; unit += 1) {
+        changes.push({ layerIndex, unit, before: a[unit], after: b[unit], delta: b[unit] - a[unit] });
+      }
+    }
+    changes.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+    this.result = {
+      snapshots: this.snapshots,
+      models: this.models,
+      version: this.version,
+      inferences,
+      changes: changes.slice(0, COMPARE_NEURON_LIST_SIZE),
+    };
+    this.render();
+  }
+
+  emit() {
+    if (!this.result) return;
+    this.options.onCompare?.({ ...this.result, split: Boolean(this.elements.split?.checked) });
+  }
+
+  render() {
+    const { result, elements } = this;
+    const [first, second] = result.inferences;
+    const [a, b] = result.snapshots;
+    const predictionA = argMax(first.probabilities);
+    const predictionB = argMax(second.probabilities);
+    this.setStatus(
+      `Links: ${a.label} → ${predictionA}, rechts: ${b.label} → ${predictionB}` +
+        (this.options.isEdited?.() ? " (links ohne Handänderungen)" : ""),
+    );
+    if (!elements.list) return;
+    if (!result.changes.length) {
+      elements.list.innerHTML = `<li class="compare-panel__empty">Keine verborgenen Schichten.</li>`;
+      return;
+    }
+    elements.list.innerHTML = result.changes
+      .map(({ layerIndex, unit, before, after, delta }) => {
+        const direction = delta >= 0 ? "up" : "down";
+        return `<li>
+          <button type="button" data-unit="${layerIndex}:${unit}">
+            <span>Schicht ${layerIndex + 1} · Neuron ${unit + 1}</span>
+            <span class="compare-panel__values">${formatDecimal(before, 3)} → ${formatDecimal(after, 3)}</span>
+            <span class="compare-panel__delta compare-panel__delta--${direction}">${delta >= 0 ? "+" : "−"}${formatDecimal(Math.abs(delta), 3)}</span>
+          </button>
+        </li>`;
+      })
+      .join("");
+  }
+
+  stop() {
+    const wasActive = this.active;
+    this.loadToken += 1;
+    this.active = false;
+    this.result = null;
+    if (this.elements.list) this.elements.list.innerHTML = "";
+    this.setStatus("");
+    this.updateControls();
+    if (wasActive) this.options.onCompare?.(null);
+  }
+
+  updateControls() {
+    const count = this.elements.first?.options.length ?? 0;
+    if (this.elements.run) {
+      this.elements.run.disabled = count < 1;
+      this.elements.run.textContent = this.active ? "Neu laden" : "Vergleichen";
+    }
+    if (this.elements.stop) {
+      this.elements.stop.disabled = !this.active;
+    }
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class OfflinePanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Offline-Container nicht gefunden.");
+    }
+    this.options = options;
+    this.registration = options.registration ?? null;
+    this.layerCache = options.layerCache ?? null;
+    this.nextRequestId = 1;
+    this.requests = new Map();
+    this.downloading = false;
+    this.elements = {
+      network: document.getElementById("offlineNetworkState"),
+      status: document.getElementById("offlineStatus"),
+      progress: document.getElementById("offlineProgress"),
+      download: document.getElementById("offlineDownloadButton"),
+      close: document.getElementById("closeOfflinePanel"),
+    };
+    if (this.elements.download) {
+      this.elements.download.textContent = "Alles für offline laden";
+    }
+    navigator.serviceWorker?.addEventListener("message", (event) => this.handleMessage(event.data));
+    this.bindEvents();
+    this.refresh();
+  }
+
+  bindEvents() {
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (!this.container.classList.contains("hidden")) this.refresh();
+    });
+    this.elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    this.elements.download?.addEventListener("click", () => this.download());
+    window.addEventListener("online", () => this.refresh());
+    window.addEventListener("offline", () => this.refresh());
+  }
+
+  async worker() {
+    if (!this.registration || !(await this.registration)) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.active;
+  }
+
+  async send(type, payload, onProgress = null) {
+    const worker = await this.worker();
+    if (!worker) {
+      throw new Error("Kein aktiver Service Worker.");
+    }
+    const id = this.nextRequestId;
+    this.nextRequestId += 1;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ type, id, ...payload });
+    });
+  }
+
+  handleMessage(message) {
+    const request = message && this.requests.get(message.id);
+    if (!request) return;
+    if (message.type === "progress") {
+      request.onProgress?.(message.done, message.total);
+      return;
+    }
+    this.requests.delete(message.id);
+    if (message.type === "error") {
+      request.reject(new Error(message.message));
+    } else {
+      request.resolve(message);
+    }
+  }
+
+  async refresh(note = "") {
+    const online = navigator.onLine !== false;
+    if (this.elements.network) {
+      this.elements.network.textContent = online ? "Online" : "Offline – Dateien kommen aus dem Cache";
+    }
+    this.options.toggleButton?.classList.toggle("offline-button--offline", !online);
+    if (!this.registration || !(await this.registration)) {
+      this.setState("unsupported", "Offline-Modus ist in diesem Browser (oder ohne HTTPS) nicht verfügbar.");
+      return;
+    }
+    if (this.downloading) return;
+    try {
+      const urls = await this.options.getUrls();
+      const { cached, total } = await this.send("status", { urls });
+      const decoded = await this.layerCache?.count().catch(() => null);
+      const lines = [
+        cached === total ? `Alle ${total} Dateien sind offline verfügbar.` : `${cached} von ${total} Dateien offline verfügbar.`,
+      ];
+      if (Number.isFinite(decoded)) lines.push(`${decoded} Snapshots liegen dekodiert in IndexedDB.`);
+      if (note) lines.push(note);
+      this.setState(cached === total ? "ready" : cached > 0 ? "partial" : "empty", lines.join(" "));
+    } catch (error) {
+      this.setState("unsupported", `Cache-Status unbekannt: ${error.message}`);
+    }
+  }
+
+  setLayerCache(layerCache) {
+    this.layerCache = layerCache ?? null;
+    this.refresh();
+  }
+
+  async download() {
+    if (this.downloading) return;
+    this.downloading = true;
+    this.updateControls();
+    this.setProgress(0);
+    let note = "";
+    try {
+      const urls = await this.options.getUrls();
+      this.setState("partial", `Lade ${urls.length} Dateien …`);
+      const { failed } = await this.send("precache", { urls }, (done, total) => {
+        this.setProgress(total ? done / total : 1);
+        this.setState("partial", `Lade Dateien … ${done} / ${total}`);
+      });
+      if (failed?.length) note = `${failed.length} Dateien konnten nicht geladen werden.`;
+    } catch (error) {
+      console.error("Offline-Download fehlgeschlagen:", error);
+      note = `Download fehlgeschlagen: ${error.message}`;
+    } finally {
+      this.downloading = false;
+      this.setProgress(null);
+      this.updateControls();
+    }
+    await this.refresh(note);
+  }
+
+  setState(state, text) {
+    this.state = state;
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+    const button = this.options.toggleButton;
+    button?.classList.toggle("offline-button--ready", state === "ready");
+    button?.classList.toggle("offline-button--partial", state === "partial");
+    this.updateControls();
+  }
+
+  setProgress(fraction) {
+    const { progress } = this.elements;
+    if (!progress) return;
+    progress.classList.toggle("hidden", fraction === null);
+    progress.style.setProperty("--progress", `${(clamp(fraction ?? 0, 0, 1) * 100).toFixed(1)}%`);
+  }
+
+  updateControls() {
+    if (this.elements.download) {
+      this.elements.download.disabled = this.downloading || this.state === "unsupported";
+    }
+  }
+}
+
+class ModelSourcePanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Container für die Modellauswahl nicht gefunden.");
+    }
+    this.options = options;
+    this.loading = false;
+    this.elements = {
+      current: document.getElementById("modelSourceCurrent"),
+      dropZone: document.getElementById("modelSourceDropZone"),
+      fileInput: document.getElementById("modelSourceFileInput"),
+      folderInput: document.getElementById("modelSourceFolderInput"),
+      fileButton: document.getElementById("modelSourceFileButton"),
+      folderButton: document.getElementById("modelSourceFolderButton"),
+      urlInput: document.getElementById("modelSourceUrlInput"),
+      urlButton: document.getElementById("modelSourceUrlButton"),
+      normalization: document.getElementById("modelSourceNormalizationSelect"),
+      normalizationInfo: document.getElementById("modelSourceNormalizationInfo"),
+      status: document.getElementById("modelSourceStatus"),
+      close: document.getElementById("closeModelSourcePanel"),
+    };
+    if (this.elements.normalization && options.normalizationPreset) {
+      this.elements.normalization.value = options.normalizationPreset;
+    }
+    this.bindEvents();
+    this.setCurrent(options.currentName, options.currentNormalization);
+  }
+
+  static hasFiles(event) {
+    return Array.from(event.dataTransfer?.types ?? []).includes("Files");
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => this.container.classList.toggle("hidden"));
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.fileButton?.addEventListener("click", () => elements.fileInput?.click());
+    elements.folderButton?.addEventListener("click", () => elements.folderInput?.click());
+    [elements.fileInput, elements.folderInput].forEach((input) => {
+      input?.addEventListener("change", () => {
+        // webkitRelativePath keeps the folder structure the manifest's snapshot paths rely on.
+        const files = Array.from(input.files ?? [], (file) => ({ path: file.webkitRelativePath || file.name, blob: file }));
+        input.value = "";
+        if (files.length) this.load(() => createFileModelSource(files));
+      });
+    });
+    elements.urlButton?.addEventListener("click", () => this.loadUrl());
+    elements.urlInput?.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") this.loadUrl();
+    });
+    // Files dropped anywhere on the page end up here instead of making the browser navigate to them.
+    window.addEventListener("dragover", (event) => {
+      if (!ModelSourcePanel.hasFiles(event)) return;
+      event.preventDefault();
+      this.container.classList.remove("hidden");
+      elements.dropZone?.classList.add("model-source-panel__dropzone--active");
+    });
+    window.addEventListener("dragleave", (event) => {
+      if (event.relatedTarget === null) elements.dropZone?.classList.remove("model-source-panel__dropzone--active");
+    });
+    window.addEventListener("drop", (event) => {
+      if (!ModelSourcePanel.hasFiles(event)) return;
+      event.preventDefault();
+      elements.dropZone?.classList.remove("model-source-panel__dropzone--active");
+      const files = collectDroppedFiles(event.dataTransfer);
+      this.load(async () => createFileModelSource(await files));
+    });
+  }
+
+  loadUrl() {
+    const url = this.elements.urlInput?.value.trim();
+    if (!url) {
+      this.setStatus("Bitte eine URL eingeben.");
+      return;
+    }
+    this.load(() => createUrlModelSource(url));
+  }
+
+  async load(createSource) {
+    if (this.loading) return;
+    this.loading = true;
+    this.updateControls();
+    this.setStatus("Modell wird geladen …");
+    try {
+      const source = await createSource();
+      const normalization = this.elements.normalization?.value || DEFAULT_IMPORTED_NORMALIZATION;
+      const result = await this.options.onLoad(source, { normalization });
+      this.setCurrent(source.name, result?.normalization);
+      this.setStatus(`„${source.name}“ geladen.`);
+    } catch (error) {
+      console.error("Modell konnte nicht geladen werden:", error);
+      this.setStatus(`Laden fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.loading = false;
+      this.updateControls();
+    }
+  }
+
+  setCurrent(name, normalization = null) {
+    if (this.elements.current) {
+      this.elements.current.textContent = name ? `Aktuelles Modell: ${name}` : "";
+    }
+    if (this.elements.normalizationInfo) {
+      // Only imports run on an assumed scaling; native manifests state theirs.
+      this.elements.normalizationInfo.textContent = normalization
+        ? `Angenommene Eingabenormierung: Mittelwert ${normalization.mean}, Standardabweichung ${normalization.std}`
+        : "";
+    }
+  }
+
+  updateControls() {
+    const { fileButton, folderButton, urlButton, urlInput, normalization } = this.elements;
+    [fileButton, folderButton, urlButton, urlInput, normalization].forEach((element) => {
+      if (element) element.disabled = this.loading;
+    });
+    this.elements.dropZone?.classList.toggle("model-source-panel__dropzone--loading", this.loading);
+  }
+
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
+    }
+  }
+}
+
+class ExportPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    if (!this.container) {
+      throw new Error("Container für den Modellexport nicht gefunden.");
+    }
+    this.options = options;
+    this.exporting = false;
+    this.elements = {
+      name: document.getElementById("exportNameInput"),
+      format: document.getElementById("exportFormatSelect"),
+      dtype: document.getElementById("exportDtypeSelect"),
+      append: document.getElementById("exportAppendToggle"),
+      label: document.getElementById("exportLabelInput"),
+      accuracy: document.getElementById("exportAccuracyInput"),
+      loss: document.getElementById("exportLossInput"),
+      status: document.getElementById("exportStatus"),
+      progress: document.getElementById("exportProgress"),
+      run: document.getElementById("exportRunButton"),
+      close: document.getElementById("closeExportPanel"),
+    };
+    if (this.elements.run) {
+      this.elements.run.textContent = "ZIP herunterladen";
+    }
+    if (this.elements.label) {
+      this.elements.label.value = "Im Browser bearbeitet";
+    }
+    this.bindEvents();
+    this.updateControls();
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    this.options.toggleButton?.addEventListener("click", () => {
+      this.container.classList.toggle("hidden");
+      if (!this.container.classList.contains("hidden")) this.refresh();
+    });
+    elements.close?.addEventListener("click", () => this.container.classList.add("hidden"));
+    elements.format?.addEventListener("change", () => this.updateControls());
+    elements.append?.addEventListener("change", () => this.updateSummary());
+    elements.run?.addEventListener("click", () => this.export());
+  }
+
+  refresh() {
+    // Name and metrics follow the model and the latest evaluation until the user exports.
+    const { elements } = this;
+    const suggestions = this.options.getSuggestions?.() ?? {};
+    if (elements.name) elements.name.value = suggestions.name ?? "model_export";
+    if (elements.accuracy) {
+      elements.accuracy.value = Number.isFinite(suggestions.testAccuracy) ? (suggestions.testAccuracy * 100).toFixed(2) : "";
+    }
+    if (elements.loss) {
+      elements.loss.value = Number.isFinite(suggestions.avgTrainingLoss) ? suggestions.avgTrainingLoss.toFixed(4) : "";
+    }
+    this.updateSummary();
+  }
+
+  updateSummary() {
+    const count = this.options.getSuggestions?.().snapshotCount ?? 0;
+    this.setStatus(
+      this.elements.append?.checked === false
+        ? "Exportiert nur den aktuellen Stand als einzigen Snapshot."
+        : `Exportiert ${count} Snapshots plus den aktuellen Stand als neuen Zeitleisteneintrag.`,
+    );
+  }
+
+  readSettings() {
+    const { elements } = this;
+    // The name becomes the manifest file and snapshot folder, so it is kept path-safe.
+    const name = (elements.name?.value.trim() ?? "").replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^[._]+/, "");
+    if (!name) {
+      throw new Error("Bitte einen Dateinamen angeben.");
+    }
+    const readNumber = (input) => {
+      const raw = input?.value.trim();
+      return raw ? Number(raw) : null;
+    };
+    const accuracy = readNumber(elements.accuracy);
+    const loss = readNumber(elements.loss);
+    if (accuracy !== null && !(accuracy >= 0 && accuracy <= 100)) {
+      throw new Error("Die Testgenauigkeit muss zwischen 0 und 100 % liegen.");
+    }
+    if (loss !== null && !(loss >= 0)) {
+      throw new Error("Der mittlere Loss darf nicht negativ sein.");
+    }
+    return {
+      name,
+      format: elements.format?.value ?? "json",
+      dtype: elements.dtype?.value ?? "float16",
+      appendSnapshot: elements.append?.checked !== false,
+      label: elements.label?.value.trim() || "Im Browser bearbeitet",
+      metrics: { testAccuracy: accuracy === null ? null : accuracy / 100, avgTrainingLoss: loss },
+    };
+  }
 
-    const summaryFormula =
-      payload.preActivation !== null && payload.preActivation !== undefined
-        ? `Σ = Σ(input × gewicht)${payload.bias !== null && payload.bias !== undefined ? " + bias" : ""}`
-        : "";
+  async export() {
+    if (this.exporting) return;
+    let settings;
+    try {
+      settings = this.readSettings();
+    } catch (error) {
+      this.setStatus(error.message);
+      return;
+    }
+    this.exporting = true;
+    this.updateControls();
+    this.setProgress(0);
+    this.setStatus("Snapshots werden kodiert …");
+    try {
+      const { fileName, snapshotCount } = await this.options.onExport(settings, (fraction) => {
+        this.setProgress(fraction);
+      });
+      this.setStatus(`„${fileName}“ mit ${snapshotCount} Snapshots heruntergeladen.`);
+    } catch (error) {
+      console.error("Export fehlgeschlagen:", error);
+      this.setStatus(`Export fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.exporting = false;
+      this.setProgress(null);
+      this.updateControls();
+    }
+  }
 
-    this.root.innerHTML = `
-      <div class="neuron-detail-panel__inner">
-        <div class="neuron-detail-panel__header">
-          <div class="neuron-detail-panel__title">${payload.layerLabel} • Neuron ${payload.neuronIndex + 1}${
-            payload.activationName ? ` (${payload.activationName})` : ""
-          }</div>
-          <button type="button" class="neuron-detail-panel__close">Auswahl aufheben</button>
-        </div>
-        <div class="neuron-detail-panel__body">
-          <div class="neuron-detail-panel__summary">
-            ${summaryFormula ? `<div>${summaryFormula}</div>` : ""}
-          </div>
-          ${totalsBlock}
-          <div class="neuron-detail-panel__activations">
-            <span>Eingangsschicht-Größe: ${payload.previousLayerSize ?? "—"}</span>
-            <span>Ausgangsschicht-Größe: ${payload.nextLayerSize ?? "—"}</span>
-          </div>
-          ${incomingSection}
-          ${outgoingSection}
-        </div>
-      </div>
-    `;
+  setProgress(fraction) {
+    const { progress } = this.elements;
+    if (!progress) return;
+    progress.classList.toggle("hidden", fraction === null);
+    progress.style.setProperty("--progress", `${(clamp(fraction ?? 0, 0, 1) * 100).toFixed(1)}%`);
+  }
 
-    this.root.classList.add("visible");
-    const closeButton = this.root.querySelector(".neuron-detail-panel__close");
-    if (closeButton) {
-      closeButton.addEventListener("click", this.handleClose);
+  updateControls() {
+    const { name, format, dtype, append, label, accuracy, loss, run } = this.elements;
+    [name, format, dtype, append, label, accuracy, loss, run].forEach((element) => {
+      if (element) element.disabled = this.exporting;
+    });
+    // JSON snapshots are always float16, like the ones written by training/mlp_train.py.
+    if (dtype && format?.value !== "binary") {
+      dtype.value = "float16";
+      dtype.disabled = true;
     }
   }
 
-  formatValue(value) {
-    if (value === null || value === undefined || Number.isNaN(value)) return "—";
-    if (!Number.isFinite(value)) return value > 0 ? "∞" : value < 0 ? "-∞" : "NaN";
-    const abs = Math.abs(value);
-    if (abs >= 10000 || (abs > 0 && abs < 0.0001)) {
-      return value.toExponential(2);
+  setStatus(text) {
+    if (this.elements.status) {
+      this.elements.status.textContent = text;
     }
-    return value.toFixed(abs >= 1 ? 3 : 4);
   }
 }
 
@@ -1862,6 +7031,7 @@ class NeuralVisualizer {
         outputSpacing: 0.95,
         inputNodeSize: 0.18,
         hiddenNodeRadius: 0.22,
+        featureMapSpacing: 0.7,
         maxConnectionsPerNeuron: 24,
         connectionRadius: 0.005,
         connectionWeightThreshold: 0,
@@ -1887,11 +7057,22 @@ class NeuralVisualizer {
     this.lastDisplayActivations = null;
     this.lastNetworkActivations = null;
     this.lastPreActivations = null;
+    this.inputSaliency = null;
+    this.relevance = null;
     this.currentSelectionDetail = null;
     this.selectionCylinderGeometry = null;
     this.selectionConnectionRadiusMultiplier = 1.2;
     this.selectionConnectionData = null;
     this.selectionGlowSprite = null;
+    this.editedParameters = [];
+    this.editMarkerMesh = null;
+    this.neuronClickHandler = null;
+    this.ablatedNeurons = new Map();
+    this.ablationMarkerMesh = null;
+    this.outlineMarkerMesh = null;
+    this.viewportSide = null;
+    this.weightDelta = null;
+    this.deltaHaloMesh = null;
     this.maxConnectionWeightMagnitude = 0;
     this.raycaster = new THREE.Raycaster();
     this.pointerVector = new THREE.Vector2();
@@ -1906,16 +7087,17 @@ class NeuralVisualizer {
     this.scene = new THREE.Scene();
     this.scene.background = null;
 
+    const { width, height } = this.getViewportSize();
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setSize(width, height);
     document.body.appendChild(this.renderer.domElement);
     this.fpsMonitor = this.options.showFpsOverlay ? new FpsMonitor() : null;
 
     this.labelGroup = new THREE.Group();
     this.scene.add(this.labelGroup);
 
-    this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 200);
+    this.camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 200);
     this.camera.position.set(-15, 0, 15);
 
     this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
@@ -1943,13 +7125,75 @@ class NeuralVisualizer {
 
     this.renderer.domElement.addEventListener("pointerdown", (event) => this.handleScenePointerDown(event));
     this.renderer.domElement.addEventListener("pointerup", (event) => this.handleScenePointerUp(event));
-    window.addEventListener("resize", () => this.handleResize());
-    window.addEventListener("keydown", (event) => {
+    this.handleWindowResize = () => this.handleResize();
+    this.handleWindowKeydown = (event) => {
       if (event.defaultPrevented) return;
       if (event.key === "Escape") {
         this.clearSelection();
       }
+    };
+    window.addEventListener("resize", this.handleWindowResize);
+    window.addEventListener("keydown", this.handleWindowKeydown);
+  }
+
+  getViewportSize() {
+    const width = window.innerWidth;
+    return { width: this.viewportSide ? Math.floor(width / 2) : width, height: window.innerHeight };
+  }
+
+  setViewportSide(side) {
+    // "left"/"right" shrink the canvas to half the window for side-by-side comparisons; null restores full width.
+    this.viewportSide = side === "left" || side === "right" ? side : null;
+    const canvas = this.renderer.domElement;
+    canvas.classList.toggle("neural-canvas--left", this.viewportSide === "left");
+    canvas.classList.toggle("neural-canvas--right", this.viewportSide === "right");
+    this.handleResize();
+  }
+
+  linkCamera(other) {
+    // Mirrors orbit/pan/zoom in both directions; returns a function that removes the link again.
+    let syncing = false;
+    const follow = (source, target) => () => {
+      if (syncing) return;
+      syncing = true;
+      target.camera.position.copy(source.camera.position);
+      target.camera.quaternion.copy(source.camera.quaternion);
+      target.controls.target.copy(source.controls.target);
+      target.controls.update();
+      target.requestRender?.();
+      syncing = false;
+    };
+    const forward = follow(this, other);
+    const backward = follow(other, this);
+    this.controls.addEventListener("change", forward);
+    other.controls.addEventListener("change", backward);
+    forward();
+    return () => {
+      this.controls.removeEventListener("change", forward);
+      other.controls.removeEventListener("change", backward);
+    };
+  }
+
+  dispose() {
+    this.disposed = true;
+    window.removeEventListener("resize", this.handleWindowResize);
+    window.removeEventListener("keydown", this.handleWindowKeydown);
+    this.controls.dispose();
+    this.scene.traverse((object) => {
+      object.geometry?.dispose();
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        material?.map?.dispose();
+        material?.dispose();
+      });
     });
+    this.renderer.dispose();
+    this.renderer.domElement.remove();
+    if (this.fpsMonitor) {
+      window.clearInterval(this.fpsMonitor.displayTimer);
+      this.fpsMonitor.root.remove();
+      this.fpsMonitor = null;
+    }
   }
 
   handleScenePointerDown(event) {
@@ -1999,9 +7243,159 @@ class NeuralVisualizer {
       this.clearSelection();
       return;
     }
+    if (this.neuronClickHandler?.(hit.layerIndex, hit.neuronIndex)) return;
     this.setSelectedNeuron(hit.layerIndex, hit.neuronIndex);
   }
 
+  setNeuronClickHandler(handler) {
+    // A handler returning true consumes the click instead of selecting the neuron.
+    this.neuronClickHandler = typeof handler === "function" ? handler : null;
+  }
+
+  setAblatedNeurons(units) {
+    this.ablatedNeurons = new Map();
+    (units ?? []).forEach(({ layerIndex, neuronIndex }) => {
+      if (!this.ablatedNeurons.has(layerIndex)) {
+        this.ablatedNeurons.set(layerIndex, new Set());
+      }
+      this.ablatedNeurons.get(layerIndex).add(neuronIndex);
+    });
+    this.buildAblationMarkers();
+  }
+
+  setOutlinedNeurons(units) {
+    if (this.outlineMarkerMesh) {
+      this.scene.remove(this.outlineMarkerMesh);
+      this.outlineMarkerMesh.geometry.dispose();
+      this.outlineMarkerMesh.material.dispose();
+      this.outlineMarkerMesh = null;
+    }
+    const markers = [];
+    (units ?? []).forEach(({ layerIndex, neuronIndex }) => {
+      const layer = this.layerMeshes[layerIndex];
+      const position = layer?.positions[neuronIndex];
+      if (!position) return;
+      markers.push({ position, scale: layer.nodeSize ? layer.nodeSize / this.options.hiddenNodeRadius : 2 });
+    });
+    if (markers.length) {
+      const geometry = new THREE.SphereGeometry(this.options.hiddenNodeRadius * 1.25, 12, 8);
+      const material = new THREE.MeshBasicMaterial({ color: 0xef4444, wireframe: true, toneMapped: false });
+      const mesh = new THREE.InstancedMesh(geometry, material, markers.length);
+      markers.forEach(({ position, scale }, index) => {
+        this.tempObject.position.copy(position);
+        this.tempObject.quaternion.identity();
+        this.tempObject.scale.setScalar(scale);
+        this.tempObject.updateMatrix();
+        mesh.setMatrixAt(index, this.tempObject.matrix);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      this.scene.add(mesh);
+      this.outlineMarkerMesh = mesh;
+    }
+    if (typeof this.requestRender === "function") {
+      this.requestRender();
+    }
+  }
+
+  setWeightDelta(delta) {
+    // Per-layer { weights, biases, weightScale, biasScale } deltas recolour connections and add bias halos.
+    this.weightDelta = delta?.layers ? delta : null;
+    this.buildDeltaHalos();
+    if (this.lastDisplayActivations && this.lastNetworkActivations) {
+      this.update(this.lastDisplayActivations, this.lastNetworkActivations, this.lastPreActivations);
+    } else if (typeof this.requestRender === "function") {
+      this.requestRender();
+    }
+  }
+
+  buildDeltaHalos() {
+    if (this.deltaHaloMesh) {
+      this.scene.remove(this.deltaHaloMesh);
+      this.deltaHaloMesh.geometry.dispose();
+      this.deltaHaloMesh.material.dispose();
+      this.deltaHaloMesh = null;
+    }
+    const halos = [];
+    this.weightDelta?.layers.forEach((layerDelta, index) => {
+      const layer = this.layerMeshes[index + 1];
+      if (!layerDelta?.biases || !layer) return;
+      const modelLayer = this.mlp.layers[index];
+      // Convolution biases belong to a whole output channel.
+      const unitsPerBias = modelLayer?.type === "conv2d" ? shapeSize(modelLayer.outputShape.slice(1)) : 1;
+      const scale = layer.nodeSize ? layer.nodeSize / this.options.hiddenNodeRadius : 1;
+      const normaliser = layerDelta.biasScale || 1;
+      layer.positions.forEach((position, unit) => {
+        const change = layerDelta.biases[Math.floor(unit / unitsPerBias)] ?? 0;
+        halos.push({ position, scale, value: change / normaliser });
+      });
+    });
+    if (halos.length) {
+      const geometry = new THREE.SphereGeometry(this.options.hiddenNodeRadius * 1.6, 16, 12);
+      const material = new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity: 0.4,
+        depthWrite: false,
+        toneMapped: false,
+      });
+      const mesh = new THREE.InstancedMesh(geometry, material, halos.length);
+      halos.forEach(({ position, scale, value }, index) => {
+        this.tempObject.position.copy(position);
+        this.tempObject.quaternion.identity();
+        this.tempObject.scale.setScalar(scale);
+        this.tempObject.updateMatrix();
+        mesh.setMatrixAt(index, this.tempObject.matrix);
+        const [r, g, b] = divergingRgb(value);
+        mesh.setColorAt(index, this.tempColor.setRGB(r / 255, g / 255, b / 255));
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+      this.scene.add(mesh);
+      this.deltaHaloMesh = mesh;
+    }
+  }
+
+  isAblated(layerIndex, neuronIndex) {
+    return this.ablatedNeurons.get(layerIndex)?.has(neuronIndex) ?? false;
+  }
+
+  buildAblationMarkers() {
+    if (this.ablationMarkerMesh) {
+      this.scene.remove(this.ablationMarkerMesh);
+      this.ablationMarkerMesh.geometry.dispose();
+      this.ablationMarkerMesh.material.dispose();
+      this.ablationMarkerMesh = null;
+    }
+    const markers = [];
+    this.ablatedNeurons.forEach((indices, layerIndex) => {
+      const layer = this.layerMeshes[layerIndex];
+      if (!layer) return;
+      const scale = layer.nodeSize ? layer.nodeSize / this.options.hiddenNodeRadius : 2;
+      indices.forEach((neuronIndex) => {
+        const position = layer.positions[neuronIndex];
+        if (position) markers.push({ position, scale });
+      });
+    });
+    if (markers.length) {
+      // Wireframe shells make knocked-out units read as hollow next to the greyed-out node.
+      const geometry = new THREE.SphereGeometry(this.options.hiddenNodeRadius * 0.75, 10, 8);
+      const material = new THREE.MeshBasicMaterial({ color: 0xcbd5f5, wireframe: true, toneMapped: false });
+      const mesh = new THREE.InstancedMesh(geometry, material, markers.length);
+      markers.forEach(({ position, scale }, index) => {
+        this.tempObject.position.copy(position);
+        this.tempObject.quaternion.identity();
+        this.tempObject.scale.setScalar(scale);
+        this.tempObject.updateMatrix();
+        mesh.setMatrixAt(index, this.tempObject.matrix);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      this.scene.add(mesh);
+      this.ablationMarkerMesh = mesh;
+    }
+    if (typeof this.requestRender === "function") {
+      this.requestRender();
+    }
+  }
+
   setSelectedNeuron(layerIndex, neuronIndex) {
     if (!Number.isInteger(layerIndex) || !Number.isInteger(neuronIndex)) return;
     const layer = this.layerMeshes[layerIndex];
@@ -2161,53 +7555,72 @@ class NeuralVisualizer {
 
     if (layerIndex > 0 && this.mlp.layers[layerIndex - 1]) {
       const prevLayerMesh = this.layerMeshes[layerIndex - 1];
-      const weightLayer = this.mlp.layers[layerIndex - 1];
-      const weights = weightLayer.weights?.[neuronIndex];
-      bias = weightLayer.biases?.[neuronIndex] ?? 0;
-      if (weights && targetPosition) {
-        previousLayerSize = weights.length;
-        for (let sourceIndex = 0; sourceIndex < weights.length; sourceIndex += 1) {
-          const sourcePosition = prevLayerMesh?.positions?.[sourceIndex];
-          if (!sourcePosition) continue;
-          const weight = Number(weights[sourceIndex]);
-          if (!Number.isFinite(weight)) continue;
-          if (Math.abs(weight) < minMagnitude) continue;
-          incoming.push({
-            sourceLayer: layerIndex - 1,
-            targetLayer: layerIndex,
-            sourceIndex,
-            targetIndex: neuronIndex,
-            weight,
-            sourcePosition,
-            targetPosition,
-          });
+      const weightLayerIndex = layerIndex - 1;
+      const threshold = this.mlp.hasParameters(weightLayerIndex) ? minMagnitude : 0;
+      bias = this.mlp.hasParameters(weightLayerIndex) ? this.mlp.getBias(weightLayerIndex, neuronIndex) ?? 0 : null;
+      previousLayerSize = this.mlp.architecture[layerIndex - 1] ?? null;
+      const addIncoming = (sourceIndex, weight, weightIndex) => {
+        const sourcePosition = prevLayerMesh?.positions?.[sourceIndex];
+        if (!sourcePosition) return;
+        if (!Number.isFinite(weight)) return;
+        if (Math.abs(weight) < threshold) return;
+        incoming.push({
+          sourceLayer: layerIndex - 1,
+          targetLayer: layerIndex,
+          sourceIndex,
+          targetIndex: neuronIndex,
+          weight,
+          weightIndex,
+          sourcePosition,
+          targetPosition,
+        });
+      };
+      const layer = this.mlp.layers[weightLayerIndex];
+      if (targetPosition && layer.type === "dense") {
+        const columns = layer.weightShape[1];
+        const offset = neuronIndex * columns;
+        for (let sourceIndex = 0; sourceIndex < columns; sourceIndex += 1) {
+          addIncoming(sourceIndex, layer.weights[offset + sourceIndex], offset + sourceIndex);
         }
+      } else if (targetPosition) {
+        this.mlp.getIncomingConnections(weightLayerIndex, neuronIndex).forEach((connection) => {
+          addIncoming(connection.sourceIndex, Number(connection.weight), connection.weightIndex ?? null);
+        });
       }
     }
 
     if (layerIndex < this.layerMeshes.length - 1 && this.mlp.layers[layerIndex]) {
       const nextLayerMesh = this.layerMeshes[layerIndex + 1];
-      const weightLayer = this.mlp.layers[layerIndex];
-      const weights = weightLayer.weights ?? [];
-      nextLayerSize = weights.length;
+      const threshold = this.mlp.hasParameters(layerIndex) ? minMagnitude : 0;
+      nextLayerSize = this.mlp.architecture[layerIndex + 1] ?? null;
       const sourcePosition = targetPosition;
-      for (let targetIndex = 0; targetIndex < weights.length; targetIndex += 1) {
-        const row = weights[targetIndex];
-        if (!row || sourcePosition == null) continue;
+      const addOutgoing = (targetIndex, weight, weightIndex) => {
         const targetPosition = nextLayerMesh?.positions?.[targetIndex];
-        if (!targetPosition) continue;
-        const weight = Number(row[neuronIndex]);
-        if (!Number.isFinite(weight)) continue;
-        if (Math.abs(weight) < minMagnitude) continue;
+        if (!targetPosition) return;
+        if (!Number.isFinite(weight)) return;
+        if (Math.abs(weight) < threshold) return;
         outgoing.push({
           sourceLayer: layerIndex,
           targetLayer: layerIndex + 1,
           sourceIndex: neuronIndex,
           targetIndex,
           weight,
+          weightIndex,
           sourcePosition,
           targetPosition,
         });
+      };
+      const layer = this.mlp.layers[layerIndex];
+      if (sourcePosition && layer.type === "dense") {
+        const [rows, columns] = layer.weightShape;
+        for (let targetIndex = 0; targetIndex < rows; targetIndex += 1) {
+          const weightIndex = targetIndex * columns + neuronIndex;
+          addOutgoing(targetIndex, layer.weights[weightIndex], weightIndex);
+        }
+      } else if (sourcePosition) {
+        this.mlp.getOutgoingConnections(layerIndex, neuronIndex).forEach((connection) => {
+          addOutgoing(connection.targetIndex, Number(connection.weight), connection.weightIndex ?? null);
+        });
       }
     }
 
@@ -2270,8 +7683,8 @@ class NeuralVisualizer {
     const sprite = this.ensureSelectionGlowSprite();
     sprite.position.copy(position);
     const baseSize =
-      layer.type === "input"
-        ? this.options.inputNodeSize ?? 0.18
+      layer.type === "input" || layer.type === "feature_map"
+        ? layer.nodeSize ?? this.options.inputNodeSize ?? 0.18
         : this.options.hiddenNodeRadius ?? 0.22;
     const scale = Math.max(baseSize * 3, 0.2);
     sprite.scale.set(scale, scale, 1);
@@ -2328,6 +7741,7 @@ class NeuralVisualizer {
       return {
         sourceIndex: connection.sourceIndex,
         weight: connection.weight,
+        weightIndex: connection.weightIndex ?? null,
         sourceActivation,
         contribution,
       };
@@ -2354,19 +7768,36 @@ class NeuralVisualizer {
       return {
         targetIndex: connection.targetIndex,
         weight: connection.weight,
+        weightIndex: connection.weightIndex ?? null,
         targetActivation,
         contribution: outgoingContributionBase * connection.weight,
       };
     });
 
+    const weightLayerIndex = layerIndex - 1;
+    const incomingLayer = weightLayerIndex >= 0 && this.mlp.hasParameters(weightLayerIndex) ? weightLayerIndex : null;
+    const outgoingLayer = this.mlp.hasParameters(layerIndex) ? layerIndex : null;
+    const kernel = weightLayerIndex >= 0 ? this.mlp.getKernel(weightLayerIndex, neuronIndex) : null;
+    const receptiveField = layerIndex > 0 ? this.mlp.getReceptiveField(layerIndex, neuronIndex) : null;
+    const inputWeights = weightLayerIndex >= 0 ? this.mlp.getInputWeightImage(weightLayerIndex, neuronIndex) : null;
+
     return {
       layerIndex,
       neuronIndex,
       layerLabel: this.describeLayer(layerIndex),
+      unitPosition: this.describeUnitPosition(layerIndex, neuronIndex),
+      kernel,
+      receptiveField,
+      inputWeights,
+      inputPixels: receptiveField || inputWeights ? this.lastDisplayActivations?.[0] ?? null : null,
       activationName: this.getActivationName(layerIndex),
+      activationOutput: this.describeActivationOutput(layerIndex),
       activationValue: activationValue ?? null,
       preActivation,
       bias: bias ?? null,
+      incomingLayer,
+      outgoingLayer,
+      biasIndex: incomingLayer !== null ? this.mlp.getBiasIndex(incomingLayer, neuronIndex) : null,
       incoming,
       outgoing,
       previousLayerSize: data.previousLayerSize,
@@ -2428,14 +7859,52 @@ class NeuralVisualizer {
     if (layerIndex === this.mlp.architecture.length - 1) {
       return `Ausgabeschicht (${this.mlp.architecture[layerIndex]} Knoten)`;
     }
-    return `Verborgene Schicht ${layerIndex} (${this.mlp.architecture[layerIndex]} Knoten)`;
+    const shape = this.mlp.getLayerShape(layerIndex);
+    const size = shape?.length === 3 ? shape.join("×") : this.mlp.architecture[layerIndex];
+    switch (this.mlp.layers[layerIndex - 1]?.type) {
+      case "conv2d":
+        return `Faltungsschicht ${layerIndex} (${size} Knoten)`;
+      case "maxpool2d":
+      case "avgpool2d":
+        return `Pooling-Schicht ${layerIndex} (${size} Knoten)`;
+      case "flatten":
+        return `Flatten-Schicht ${layerIndex} (${size} Knoten)`;
+      default:
+        return `Verborgene Schicht ${layerIndex} (${size} Knoten)`;
+    }
   }
 
-  getActivationName(layerIndex) {
+  describeUnitPosition(layerIndex, neuronIndex) {
+    const shape = this.mlp.getLayerShape(layerIndex);
+    if (!Array.isArray(shape) || shape.length !== 3) return null;
+    const [, height, width] = shape;
+    const spatial = neuronIndex % (height * width);
+    return {
+      channel: Math.floor(neuronIndex / (height * width)),
+      row: Math.floor(spatial / width),
+      col: spatial % width,
+    };
+  }
+
+  getActivationDescriptor(layerIndex) {
     if (layerIndex === 0) return null;
     const activation = this.mlp.layers?.[layerIndex - 1]?.activation;
-    if (typeof activation !== "string") return null;
-    return activation.toUpperCase();
+    const canonical = resolveActivationName(activation);
+    return canonical ? ACTIVATION_FUNCTIONS[canonical] : null;
+  }
+
+  getActivationName(layerIndex) {
+    return this.getActivationDescriptor(layerIndex)?.label ?? null;
+  }
+
+  describeActivationOutput(layerIndex) {
+    if (layerIndex === 0) return null;
+    // Output activations are replaced by client-side softmax probabilities before they reach the scene.
+    const descriptor =
+      layerIndex === this.layerMeshes.length - 1
+        ? ACTIVATION_FUNCTIONS.softmax
+        : this.getActivationDescriptor(layerIndex);
+    return descriptor ? { label: descriptor.label, formula: descriptor.formula } : null;
   }
 
   buildLayers() {
@@ -2450,19 +7919,26 @@ class NeuralVisualizer {
     hiddenBaseMaterial.toneMapped = false;
 
     const layerCount = this.mlp.architecture.length;
-    const totalWidth = (layerCount - 1) * this.options.layerSpacing;
-    const startX = -totalWidth / 2;
+    const layerXs = this.computeLayerXPositions();
 
     this.clearOutputLabels();
     this.mlp.architecture.forEach((neuronCount, layerIndex) => {
-      const layerX = startX + layerIndex * this.options.layerSpacing;
+      const layerX = layerXs[layerIndex];
       const positions = this.computeLayerPositions(layerIndex, neuronCount, layerX);
       const isOutputLayer = layerIndex === layerCount - 1;
+      const featureMapShape = this.getFeatureMapShape(layerIndex);
 
       if (layerIndex === 0) {
         const material = new THREE.MeshLambertMaterial();
         material.emissive.setRGB(0.08, 0.08, 0.08);
-        const mesh = new THREE.InstancedMesh(inputGeometry, material, neuronCount);
+        const nodeSize = featureMapShape
+          ? this.getFeatureMapNodeSize(featureMapShape)
+          : this.options.inputNodeSize;
+        const geometry =
+          nodeSize === this.options.inputNodeSize
+            ? inputGeometry
+            : new THREE.BoxGeometry(nodeSize, nodeSize, nodeSize);
+        const mesh = new THREE.InstancedMesh(geometry, material, neuronCount);
         mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
         const colorAttribute = new THREE.InstancedBufferAttribute(new Float32Array(neuronCount * 3), 3);
         colorAttribute.setUsage(THREE.DynamicDrawUsage);
@@ -2478,11 +7954,16 @@ class NeuralVisualizer {
         mesh.instanceMatrix.needsUpdate = true;
         mesh.instanceColor.needsUpdate = true;
         this.scene.add(mesh);
-        this.layerMeshes.push({ mesh, positions, type: "input", layerIndex });
+        this.layerMeshes.push({ mesh, positions, type: "input", layerIndex, nodeSize });
       } else {
         const material = hiddenBaseMaterial.clone();
+        // Feature maps are drawn as cube grids; dense layers keep the sphere layout.
+        const nodeSize =
+          featureMapShape && !isOutputLayer ? this.getFeatureMapNodeSize(featureMapShape) : null;
         // Clone geometry per mesh so each InstancedMesh can have its own instanceColor attribute
-        const geometry = hiddenGeometry.clone();
+        const geometry = nodeSize
+          ? new THREE.BoxGeometry(nodeSize, nodeSize, nodeSize)
+          : hiddenGeometry.clone();
         const mesh = new THREE.InstancedMesh(geometry, material, neuronCount);
         mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
         const colorAttribute = new THREE.InstancedBufferAttribute(new Float32Array(neuronCount * 3), 3);
@@ -2499,8 +7980,8 @@ class NeuralVisualizer {
         mesh.instanceMatrix.needsUpdate = true;
         mesh.instanceColor.needsUpdate = true;
         this.scene.add(mesh);
-        const layerType = isOutputLayer ? "output" : "hidden";
-        this.layerMeshes.push({ mesh, positions, type: layerType, layerIndex });
+        const layerType = isOutputLayer ? "output" : nodeSize ? "feature_map" : "hidden";
+        this.layerMeshes.push({ mesh, positions, type: layerType, layerIndex, nodeSize });
         if (isOutputLayer) {
           this.createOutputLabels(positions);
         }
@@ -2508,10 +7989,63 @@ class NeuralVisualizer {
     });
   }
 
+  getFeatureMapShape(layerIndex) {
+    const shape = typeof this.mlp.getLayerShape === "function" ? this.mlp.getLayerShape(layerIndex) : null;
+    return Array.isArray(shape) && shape.length === 3 ? shape : null;
+  }
+
+  getFeatureMapSpacing([, height, width]) {
+    // Keep every feature map roughly as wide as the 28×28 input grid, whatever its resolution.
+    const referenceShape = this.getFeatureMapShape(0);
+    const referenceSize = referenceShape ? Math.max(referenceShape[1], referenceShape[2]) : 28;
+    return (this.options.inputSpacing * referenceSize) / Math.max(height, width, 1);
+  }
+
+  getFeatureMapNodeSize(shape) {
+    const ratio = this.options.inputNodeSize / this.options.inputSpacing;
+    return this.getFeatureMapSpacing(shape) * ratio;
+  }
+
+  getLayerDepth(layerIndex) {
+    const shape = this.getFeatureMapShape(layerIndex);
+    if (!shape || layerIndex === this.mlp.architecture.length - 1) return 0;
+    return Math.max(0, shape[0] - 1) * this.options.featureMapSpacing;
+  }
+
+  computeLayerXPositions() {
+    const layerCount = this.mlp.architecture.length;
+    const depths = Array.from({ length: layerCount }, (_, layerIndex) => this.getLayerDepth(layerIndex));
+    const centers = [];
+    let cursor = 0;
+    for (let layerIndex = 0; layerIndex < layerCount; layerIndex += 1) {
+      if (layerIndex > 0) {
+        cursor += depths[layerIndex - 1] / 2 + this.options.layerSpacing + depths[layerIndex] / 2;
+      }
+      centers.push(cursor);
+    }
+    const totalWidth = layerCount > 0 ? centers[layerCount - 1] : 0;
+    return centers.map((center) => center - totalWidth / 2);
+  }
+
   computeLayerPositions(layerIndex, neuronCount, layerX) {
     const positions = [];
     const isOutputLayer = layerIndex === this.mlp.architecture.length - 1;
-    if (layerIndex === 0) {
+    const featureMapShape = isOutputLayer ? null : this.getFeatureMapShape(layerIndex);
+    if (featureMapShape) {
+      const [channels, rows, cols] = featureMapShape;
+      const spacing = this.getFeatureMapSpacing(featureMapShape);
+      const height = (rows - 1) * spacing;
+      const width = (cols - 1) * spacing;
+      const depth = this.getLayerDepth(layerIndex);
+      for (let channel = 0; channel < channels; channel += 1) {
+        const x = layerX - depth / 2 + channel * this.options.featureMapSpacing;
+        for (let row = 0; row < rows; row += 1) {
+          for (let col = 0; col < cols; col += 1) {
+            positions.push(new THREE.Vector3(x, height / 2 - row * spacing, -width / 2 + col * spacing));
+          }
+        }
+      }
+    } else if (layerIndex === 0) {
       const spacing = this.options.inputSpacing;
       let rows;
       let cols;
@@ -2631,8 +8165,12 @@ class NeuralVisualizer {
     // Do not set vertexColors explicitly; instancing color works independently
 
     this.mlp.layers.forEach((layer, layerIndex) => {
-      const { selected, maxAbsWeight } = this.findImportantConnections(layer);
-      if (Number.isFinite(maxAbsWeight) && maxAbsWeight > this.maxConnectionWeightMagnitude) {
+      const { selected, maxAbsWeight } = this.findImportantConnections(layerIndex);
+      if (
+        this.mlp.hasParameters(layerIndex) &&
+        Number.isFinite(maxAbsWeight) &&
+        maxAbsWeight > this.maxConnectionWeightMagnitude
+      ) {
         this.maxConnectionWeightMagnitude = maxAbsWeight;
       }
       if (!selected.length) return;
@@ -2706,6 +8244,67 @@ class NeuralVisualizer {
     }
   }
 
+  setEditedParameters(parameters) {
+    this.editedParameters = Array.isArray(parameters) ? parameters : [];
+    this.buildEditMarkers();
+  }
+
+  buildEditMarkers() {
+    if (this.editMarkerMesh) {
+      this.scene.remove(this.editMarkerMesh);
+      this.editMarkerMesh.geometry.dispose();
+      this.editMarkerMesh.material.dispose();
+      this.editMarkerMesh = null;
+    }
+    // Edited weights get a marker at the midpoint of every connection they drive; edited biases sit on the node.
+    const positions = [];
+    for (const { layerIndex, key, index } of this.editedParameters) {
+      if (positions.length >= MAX_EDIT_MARKERS) break;
+      const sourceLayer = this.layerMeshes[layerIndex];
+      const targetLayer = this.layerMeshes[layerIndex + 1];
+      if (!sourceLayer || !targetLayer) continue;
+      if (key === "biases") {
+        const layer = this.mlp.layers[layerIndex];
+        const targets = layer.type === "conv2d" ? shapeSize(layer.outputShape.slice(1)) : 1;
+        for (let offset = 0; offset < targets; offset += 1) {
+          const position = targetLayer.positions[index * targets + offset];
+          if (position) positions.push(position.clone());
+        }
+        continue;
+      }
+      this.mlp.getWeightConnections(layerIndex, index).forEach(({ sourceIndex, targetIndex }) => {
+        const source = sourceLayer.positions[sourceIndex];
+        const target = targetLayer.positions[targetIndex];
+        if (source && target) {
+          positions.push(source.clone().lerp(target, 0.5));
+        }
+      });
+    }
+    if (!positions.length) {
+      if (typeof this.requestRender === "function") {
+        this.requestRender();
+      }
+      return;
+    }
+    const count = Math.min(positions.length, MAX_EDIT_MARKERS);
+    const geometry = new THREE.OctahedronGeometry(0.07, 0);
+    const material = new THREE.MeshBasicMaterial({ color: 0xfacc15, toneMapped: false });
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    for (let i = 0; i < count; i += 1) {
+      this.tempObject.position.copy(positions[i]);
+      this.tempObject.quaternion.identity();
+      this.tempObject.scale.set(1, 1, 1);
+      this.tempObject.updateMatrix();
+      mesh.setMatrixAt(i, this.tempObject.matrix);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+    this.scene.add(mesh);
+    this.editMarkerMesh = mesh;
+    if (typeof this.requestRender === "function") {
+      this.requestRender();
+    }
+  }
+
   setMaxConnectionsPerNeuron(limit) {
     const clamped = Math.max(1, Math.floor(limit));
     if (!Number.isFinite(clamped)) return false;
@@ -2741,19 +8340,33 @@ class NeuralVisualizer {
     return this.maxConnectionWeightMagnitude || 0;
   }
 
-  findImportantConnections(layer) {
+  findImportantConnections(layerIndex) {
     const limit = this.options.maxConnectionsPerNeuron;
-    const minMagnitude = Math.max(0, this.options.connectionWeightThreshold ?? 0);
+    // Pooling and flatten edges carry no learned weight, so the weight threshold does not apply to them.
+    const minMagnitude = this.mlp.hasParameters(layerIndex)
+      ? Math.max(0, this.options.connectionWeightThreshold ?? 0)
+      : 0;
+    const layer = this.mlp.layers[layerIndex];
+    if (layer?.type === "dense") {
+      return this.findImportantDenseConnections(layer, limit, minMagnitude);
+    }
     const selected = [];
     let maxAbsWeight = 0;
-    for (let target = 0; target < layer.weights.length; target += 1) {
-      const row = layer.weights[target];
+    const targetCount = this.mlp.architecture[layerIndex + 1] ?? 0;
+    for (let target = 0; target < targetCount; target += 1) {
+      const incoming = this.mlp.getIncomingConnections(layerIndex, target);
       const candidates = [];
-      for (let source = 0; source < row.length; source += 1) {
-        const weight = row[source];
+      for (const connection of incoming) {
+        const weight = connection.weight;
         if (!Number.isFinite(weight)) continue;
         const magnitude = Math.abs(weight);
-        candidates.push({ sourceIndex: source, targetIndex: target, weight, magnitude });
+        candidates.push({
+          sourceIndex: connection.sourceIndex,
+          targetIndex: target,
+          weight,
+          weightIndex: connection.weightIndex,
+          magnitude,
+        });
         if (magnitude > maxAbsWeight) maxAbsWeight = magnitude;
       }
       candidates.sort((a, b) => b.magnitude - a.magnitude);
@@ -2765,6 +8378,48 @@ class NeuralVisualizer {
           sourceIndex: candidate.sourceIndex,
           targetIndex: candidate.targetIndex,
           weight: candidate.weight,
+          weightIndex: candidate.weightIndex,
+        });
+      }
+    }
+    return { selected, maxAbsWeight };
+  }
+
+  findImportantDenseConnections(layer, limit, minMagnitude) {
+    // Scans the flat row-major buffer once per row, keeping the top `limit` magnitudes in insertion order.
+    const { weights } = layer;
+    const [rows, columns] = layer.weightShape;
+    const selected = [];
+    const maxAbsWeight = maxAbsValue(weights);
+    const capacity = Math.max(0, Math.floor(limit) || 0);
+    if (capacity === 0) {
+      return { selected, maxAbsWeight };
+    }
+    const topSources = new Int32Array(capacity);
+    const topMagnitudes = new Float32Array(capacity);
+    for (let target = 0; target < rows; target += 1) {
+      const offset = target * columns;
+      let count = 0;
+      for (let source = 0; source < columns; source += 1) {
+        const magnitude = Math.abs(weights[offset + source]);
+        if (!(magnitude >= minMagnitude)) continue;
+        if (count === capacity && magnitude <= topMagnitudes[capacity - 1]) continue;
+        let position = count < capacity ? count : capacity - 1;
+        if (count < capacity) count += 1;
+        while (position > 0 && topMagnitudes[position - 1] < magnitude) {
+          topMagnitudes[position] = topMagnitudes[position - 1];
+          topSources[position] = topSources[position - 1];
+          position -= 1;
+        }
+        topMagnitudes[position] = magnitude;
+        topSources[position] = source;
+      }
+      for (let i = 0; i < count; i += 1) {
+        selected.push({
+          sourceIndex: topSources[i],
+          targetIndex: target,
+          weight: weights[offset + topSources[i]],
+          weightIndex: offset + topSources[i],
         });
       }
     }
@@ -2778,11 +8433,24 @@ class NeuralVisualizer {
     this.layerMeshes.forEach((layer, layerIndex) => {
       const values = displayActivations[layerIndex];
       if (!values) return;
+      const relevanceValues = this.relevance?.relevance?.[layerIndex];
+      if (relevanceValues?.length === values.length) {
+        this.applyDivergingNodeColors(layer, relevanceValues, layerIndex);
+        return;
+      }
       const scale = layerIndex === 0 ? 1 : maxAbsValue(displayActivations[layerIndex]);
       this.applyNodeColors(layer, values, scale || 1, layerIndex);
     });
 
     this.connectionGroups.forEach((group) => {
+      if (this.weightDelta) {
+        this.applyDeltaConnectionColors(group);
+        return;
+      }
+      if (this.relevance) {
+        this.applyRelevanceConnectionColors(group);
+        return;
+      }
       const sourceValues = networkActivations[group.sourceLayer];
       if (!sourceValues) return;
       this.applyConnectionColors(group, sourceValues);
@@ -2798,10 +8466,20 @@ class NeuralVisualizer {
     }
   }
 
+  setInputSaliency(values) {
+    this.inputSaliency = values ?? null;
+  }
+
+  setRelevance(relevance) {
+    this.relevance = relevance ?? null;
+  }
+
   applyNodeColors(layer, values, scale, layerIndex) {
     const { mesh, type } = layer;
     const activeSelection = this.selectedNeuron;
     if (type === "input") {
+      const saliency = this.inputSaliency?.length === values.length ? this.inputSaliency : null;
+      const saliencyScale = saliency ? maxAbsValue(saliency) || 1 : 1;
       for (let i = 0; i < values.length; i += 1) {
         const value = clamp(values[i], 0, 1);
         const isSelected =
@@ -2810,6 +8488,9 @@ class NeuralVisualizer {
           i === activeSelection.neuronIndex;
         if (isSelected) {
           this.tempColor.copy(this.highlightColor);
+        } else if (saliency) {
+          const [r, g, b] = divergingRgb(saliency[i] / saliencyScale);
+          this.tempColor.setRGB(r / 255, g / 255, b / 255);
         } else {
           this.tempColor.setRGB(value, value, value);
         }
@@ -2820,15 +8501,18 @@ class NeuralVisualizer {
     }
 
     const safeScale = scale > 1e-6 ? scale : 1;
+    const normalizeValue = this.createNodeValueNormalizer(layerIndex, safeScale);
     for (let i = 0; i < values.length; i += 1) {
       const value = values[i];
-      const normalized = clamp(value / safeScale, 0, 1);
+      const normalized = normalizeValue(value);
       const isSelected =
         activeSelection &&
         layerIndex === activeSelection.layerIndex &&
         i === activeSelection.neuronIndex;
       if (isSelected) {
         this.tempColor.copy(this.highlightColor);
+      } else if (this.isAblated(layerIndex, i)) {
+        this.tempColor.setRGB(0.16, 0.17, 0.2);
       } else {
         this.tempColor.setRGB(normalized, normalized, normalized);
       }
@@ -2837,6 +8521,45 @@ class NeuralVisualizer {
     mesh.instanceColor.needsUpdate = true;
   }
 
+  applyDivergingNodeColors(layer, values, layerIndex) {
+    // Signed per-node scores (e.g. relevance) share the orange/blue scale of the colour legend.
+    const { mesh } = layer;
+    const scale = maxAbsValue(values) || 1;
+    const activeSelection = this.selectedNeuron;
+    for (let i = 0; i < values.length; i += 1) {
+      const isSelected =
+        activeSelection && layerIndex === activeSelection.layerIndex && i === activeSelection.neuronIndex;
+      if (isSelected) {
+        this.tempColor.copy(this.highlightColor);
+      } else if (this.isAblated(layerIndex, i)) {
+        this.tempColor.setRGB(0.16, 0.17, 0.2);
+      } else {
+        const [r, g, b] = divergingRgb(values[i] / scale);
+        this.tempColor.setRGB(r / 255, g / 255, b / 255);
+      }
+      mesh.setColorAt(i, this.tempColor);
+    }
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  createNodeValueNormalizer(layerIndex, scale) {
+    // Output nodes display softmax probabilities, so only hidden layers follow their activation range.
+    const isOutputLayer = layerIndex === this.layerMeshes.length - 1;
+    const range = isOutputLayer ? null : this.getActivationDescriptor(layerIndex)?.outputRange;
+    if (!range) {
+      return (value) => clamp(value / scale, 0, 1);
+    }
+    const [min, max] = range;
+    if (Number.isFinite(min) && Number.isFinite(max)) {
+      const span = max - min;
+      return (value) => clamp((value - min) / span, 0, 1);
+    }
+    if (min < 0) {
+      return (value) => clamp(0.5 + (0.5 * value) / scale, 0, 1);
+    }
+    return (value) => clamp(value / scale, 0, 1);
+  }
+
   applyConnectionColors(group, sourceValues) {
     const contributions = new Float32Array(group.connections.length);
     let maxContribution = 0;
@@ -2863,9 +8586,40 @@ class NeuralVisualizer {
     group.mesh.instanceColor.needsUpdate = true;
   }
 
+  applyDeltaConnectionColors(group) {
+    const layerDelta = this.weightDelta.layers[group.sourceLayer];
+    const scale = layerDelta?.weightScale || 1;
+    group.connections.forEach((connection, index) => {
+      const change = layerDelta && Number.isInteger(connection.weightIndex) ? layerDelta.weights[connection.weightIndex] : 0;
+      const [r, g, b] = divergingRgb(change / scale);
+      this.tempColor.setRGB(r / 255, g / 255, b / 255);
+      group.mesh.setColorAt(index, this.tempColor);
+    });
+    group.mesh.instanceColor.needsUpdate = true;
+  }
+
+  applyRelevanceConnectionColors(group) {
+    const relevances = new Float32Array(group.connections.length);
+    group.connections.forEach((connection, index) => {
+      relevances[index] = this.mlp.getConnectionRelevance(
+        this.relevance,
+        group.sourceLayer,
+        connection.sourceIndex,
+        connection.targetIndex,
+        connection.weight,
+      );
+    });
+    const scale = maxAbsValue(relevances) || 1;
+    relevances.forEach((value, index) => {
+      const [r, g, b] = divergingRgb(value / scale);
+      this.tempColor.setRGB(r / 255, g / 255, b / 255);
+      group.mesh.setColorAt(index, this.tempColor);
+    });
+    group.mesh.instanceColor.needsUpdate = true;
+  }
+
   handleResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = this.getViewportSize();
     this.renderer.setSize(width, height);
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
@@ -2880,6 +8634,7 @@ class NeuralVisualizer {
 
     const renderFrame = (time) => {
       this.renderRequested = false;
+      if (this.disposed) return;
       const controlsChanged = this.controls.update();
       this.renderer.render(this.scene, this.camera);
       if (this.fpsMonitor) {
@@ -2912,16 +8667,17 @@ class NeuralVisualizer {
   }
 }
 
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
+function divergingRgb(normalized) {
+  const value = clamp(Number(normalized) || 0, -1, 1);
+  const magnitude = Math.abs(value);
+  const base = [24, 32, 56];
+  const target = value >= 0 ? [249, 115, 22] : [59, 130, 246];
+  return base.map((channel, index) => Math.round(channel + (target[index] - channel) * magnitude));
 }
 
-function softmax(values) {
-  if (!values.length) return [];
-  const maxVal = Math.max(...values);
-  const exps = values.map((value) => Math.exp(value - maxVal));
-  const sum = exps.reduce((acc, value) => acc + value, 0);
-  return exps.map((value) => (sum === 0 ? 0 : value / sum));
+function divergingColor(normalized, alpha = 1) {
+  const [r, g, b] = divergingRgb(normalized);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
 function maxAbsValue(values) {
@@ -0,0 +1,1439 @@
+const LEAKY_RELU_SLOPE = 0.01;
+
+export const ACTIVATION_FUNCTIONS = {
+  linear: {
+    label: "Linear",
+    formula: "f(x) = x",
+    outputRange: [Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY],
+    apply(values) {
+      return Float32Array.from(values);
+    },
+    backward(preActivations, activations, upstream) {
+      return Float32Array.from(upstream);
+    },
+  },
+  relu: {
+    label: "ReLU",
+    formula: "f(x) = max(0, x)",
+    outputRange: [0, Number.POSITIVE_INFINITY],
+    apply(values) {
+      return mapActivation(values, (x) => (x > 0 ? x : 0));
+    },
+    backward(preActivations, activations, upstream) {
+      return mapGradient(preActivations, activations, upstream, (x) => (x > 0 ? 1 : 0));
+    },
+  },
+  leaky_relu: {
+    label: "Leaky ReLU",
+    formula: `f(x) = x > 0 ? x : ${LEAKY_RELU_SLOPE}·x`,
+    outputRange: [Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY],
+    apply(values) {
+      return mapActivation(values, (x) => (x > 0 ? x : LEAKY_RELU_SLOPE * x));
+    },
+    backward(preActivations, activations, upstream) {
+      return mapGradient(preActivations, activations, upstream, (x) => (x > 0 ? 1 : LEAKY_RELU_SLOPE));
+    },
+  },
+  sigmoid: {
+    label: "Sigmoid",
+    formula: "f(x) = 1 / (1 + e^(−x))",
+    outputRange: [0, 1],
+    apply(values) {
+      return mapActivation(values, sigmoid);
+    },
+    backward(preActivations, activations, upstream) {
+      return mapGradient(preActivations, activations, upstream, (x, y) => y * (1 - y));
+    },
+  },
+  tanh: {
+    label: "Tanh",
+    formula: "f(x) = tanh(x)",
+    outputRange: [-1, 1],
+    apply(values) {
+      return mapActivation(values, Math.tanh);
+    },
+    backward(preActivations, activations, upstream) {
+      return mapGradient(preActivations, activations, upstream, (x, y) => 1 - y * y);
+    },
+  },
+  gelu: {
+    label: "GELU",
+    formula: "f(x) = x · Φ(x)",
+    outputRange: [-0.17, Number.POSITIVE_INFINITY],
+    apply(values) {
+      return mapActivation(values, (x) => 0.5 * x * (1 + erf(x / Math.SQRT2)));
+    },
+    backward(preActivations, activations, upstream) {
+      return mapGradient(
+        preActivations,
+        activations,
+        upstream,
+        (x) => 0.5 * (1 + erf(x / Math.SQRT2)) + (x * Math.exp(-0.5 * x * x)) / Math.sqrt(2 * Math.PI),
+      );
+    },
+  },
+  softmax: {
+    label: "Softmax",
+    formula: "f(x)ᵢ = e^(xᵢ) / Σⱼ e^(xⱼ)",
+    outputRange: [0, 1],
+    apply(values) {
+      return Float32Array.from(softmax(Array.from(values)));
+    },
+    backward(preActivations, activations, upstream) {
+      let dot = 0;
+      for (let i = 0; i < activations.length; i += 1) {
+        dot += upstream[i] * activations[i];
+      }
+      const result = new Float32Array(activations.length);
+      for (let i = 0; i < activations.length; i += 1) {
+        result[i] = activations[i] * (upstream[i] - dot);
+      }
+      return result;
+    },
+  },
+};
+
+const ACTIVATION_ALIASES = {
+  identity: "linear",
+  none: "linear",
+  leakyrelu: "leaky_relu",
+  "leaky-relu": "leaky_relu",
+  logistic: "sigmoid",
+};
+
+export function resolveActivationName(name) {
+  if (typeof name !== "string") return null;
+  const normalized = name.trim().toLowerCase();
+  const canonical = ACTIVATION_ALIASES[normalized] ?? normalized;
+  return Object.prototype.hasOwnProperty.call(ACTIVATION_FUNCTIONS, canonical) ? canonical : null;
+}
+
+export function getActivationFunction(name) {
+  const canonical = resolveActivationName(name);
+  if (!canonical) {
+    throw new Error(`Unbekannte Aktivierungsfunktion "${name}".`);
+  }
+  return ACTIVATION_FUNCTIONS[canonical];
+}
+
+function mapActivation(values, fn) {
+  const result = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i += 1) {
+    result[i] = fn(values[i]);
+  }
+  return result;
+}
+
+function mapGradient(preActivations, activations, upstream, derivative) {
+  const result = new Float32Array(upstream.length);
+  for (let i = 0; i < upstream.length; i += 1) {
+    result[i] = upstream[i] * derivative(preActivations[i], activations[i]);
+  }
+  return result;
+}
+
+export const SALIENCY_METHODS = new Set(["gradient", "gradient_input", "integrated_gradients"]);
+export const ADVERSARIAL_METHODS = new Set(["fgsm", "pgd"]);
+export const RELEVANCE_RULES = new Set(["epsilon", "zplus"]);
+
+export const SPATIAL_LAYER_TYPES = new Set(["conv2d", "maxpool2d", "avgpool2d"]);
+export const LAYER_TYPES = new Set(["dense", "flatten", ...SPATIAL_LAYER_TYPES]);
+
+export class FeedForwardModel {
+  constructor(definition) {
+    if (!definition.layers?.length) {
+      throw new Error("Die Netzwerkdefinition muss Schichten enthalten.");
+    }
+    this.normalization = definition.normalization ?? { mean: 0, std: 1 };
+    this.inputShape = this.resolveInputShape(definition);
+    this.layers = this.normaliseLayers(definition.layers);
+    this.architecture = this.computeArchitecture(this.layers);
+    this.ownedBuffers = new WeakSet();
+    this.setAblationMasks(definition.ablation ?? null);
+  }
+
+  setAblationMasks(masks) {
+    // One optional { mask, values } pair per layer: flagged units output the fixed value instead of their activation.
+    this.ablationMasks = Array.isArray(masks)
+      ? this.layers.map((layer, index) => {
+          const entry = masks[index];
+          const size = this.architecture[index + 1];
+          if (!entry || entry.mask?.length !== size || entry.values?.length !== size) return null;
+          return { mask: Uint8Array.from(entry.mask), values: Float32Array.from(entry.values) };
+        })
+      : null;
+    if (this.ablationMasks?.every((entry) => entry === null)) {
+      this.ablationMasks = null;
+    }
+  }
+
+  applyAblation(layerIndex, activated, masks, batchSize = 1) {
+    const entry = masks?.[layerIndex];
+    if (!entry) return activated;
+    const size = entry.mask.length;
+    for (let sample = 0; sample < batchSize; sample += 1) {
+      const offset = sample * size;
+      for (let i = 0; i < size; i += 1) {
+        if (entry.mask[i]) activated[offset + i] = entry.values[i];
+      }
+    }
+    return activated;
+  }
+
+  resolveInputShape(definition) {
+    const explicit = normaliseShape(definition.inputShape);
+    if (explicit.length && explicit.every((dim) => dim > 0)) {
+      return explicit;
+    }
+    const firstLayer = definition.layers[0];
+    const layerShape = normaliseShape(firstLayer?.inputShape);
+    if (layerShape.length && layerShape.every((dim) => dim > 0)) {
+      return layerShape;
+    }
+    const inputSize = Number(definition.architecture?.[0]) || 0;
+    const type = typeof firstLayer?.type === "string" ? firstLayer.type : "dense";
+    if (SPATIAL_LAYER_TYPES.has(type)) {
+      const channels = Number(firstLayer?.weightShape?.[1]) || 1;
+      const side = Math.round(Math.sqrt((inputSize || 28 * 28) / channels));
+      return [channels, side, side];
+    }
+    if (type === "flatten") {
+      const side = Math.round(Math.sqrt(inputSize || 28 * 28));
+      return [1, side, side];
+    }
+    const rowLength = Number(firstLayer?.weightShape?.[1]) || firstLayer?.weights?.[0]?.length || 0;
+    return [rowLength || inputSize];
+  }
+
+  getInputGrid() {
+    // [rows, cols] of the input image; flat inputs are assumed to be square.
+    if (this.inputShape.length >= 2) {
+      return this.inputShape.slice(-2);
+    }
+    const size = shapeSize(this.inputShape);
+    const side = Math.round(Math.sqrt(size));
+    return side * side === size ? [side, side] : [1, size];
+  }
+
+  computeArchitecture(layers) {
+    if (!layers.length) return [];
+    return [shapeSize(this.inputShape), ...layers.map((layer) => shapeSize(layer.outputShape))];
+  }
+
+  normaliseLayers(layerDefinitions) {
+    let currentShape = this.inputShape;
+    return layerDefinitions.map((layer, index) => {
+      const normalized = this.normaliseLayer(layer, index, currentShape);
+      currentShape = normalized.outputShape;
+      return normalized;
+    });
+  }
+
+  normaliseLayer(layer, index, inputShape = this.inputShape) {
+    if (!layer || typeof layer !== "object") {
+      throw new Error(`Layer ${index} is not a valid layer definition.`);
+    }
+    const type = typeof layer.type === "string" ? layer.type : "dense";
+    if (!LAYER_TYPES.has(type)) {
+      throw new Error(`Layer ${index} has unsupported type "${type}".`);
+    }
+    const defaultActivation = type === "dense" || type === "conv2d" ? "relu" : "linear";
+    const activationName = typeof layer.activation === "string" ? layer.activation : defaultActivation;
+    const activation = resolveActivationName(activationName);
+    if (!activation) {
+      throw new Error(`Layer ${index} uses unknown activation "${activationName}".`);
+    }
+    const base = {
+      type,
+      name: typeof layer.name === "string" ? layer.name : `${type}_${index}`,
+      activation,
+      inputShape: inputShape.slice(),
+    };
+
+    if (type === "flatten") {
+      return { ...base, weights: null, biases: null, outputShape: [shapeSize(inputShape)] };
+    }
+
+    if (SPATIAL_LAYER_TYPES.has(type)) {
+      if (inputShape.length !== 3) {
+        throw new Error(`Layer ${index} (${type}) expects a [channels, height, width] input.`);
+      }
+      const [channels, height, width] = inputShape;
+      if (type === "conv2d") {
+        const weightShape = normaliseShape(layer.weightShape);
+        if (weightShape.length !== 4 || weightShape[1] !== channels) {
+          throw new Error(`Layer ${index} has a convolution kernel that does not match its input.`);
+        }
+        const [outChannels, , kernelHeight, kernelWidth] = weightShape;
+        const kernelSize = [kernelHeight, kernelWidth];
+        const stride = normalisePair(layer.stride, 1);
+        const padding = normalisePair(layer.padding, 0);
+        const weights = toFloat32Array(layer.weights, shapeSize(weightShape));
+        if (!weights) {
+          throw new Error(`Layer ${index} is missing a valid convolution kernel.`);
+        }
+        const biases = toFloat32Array(layer.biases, outChannels) ?? new Float32Array(outChannels);
+        const [outHeight, outWidth] = computeSpatialOutputSize([height, width], kernelSize, stride, padding);
+        return {
+          ...base,
+          weights,
+          biases,
+          weightShape,
+          kernelSize,
+          stride,
+          padding,
+          outputShape: [outChannels, outHeight, outWidth],
+        };
+      }
+      const kernelSize = normalisePair(layer.kernelSize, 2);
+      const stride = normalisePair(layer.stride ?? layer.kernelSize, kernelSize[0]);
+      const padding = normalisePair(layer.padding, 0);
+      const [outHeight, outWidth] = computeSpatialOutputSize([height, width], kernelSize, stride, padding);
+      return {
+        ...base,
+        weights: null,
+        biases: null,
+        kernelSize,
+        stride,
+        padding,
+        outputShape: [channels, outHeight, outWidth],
+      };
+    }
+
+    const { weights, rows, columns } = flattenDenseWeights(layer, index);
+    const biases = toFloat32Array(layer.biases, rows) ?? new Float32Array(rows);
+    if (columns !== shapeSize(inputShape)) {
+      throw new Error(`Layer ${index} expects ${columns} inputs but receives ${shapeSize(inputShape)}.`);
+    }
+    return {
+      ...base,
+      weights,
+      biases,
+      weightShape: [rows, columns],
+      outputShape: [rows],
+    };
+  }
+
+  updateLayers(layerDefinitions) {
+    if (!Array.isArray(layerDefinitions) || layerDefinitions.length === 0) {
+      throw new Error("Neue Layerdefinitionen müssen mindestens eine Schicht enthalten.");
+    }
+    this.layers = this.normaliseLayers(layerDefinitions);
+    this.architecture = this.computeArchitecture(this.layers);
+    this.setAblationMasks(this.ablationMasks);
+  }
+
+  replaceDefinition(definition) {
+    // Swaps in a different network (input shape, architecture and all) while panels and workers keep
+    // referencing this instance.
+    Object.assign(this, new FeedForwardModel(definition));
+  }
+
+  getLayerShape(layerIndex) {
+    if (layerIndex === 0) return this.inputShape;
+    return this.layers[layerIndex - 1]?.outputShape ?? null;
+  }
+
+  hasParameters(layerIndex) {
+    const layer = this.layers[layerIndex];
+    return Boolean(layer && (layer.type === "dense" || layer.type === "conv2d"));
+  }
+
+  getParameterCounts(layerIndex) {
+    const layer = this.layers[layerIndex];
+    if (!layer || !this.hasParameters(layerIndex)) {
+      return { weightCount: 0, biasCount: 0 };
+    }
+    return { weightCount: layer.weights.length, biasCount: layer.biases.length };
+  }
+
+  getMaxFanIn() {
+    return this.layers.reduce((max, layer, index) => {
+      if (!this.hasParameters(index)) return max;
+      return Math.max(max, shapeSize(layer.weightShape.slice(1)));
+    }, 0);
+  }
+
+  getBias(layerIndex, targetIndex) {
+    const layer = this.layers[layerIndex];
+    if (!layer?.biases) return null;
+    if (layer.type === "conv2d") {
+      const [, height, width] = layer.outputShape;
+      return layer.biases[Math.floor(targetIndex / (height * width))] ?? null;
+    }
+    return layer.biases[targetIndex] ?? null;
+  }
+
+  getBiasIndex(layerIndex, targetIndex) {
+    const layer = this.layers[layerIndex];
+    if (!layer?.biases) return null;
+    if (layer.type === "conv2d") {
+      const [, height, width] = layer.outputShape;
+      return Math.floor(targetIndex / (height * width));
+    }
+    return targetIndex;
+  }
+
+  setParameter(layerIndex, key, index, value) {
+    const layer = this.layers[layerIndex];
+    if (!this.hasParameters(layerIndex) || (key !== "weights" && key !== "biases")) {
+      throw new Error(`Schicht ${layerIndex} hat keine editierbaren Parameter "${key}".`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= layer[key].length) {
+      throw new RangeError(`Parameterindex ${index} liegt außerhalb von Schicht ${layerIndex}.`);
+    }
+    // Decoded buffers are shared with the snapshot cache, so the first edit detaches a private copy.
+    if (!this.ownedBuffers.has(layer[key])) {
+      layer[key] = Float32Array.from(layer[key]);
+      this.ownedBuffers.add(layer[key]);
+    }
+    const previous = layer[key][index];
+    layer[key][index] = value;
+    return previous;
+  }
+
+  getWeightConnections(layerIndex, weightIndex) {
+    const layer = this.layers[layerIndex];
+    if (layer?.type === "dense") {
+      const columns = layer.weightShape[1];
+      return [{ sourceIndex: weightIndex % columns, targetIndex: Math.floor(weightIndex / columns) }];
+    }
+    if (layer?.type !== "conv2d") return [];
+    // A kernel weight is shared by every output position of its filter.
+    const [, outHeight, outWidth] = layer.outputShape;
+    const [, inHeight, inWidth] = layer.inputShape;
+    const [, inChannels, kernelHeight, kernelWidth] = layer.weightShape;
+    const kx = weightIndex % kernelWidth;
+    const ky = Math.floor(weightIndex / kernelWidth) % kernelHeight;
+    const sourceChannel = Math.floor(weightIndex / (kernelWidth * kernelHeight)) % inChannels;
+    const channel = Math.floor(weightIndex / (kernelWidth * kernelHeight * inChannels));
+    const connections = [];
+    for (let outY = 0; outY < outHeight; outY += 1) {
+      const y = outY * layer.stride[0] - layer.padding[0] + ky;
+      if (y < 0 || y >= inHeight) continue;
+      for (let outX = 0; outX < outWidth; outX += 1) {
+        const x = outX * layer.stride[1] - layer.padding[1] + kx;
+        if (x < 0 || x >= inWidth) continue;
+        connections.push({
+          sourceIndex: (sourceChannel * inHeight + y) * inWidth + x,
+          targetIndex: (channel * outHeight + outY) * outWidth + outX,
+        });
+      }
+    }
+    return connections;
+  }
+
+  getIncomingConnections(layerIndex, targetIndex) {
+    const layer = this.layers[layerIndex];
+    if (!layer) return [];
+    if (layer.type === "dense") {
+      const [rows, columns] = layer.weightShape;
+      if (targetIndex < 0 || targetIndex >= rows) return [];
+      const offset = targetIndex * columns;
+      const connections = new Array(columns);
+      for (let sourceIndex = 0; sourceIndex < columns; sourceIndex += 1) {
+        const weightIndex = offset + sourceIndex;
+        connections[sourceIndex] = { sourceIndex, weight: layer.weights[weightIndex], weightIndex };
+      }
+      return connections;
+    }
+    if (layer.type === "flatten") {
+      return targetIndex < shapeSize(layer.inputShape) ? [{ sourceIndex: targetIndex, weight: 1 }] : [];
+    }
+    const [outChannels, outHeight, outWidth] = layer.outputShape;
+    const [inChannels, inHeight, inWidth] = layer.inputShape;
+    const [kernelHeight, kernelWidth] = layer.kernelSize;
+    const channel = Math.floor(targetIndex / (outHeight * outWidth));
+    if (channel < 0 || channel >= outChannels) return [];
+    const spatial = targetIndex % (outHeight * outWidth);
+    const originY = Math.floor(spatial / outWidth) * layer.stride[0] - layer.padding[0];
+    const originX = (spatial % outWidth) * layer.stride[1] - layer.padding[1];
+    const poolWeight = layer.type === "avgpool2d" ? 1 / (kernelHeight * kernelWidth) : 1;
+    const connections = [];
+    const sourceChannels = layer.type === "conv2d" ? inChannels : 1;
+    for (let offset = 0; offset < sourceChannels; offset += 1) {
+      const sourceChannel = layer.type === "conv2d" ? offset : channel;
+      for (let ky = 0; ky < kernelHeight; ky += 1) {
+        const y = originY + ky;
+        if (y < 0 || y >= inHeight) continue;
+        for (let kx = 0; kx < kernelWidth; kx += 1) {
+          const x = originX + kx;
+          if (x < 0 || x >= inWidth) continue;
+          const sourceIndex = (sourceChannel * inHeight + y) * inWidth + x;
+          if (layer.type === "conv2d") {
+            const weightIndex = ((channel * inChannels + sourceChannel) * kernelHeight + ky) * kernelWidth + kx;
+            connections.push({ sourceIndex, weight: layer.weights[weightIndex], weightIndex });
+          } else {
+            connections.push({ sourceIndex, weight: poolWeight });
+          }
+        }
+      }
+    }
+    return connections;
+  }
+
+  getOutgoingConnections(layerIndex, sourceIndex) {
+    const layer = this.layers[layerIndex];
+    if (!layer) return [];
+    if (layer.type === "dense") {
+      const [rows, columns] = layer.weightShape;
+      if (sourceIndex < 0 || sourceIndex >= columns) return [];
+      const connections = new Array(rows);
+      for (let targetIndex = 0; targetIndex < rows; targetIndex += 1) {
+        const weightIndex = targetIndex * columns + sourceIndex;
+        connections[targetIndex] = { targetIndex, weight: layer.weights[weightIndex], weightIndex };
+      }
+      return connections;
+    }
+    if (layer.type === "flatten") {
+      return sourceIndex < shapeSize(layer.inputShape) ? [{ targetIndex: sourceIndex, weight: 1 }] : [];
+    }
+    const [outChannels, outHeight, outWidth] = layer.outputShape;
+    const [inChannels, inHeight, inWidth] = layer.inputShape;
+    const [kernelHeight, kernelWidth] = layer.kernelSize;
+    const [strideY, strideX] = layer.stride;
+    const sourceChannel = Math.floor(sourceIndex / (inHeight * inWidth));
+    const spatial = sourceIndex % (inHeight * inWidth);
+    const y = Math.floor(spatial / inWidth) + layer.padding[0];
+    const x = (spatial % inWidth) + layer.padding[1];
+    const targetChannels = layer.type === "conv2d" ? outChannels : 1;
+    const poolWeight = layer.type === "avgpool2d" ? 1 / (kernelHeight * kernelWidth) : 1;
+    const connections = [];
+    for (let offset = 0; offset < targetChannels; offset += 1) {
+      const channel = layer.type === "conv2d" ? offset : sourceChannel;
+      for (let ky = 0; ky < kernelHeight; ky += 1) {
+        if ((y - ky) % strideY !== 0) continue;
+        const outY = (y - ky) / strideY;
+        if (outY < 0 || outY >= outHeight) continue;
+        for (let kx = 0; kx < kernelWidth; kx += 1) {
+          if ((x - kx) % strideX !== 0) continue;
+          const outX = (x - kx) / strideX;
+          if (outX < 0 || outX >= outWidth) continue;
+          const targetIndex = (channel * outHeight + outY) * outWidth + outX;
+          if (layer.type === "conv2d") {
+            const weightIndex = ((channel * inChannels + sourceChannel) * kernelHeight + ky) * kernelWidth + kx;
+            connections.push({ targetIndex, weight: layer.weights[weightIndex], weightIndex });
+          } else {
+            connections.push({ targetIndex, weight: poolWeight });
+          }
+        }
+      }
+    }
+    return connections;
+  }
+
+  getReceptiveField(layerIndex, unitIndex) {
+    // Walks the spatial layers back to the input to find the pixel window a unit can see.
+    const shape = this.getLayerShape(layerIndex);
+    if (!shape || shape.length !== 3 || this.inputShape.length !== 3) return null;
+    const [, height, width] = shape;
+    const spatial = unitIndex % (height * width);
+    let top = Math.floor(spatial / width);
+    let left = spatial % width;
+    let bottom = top;
+    let right = left;
+    for (let index = layerIndex - 1; index >= 0; index -= 1) {
+      const layer = this.layers[index];
+      if (!SPATIAL_LAYER_TYPES.has(layer.type)) return null;
+      top = top * layer.stride[0] - layer.padding[0];
+      left = left * layer.stride[1] - layer.padding[1];
+      bottom = bottom * layer.stride[0] - layer.padding[0] + layer.kernelSize[0] - 1;
+      right = right * layer.stride[1] - layer.padding[1] + layer.kernelSize[1] - 1;
+    }
+    const [, inputHeight, inputWidth] = this.inputShape;
+    return {
+      top: clamp(top, 0, inputHeight - 1),
+      left: clamp(left, 0, inputWidth - 1),
+      bottom: clamp(bottom, 0, inputHeight - 1),
+      right: clamp(right, 0, inputWidth - 1),
+      inputHeight,
+      inputWidth,
+    };
+  }
+
+  getKernel(layerIndex, unitIndex) {
+    const layer = this.layers[layerIndex];
+    if (layer?.type !== "conv2d") return null;
+    const [, outHeight, outWidth] = layer.outputShape;
+    const [, inChannels, kernelHeight, kernelWidth] = layer.weightShape;
+    const outputChannel = Math.floor(unitIndex / (outHeight * outWidth));
+    const kernelArea = kernelHeight * kernelWidth;
+    const channels = [];
+    for (let channel = 0; channel < inChannels; channel += 1) {
+      const start = (outputChannel * inChannels + channel) * kernelArea;
+      channels.push(layer.weights.subarray(start, start + kernelArea));
+    }
+    return { outputChannel, kernelHeight, kernelWidth, channels };
+  }
+
+  findInputWeightLayer() {
+    // The first dense layer that sees the raw pixels, possibly behind flatten layers.
+    const index = this.layers.findIndex((layer) => layer.type !== "flatten");
+    if (index < 0 || this.layers[index].type !== "dense") return null;
+    const [rows, cols] = this.getInputGrid();
+    return this.layers[index].weightShape[1] === rows * cols ? index : null;
+  }
+
+  getInputWeightImage(layerIndex, unitIndex) {
+    if (layerIndex !== this.findInputWeightLayer()) return null;
+    const layer = this.layers[layerIndex];
+    const [units, columns] = layer.weightShape;
+    if (!Number.isInteger(unitIndex) || unitIndex < 0 || unitIndex >= units) return null;
+    const [rows, cols] = this.getInputGrid();
+    return { rows, cols, weights: layer.weights.subarray(unitIndex * columns, (unitIndex + 1) * columns) };
+  }
+
+  forwardLayer(layer, current) {
+    if (layer.type === "flatten") {
+      return Float32Array.from(current);
+    }
+    if (layer.type === "dense") {
+      const [rows, columns] = layer.weightShape;
+      return denseMatVec(layer.weights, layer.biases, current, rows, columns);
+    }
+
+    const [outChannels, outHeight, outWidth] = layer.outputShape;
+    const [inChannels, inHeight, inWidth] = layer.inputShape;
+    const [kernelHeight, kernelWidth] = layer.kernelSize;
+    const [strideY, strideX] = layer.stride;
+    const [padY, padX] = layer.padding;
+    const output = new Float32Array(outChannels * outHeight * outWidth);
+    for (let channel = 0; channel < outChannels; channel += 1) {
+      for (let outY = 0; outY < outHeight; outY += 1) {
+        for (let outX = 0; outX < outWidth; outX += 1) {
+          const originY = outY * strideY - padY;
+          const originX = outX * strideX - padX;
+          let result;
+          if (layer.type === "conv2d") {
+            result = layer.biases[channel];
+            for (let inChannel = 0; inChannel < inChannels; inChannel += 1) {
+              const kernelOffset = (channel * inChannels + inChannel) * kernelHeight * kernelWidth;
+              for (let ky = 0; ky < kernelHeight; ky += 1) {
+                const y = originY + ky;
+                if (y < 0 || y >= inHeight) continue;
+                const rowOffset = (inChannel * inHeight + y) * inWidth;
+                for (let kx = 0; kx < kernelWidth; kx += 1) {
+                  const x = originX + kx;
+                  if (x < 0 || x >= inWidth) continue;
+                  result += layer.weights[kernelOffset + ky * kernelWidth + kx] * current[rowOffset + x];
+                }
+              }
+            }
+          } else {
+            const isMax = layer.type === "maxpool2d";
+            result = isMax ? Number.NEGATIVE_INFINITY : 0;
+            for (let ky = 0; ky < kernelHeight; ky += 1) {
+              const y = originY + ky;
+              if (y < 0 || y >= inHeight) continue;
+              for (let kx = 0; kx < kernelWidth; kx += 1) {
+                const x = originX + kx;
+                if (x < 0 || x >= inWidth) continue;
+                const value = current[(channel * inHeight + y) * inWidth + x];
+                result = isMax ? Math.max(result, value) : result + value;
+              }
+            }
+            if (!isMax) {
+              result /= kernelHeight * kernelWidth;
+            } else if (!Number.isFinite(result)) {
+              result = 0;
+            }
+          }
+          output[(channel * outHeight + outY) * outWidth + outX] = result;
+        }
+      }
+    }
+    return output;
+  }
+
+  propagate(pixels, masks = this.ablationMasks) {
+    const { mean, std } = this.normalization;
+    const input = new Float32Array(pixels.length);
+    for (let i = 0; i < pixels.length; i += 1) {
+      input[i] = (pixels[i] - mean) / std;
+    }
+
+    const activations = [input];
+    const preActivations = [];
+    let current = input;
+
+    this.layers.forEach((layer, layerIndex) => {
+      const linear = this.forwardLayer(layer, current);
+      preActivations.push(linear);
+      const activated = this.applyAblation(layerIndex, getActivationFunction(layer.activation).apply(linear), masks);
+      activations.push(activated);
+      current = activated;
+    });
+
+    return {
+      normalizedInput: activations[0],
+      activations,
+      preActivations,
+      masks,
+    };
+  }
+
+  backwardLayer(layer, gradOutput, input) {
+    // Returns the gradient with respect to the layer input given the gradient of its pre-activations.
+    const gradInput = new Float32Array(input.length);
+    if (layer.type === "flatten") {
+      gradInput.set(gradOutput);
+      return gradInput;
+    }
+    if (layer.type === "dense") {
+      const [rows, columns] = layer.weightShape;
+      for (let row = 0; row < rows; row += 1) {
+        const grad = gradOutput[row];
+        if (grad === 0) continue;
+        const offset = row * columns;
+        for (let column = 0; column < columns; column += 1) {
+          gradInput[column] += layer.weights[offset + column] * grad;
+        }
+      }
+      return gradInput;
+    }
+
+    const [outChannels, outHeight, outWidth] = layer.outputShape;
+    const [inChannels, inHeight, inWidth] = layer.inputShape;
+    const [kernelHeight, kernelWidth] = layer.kernelSize;
+    const [strideY, strideX] = layer.stride;
+    const [padY, padX] = layer.padding;
+    for (let channel = 0; channel < outChannels; channel += 1) {
+      for (let outY = 0; outY < outHeight; outY += 1) {
+        for (let outX = 0; outX < outWidth; outX += 1) {
+          const grad = gradOutput[(channel * outHeight + outY) * outWidth + outX];
+          if (grad === 0) continue;
+          const originY = outY * strideY - padY;
+          const originX = outX * strideX - padX;
+          if (layer.type === "conv2d") {
+            for (let inChannel = 0; inChannel < inChannels; inChannel += 1) {
+              const kernelOffset = (channel * inChannels + inChannel) * kernelHeight * kernelWidth;
+              for (let ky = 0; ky < kernelHeight; ky += 1) {
+                const y = originY + ky;
+                if (y < 0 || y >= inHeight) continue;
+                const rowOffset = (inChannel * inHeight + y) * inWidth;
+                for (let kx = 0; kx < kernelWidth; kx += 1) {
+                  const x = originX + kx;
+                  if (x < 0 || x >= inWidth) continue;
+                  gradInput[rowOffset + x] += layer.weights[kernelOffset + ky * kernelWidth + kx] * grad;
+                }
+              }
+            }
+            continue;
+          }
+          // Max pooling routes the gradient to the winning input, average pooling spreads it evenly.
+          let winner = -1;
+          let best = Number.NEGATIVE_INFINITY;
+          for (let ky = 0; ky < kernelHeight; ky += 1) {
+            const y = originY + ky;
+            if (y < 0 || y >= inHeight) continue;
+            for (let kx = 0; kx < kernelWidth; kx += 1) {
+              const x = originX + kx;
+              if (x < 0 || x >= inWidth) continue;
+              const sourceIndex = (channel * inHeight + y) * inWidth + x;
+              if (layer.type === "avgpool2d") {
+                gradInput[sourceIndex] += grad / (kernelHeight * kernelWidth);
+              } else if (input[sourceIndex] > best) {
+                best = input[sourceIndex];
+                winner = sourceIndex;
+              }
+            }
+          }
+          if (winner >= 0) {
+            gradInput[winner] += grad;
+          }
+        }
+      }
+    }
+    return gradInput;
+  }
+
+  backward(propagation, outputGradient, fromLayer = this.layers.length - 1) {
+    // `outputGradient` is taken with respect to the pre-activations of `fromLayer` (by default the logits).
+    const { activations, preActivations } = propagation;
+    const preActivationGradients = new Array(this.layers.length);
+    let gradPre = Float32Array.from(outputGradient);
+    for (let index = fromLayer; index >= 0; index -= 1) {
+      preActivationGradients[index] = gradPre;
+      const gradInput = this.backwardLayer(this.layers[index], gradPre, activations[index]);
+      if (index === 0) {
+        return { inputGradient: gradInput, preActivationGradients };
+      }
+      const previous = this.layers[index - 1];
+      gradPre = getActivationFunction(previous.activation).backward(
+        preActivations[index - 1],
+        activations[index],
+        gradInput,
+      );
+      // Ablated units output a constant, so no gradient flows through them.
+      const ablated = propagation.masks?.[index - 1];
+      if (ablated) {
+        ablated.mask.forEach((flag, unit) => {
+          if (flag) gradPre[unit] = 0;
+        });
+      }
+    }
+    return { inputGradient: new Float32Array(0), preActivationGradients };
+  }
+
+  accumulateParameterGradients(layerIndex, gradPre, input, target) {
+    const layer = this.layers[layerIndex];
+    if (layer.type === "dense") {
+      const [rows, columns] = layer.weightShape;
+      for (let row = 0; row < rows; row += 1) {
+        const grad = gradPre[row];
+        target.biases[row] += grad;
+        if (grad === 0) continue;
+        const offset = row * columns;
+        for (let column = 0; column < columns; column += 1) {
+          target.weights[offset + column] += grad * input[column];
+        }
+      }
+      return;
+    }
+    const [outChannels, outHeight, outWidth] = layer.outputShape;
+    const [inChannels, inHeight, inWidth] = layer.inputShape;
+    const [kernelHeight, kernelWidth] = layer.kernelSize;
+    for (let channel = 0; channel < outChannels; channel += 1) {
+      for (let outY = 0; outY < outHeight; outY += 1) {
+        for (let outX = 0; outX < outWidth; outX += 1) {
+          const grad = gradPre[(channel * outHeight + outY) * outWidth + outX];
+          target.biases[channel] += grad;
+          if (grad === 0) continue;
+          const originY = outY * layer.stride[0] - layer.padding[0];
+          const originX = outX * layer.stride[1] - layer.padding[1];
+          for (let inChannel = 0; inChannel < inChannels; inChannel += 1) {
+            const kernelOffset = (channel * inChannels + inChannel) * kernelHeight * kernelWidth;
+            for (let ky = 0; ky < kernelHeight; ky += 1) {
+              const y = originY + ky;
+              if (y < 0 || y >= inHeight) continue;
+              const rowOffset = (inChannel * inHeight + y) * inWidth;
+              for (let kx = 0; kx < kernelWidth; kx += 1) {
+                const x = originX + kx;
+                if (x < 0 || x >= inWidth) continue;
+                target.weights[kernelOffset + ky * kernelWidth + kx] += grad * input[rowOffset + x];
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  computeLossGradients(samples, labels) {
+    // Mean softmax cross-entropy over the batch, with one gradient buffer per parameter tensor.
+    const gradients = this.layers.map((layer, index) =>
+      this.hasParameters(index)
+        ? { weights: new Float32Array(layer.weights.length), biases: new Float32Array(layer.biases.length) }
+        : null,
+    );
+    let loss = 0;
+    let correct = 0;
+    samples.forEach((pixels, sampleIndex) => {
+      const propagation = this.propagate(pixels);
+      const logits = propagation.preActivations[propagation.preActivations.length - 1];
+      const probabilities = softmax(Array.from(logits));
+      const label = labels[sampleIndex];
+      loss -= Math.log(Math.max(probabilities[label] ?? 0, 1e-12));
+      if (argMax(logits) === label) correct += 1;
+      const seed = Float32Array.from(probabilities);
+      seed[label] -= 1;
+      const { preActivationGradients } = this.backward(propagation, seed);
+      preActivationGradients.forEach((gradPre, index) => {
+        if (gradients[index]) {
+          this.accumulateParameterGradients(index, gradPre, propagation.activations[index], gradients[index]);
+        }
+      });
+    });
+    const count = Math.max(samples.length, 1);
+    gradients.forEach((gradient) => {
+      if (!gradient) return;
+      gradient.weights.forEach((value, i) => (gradient.weights[i] = value / count));
+      gradient.biases.forEach((value, i) => (gradient.biases[i] = value / count));
+    });
+    return { loss: loss / count, accuracy: correct / count, gradients };
+  }
+
+  initializeParameters(random = Math.random) {
+    // He-uniform initialisation; biases start at zero.
+    this.layers.forEach((layer, index) => {
+      if (!this.hasParameters(index)) return;
+      const fanIn = shapeSize(layer.weightShape.slice(1)) || 1;
+      const limit = Math.sqrt(6 / fanIn);
+      layer.weights = new Float32Array(layer.weights.length).map(() => (random() * 2 - 1) * limit);
+      layer.biases = new Float32Array(layer.biases.length);
+    });
+  }
+
+  computeInputGradient(pixels, classIndex = null) {
+    const propagation = this.propagate(pixels);
+    const logits = propagation.preActivations[propagation.preActivations.length - 1];
+    const target =
+      Number.isInteger(classIndex) && classIndex >= 0 && classIndex < logits.length ? classIndex : argMax(logits);
+    const seed = new Float32Array(logits.length);
+    seed[target] = 1;
+    const { inputGradient } = this.backward(propagation, seed);
+    // Chain through the input normalisation so the gradient is expressed per raw pixel.
+    const std = this.normalization.std || 1;
+    for (let i = 0; i < inputGradient.length; i += 1) {
+      inputGradient[i] /= std;
+    }
+    return { gradient: inputGradient, classIndex: target, propagation };
+  }
+
+  computeSaliency(pixels, { method = "gradient", classIndex = null, steps = 32 } = {}) {
+    if (!SALIENCY_METHODS.has(method)) {
+      throw new Error(`Unbekannte Saliency-Methode "${method}".`);
+    }
+    const { gradient, classIndex: target } = this.computeInputGradient(pixels, classIndex);
+    const values = new Float32Array(pixels.length);
+    if (method === "gradient") {
+      values.set(gradient);
+    } else if (method === "gradient_input") {
+      for (let i = 0; i < values.length; i += 1) {
+        values[i] = gradient[i] * pixels[i];
+      }
+    } else {
+      // Integrated gradients against a blank canvas, midpoint Riemann sum along the straight path.
+      const stepCount = Math.max(1, Math.round(steps));
+      const scaled = new Float32Array(pixels.length);
+      for (let step = 0; step < stepCount; step += 1) {
+        const alpha = (step + 0.5) / stepCount;
+        for (let i = 0; i < scaled.length; i += 1) {
+          scaled[i] = pixels[i] * alpha;
+        }
+        const stepGradient = this.computeInputGradient(scaled, target).gradient;
+        for (let i = 0; i < values.length; i += 1) {
+          values[i] += stepGradient[i];
+        }
+      }
+      for (let i = 0; i < values.length; i += 1) {
+        values[i] *= pixels[i] / stepCount;
+      }
+    }
+    return { method, classIndex: target, values };
+  }
+
+  computeProbabilities(pixels) {
+    const { preActivations } = this.propagate(pixels);
+    return Float32Array.from(softmax(Array.from(preActivations[preActivations.length - 1])));
+  }
+
+  computeLossInputGradient(pixels, label) {
+    // Gradient of the softmax cross-entropy for `label` per raw pixel.
+    const propagation = this.propagate(pixels);
+    const logits = propagation.preActivations[propagation.preActivations.length - 1];
+    const probabilities = Float32Array.from(softmax(Array.from(logits)));
+    const seed = Float32Array.from(probabilities);
+    seed[label] -= 1;
+    const { inputGradient } = this.backward(propagation, seed);
+    const std = this.normalization.std || 1;
+    for (let i = 0; i < inputGradient.length; i += 1) {
+      inputGradient[i] /= std;
+    }
+    return { gradient: inputGradient, probabilities };
+  }
+
+  computeAdversarial(
+    pixels,
+    { method = "fgsm", epsilon = 0.1, targetClass = null, sourceClass = null, steps = 10, stepSize = null } = {},
+  ) {
+    // Targeted attacks descend the loss of the target class, untargeted ones ascend the loss of the source
+    // class. PGD repeats signed steps and projects back into the L∞ ball of radius ε and the [0, 1] pixel range.
+    if (!ADVERSARIAL_METHODS.has(method)) {
+      throw new Error(`Unbekannte Angriffsmethode "${method}".`);
+    }
+    const original = Float32Array.from(pixels);
+    const budget = clamp(Number(epsilon) || 0, 0, 1);
+    const originalProbabilities = this.computeProbabilities(original);
+    const isClass = (value) => Number.isInteger(value) && value >= 0 && value < originalProbabilities.length;
+    const targeted = isClass(targetClass);
+    const source = isClass(sourceClass) ? sourceClass : argMax(originalProbabilities);
+    const label = targeted ? targetClass : source;
+    const direction = targeted ? -1 : 1;
+    const iterations = method === "pgd" ? Math.max(1, Math.round(steps)) : 1;
+    const alpha = method === "pgd" ? (Number(stepSize) > 0 ? Number(stepSize) : (2.5 * budget) / iterations) : budget;
+
+    const adversarial = Float32Array.from(original);
+    for (let iteration = 0; iteration < iterations; iteration += 1) {
+      const { gradient } = this.computeLossInputGradient(adversarial, label);
+      for (let i = 0; i < adversarial.length; i += 1) {
+        const stepped = adversarial[i] + direction * alpha * Math.sign(gradient[i]);
+        adversarial[i] = clamp(clamp(stepped, original[i] - budget, original[i] + budget), 0, 1);
+      }
+    }
+    const probabilities = this.computeProbabilities(adversarial);
+    const perturbation = adversarial.map((value, i) => value - original[i]);
+    return {
+      method,
+      epsilon: budget,
+      steps: iterations,
+      targetClass: targeted ? targetClass : null,
+      sourceClass: source,
+      original,
+      adversarial,
+      perturbation,
+      originalProbabilities,
+      probabilities,
+    };
+  }
+
+  stepActivationMaximization(pixels, layerIndex, unitIndex, { learningRate = 0.05, l2 = 0.01, tv = 0.05 } = {}) {
+    // One ascent step on a unit's pre-activation minus λ₂·‖x‖² and a squared total-variation penalty.
+    // The step is normalised by the largest gradient entry so the learning rate is in pixel units;
+    // `pixels` is updated in place and clamped to [0, 1].
+    const propagation = this.propagate(pixels);
+    const activation = propagation.preActivations[layerIndex][unitIndex];
+    const seed = new Float32Array(propagation.preActivations[layerIndex].length);
+    seed[unitIndex] = 1;
+    const { inputGradient: gradient } = this.backward(propagation, seed, layerIndex);
+    const std = this.normalization.std || 1;
+    const [rows, cols] = this.getInputGrid();
+    const planeSize = rows * cols;
+    let penalty = 0;
+    for (let i = 0; i < gradient.length; i += 1) {
+      gradient[i] = gradient[i] / std - 2 * l2 * pixels[i];
+      penalty += l2 * pixels[i] * pixels[i];
+    }
+    for (let i = 0; i < pixels.length; i += 1) {
+      const position = i % planeSize;
+      const col = position % cols;
+      const row = (position - col) / cols;
+      if (col + 1 < cols) {
+        const diff = pixels[i + 1] - pixels[i];
+        penalty += tv * diff * diff;
+        gradient[i] += 2 * tv * diff;
+        gradient[i + 1] -= 2 * tv * diff;
+      }
+      if (row + 1 < rows) {
+        const diff = pixels[i + cols] - pixels[i];
+        penalty += tv * diff * diff;
+        gradient[i] += 2 * tv * diff;
+        gradient[i + cols] -= 2 * tv * diff;
+      }
+    }
+    let scale = 0;
+    for (let i = 0; i < gradient.length; i += 1) {
+      scale = Math.max(scale, Math.abs(gradient[i]));
+    }
+    if (scale > 0) {
+      for (let i = 0; i < pixels.length; i += 1) {
+        pixels[i] = clamp(pixels[i] + (learningRate * gradient[i]) / scale, 0, 1);
+      }
+    }
+    return { activation, objective: activation - penalty };
+  }
+
+  computeRelevance(pixels, { rule = "epsilon", epsilon = 0.01, classIndex = null } = {}, propagation = null) {
+    // Layer-wise relevance propagation: the chosen logit is redistributed layer by layer in proportion to
+    // each input's contribution z_ij = a_i·w_ij (ε-rule) or its positive part only (z⁺-rule).
+    if (!RELEVANCE_RULES.has(rule)) {
+      throw new Error(`Unbekannte LRP-Regel "${rule}".`);
+    }
+    const { activations, preActivations, masks } = propagation ?? this.propagate(pixels);
+    const logits = preActivations[preActivations.length - 1];
+    const target =
+      Number.isInteger(classIndex) && classIndex >= 0 && classIndex < logits.length ? classIndex : argMax(logits);
+    const relevance = new Array(this.layers.length + 1);
+    const layers = new Array(this.layers.length);
+    const output = new Float32Array(logits.length);
+    output[target] = logits[target];
+    relevance[this.layers.length] = output;
+
+    for (let index = this.layers.length - 1; index >= 0; index -= 1) {
+      const layer = this.layers[index];
+      const input = activations[index];
+      const upper = relevance[index + 1];
+      const lower = new Float32Array(input.length);
+      const info = { denominators: null, winners: null };
+      if (layer.type === "flatten") {
+        lower.set(upper);
+      } else if (layer.type === "maxpool2d") {
+        info.winners = new Int32Array(upper.length).fill(-1);
+        for (let targetIndex = 0; targetIndex < upper.length; targetIndex += 1) {
+          let best = Number.NEGATIVE_INFINITY;
+          this.getIncomingConnections(index, targetIndex).forEach(({ sourceIndex }) => {
+            if (input[sourceIndex] > best) {
+              best = input[sourceIndex];
+              info.winners[targetIndex] = sourceIndex;
+            }
+          });
+          if (info.winners[targetIndex] >= 0) {
+            lower[info.winners[targetIndex]] += upper[targetIndex];
+          }
+        }
+      } else {
+        info.denominators = this.computeRelevanceDenominators(index, input, preActivations[index], rule, epsilon);
+        const contribution = rule === "zplus" ? (z) => (z > 0 ? z : 0) : (z) => z;
+        for (let targetIndex = 0; targetIndex < upper.length; targetIndex += 1) {
+          const factor = upper[targetIndex] / info.denominators[targetIndex];
+          if (factor === 0 || !Number.isFinite(factor)) continue;
+          if (layer.type === "dense") {
+            const columns = layer.weightShape[1];
+            const offset = targetIndex * columns;
+            for (let sourceIndex = 0; sourceIndex < columns; sourceIndex += 1) {
+              lower[sourceIndex] += contribution(input[sourceIndex] * layer.weights[offset + sourceIndex]) * factor;
+            }
+          } else {
+            this.getIncomingConnections(index, targetIndex).forEach(({ sourceIndex, weight }) => {
+              lower[sourceIndex] += contribution(input[sourceIndex] * weight) * factor;
+            });
+          }
+        }
+      }
+      // Ablated units are constants, so the relevance reaching them stops there.
+      const ablated = index > 0 ? masks?.[index - 1] : null;
+      if (ablated) {
+        ablated.mask.forEach((flag, unit) => {
+          if (flag) lower[unit] = 0;
+        });
+      }
+      layers[index] = info;
+      relevance[index] = lower;
+    }
+
+    return { rule, classIndex: target, relevance, layers, activations };
+  }
+
+  computeRelevanceDenominators(layerIndex, input, preActivations, rule, epsilon) {
+    const layer = this.layers[layerIndex];
+    const denominators = new Float32Array(preActivations.length);
+    if (rule === "epsilon") {
+      // z_j already includes the bias; ε pushes the denominator away from zero and absorbs weak relevance.
+      for (let j = 0; j < denominators.length; j += 1) {
+        const z = preActivations[j];
+        denominators[j] = z + (z >= 0 ? epsilon : -epsilon);
+      }
+      return denominators;
+    }
+    for (let targetIndex = 0; targetIndex < denominators.length; targetIndex += 1) {
+      let sum = 0;
+      if (layer.type === "dense") {
+        const columns = layer.weightShape[1];
+        const offset = targetIndex * columns;
+        for (let sourceIndex = 0; sourceIndex < columns; sourceIndex += 1) {
+          const z = input[sourceIndex] * layer.weights[offset + sourceIndex];
+          if (z > 0) sum += z;
+        }
+      } else {
+        this.getIncomingConnections(layerIndex, targetIndex).forEach(({ sourceIndex, weight }) => {
+          const z = input[sourceIndex] * weight;
+          if (z > 0) sum += z;
+        });
+      }
+      denominators[targetIndex] = sum + 1e-9;
+    }
+    return denominators;
+  }
+
+  getConnectionRelevance(relevance, layerIndex, sourceIndex, targetIndex, weight) {
+    // Share of the target's relevance that flows through a single edge, matching computeRelevance.
+    const info = relevance?.layers?.[layerIndex];
+    const upper = relevance?.relevance?.[layerIndex + 1]?.[targetIndex];
+    if (!info || !upper) return 0;
+    if (info.winners) {
+      return info.winners[targetIndex] === sourceIndex ? upper : 0;
+    }
+    if (!info.denominators) {
+      return sourceIndex === targetIndex ? upper : 0;
+    }
+    const z = (relevance.activations[layerIndex]?.[sourceIndex] ?? 0) * weight;
+    const contribution = relevance.rule === "zplus" ? Math.max(0, z) : z;
+    return (contribution * upper) / info.denominators[targetIndex];
+  }
+
+  propagateBatch(samples, masks = this.ablationMasks) {
+    // Row-major [batchSize, size] buffers per layer; dense layers reuse each weight row across the batch.
+    const inputSize = this.architecture[0] ?? 0;
+    const batchSize = Array.isArray(samples) ? samples.length : Math.floor(samples.length / (inputSize || 1));
+    const { mean, std } = this.normalization;
+    const input = new Float32Array(batchSize * inputSize);
+    for (let sample = 0; sample < batchSize; sample += 1) {
+      const pixels = Array.isArray(samples)
+        ? samples[sample]
+        : samples.subarray(sample * inputSize, (sample + 1) * inputSize);
+      const offset = sample * inputSize;
+      for (let i = 0; i < inputSize; i += 1) {
+        input[offset + i] = (pixels[i] - mean) / std;
+      }
+    }
+
+    return { batchSize, ...this.forwardBatch(input, batchSize, 0, masks) };
+  }
+
+  forwardBatch(input, batchSize, startLayer = 0, masks = this.ablationMasks) {
+    // Runs layers from `startLayer` on; activations[0] is the given input of that layer.
+    const activations = [input];
+    const preActivations = [];
+    let current = input;
+    this.layers.slice(startLayer).forEach((layer, offset) => {
+      const layerIndex = startLayer + offset;
+      const inSize = this.architecture[layerIndex];
+      const outSize = this.architecture[layerIndex + 1];
+      let linear;
+      if (layer.type === "dense") {
+        const [rows, columns] = layer.weightShape;
+        linear = denseMatMul(layer.weights, layer.biases, current, rows, columns, batchSize);
+      } else {
+        linear = new Float32Array(batchSize * outSize);
+        for (let sample = 0; sample < batchSize; sample += 1) {
+          const slice = current.subarray(sample * inSize, (sample + 1) * inSize);
+          linear.set(this.forwardLayer(layer, slice), sample * outSize);
+        }
+      }
+      preActivations.push(linear);
+      const activation = getActivationFunction(layer.activation);
+      let activated;
+      if (layer.activation === "softmax") {
+        activated = new Float32Array(linear.length);
+        for (let sample = 0; sample < batchSize; sample += 1) {
+          const slice = linear.subarray(sample * outSize, (sample + 1) * outSize);
+          activated.set(activation.apply(slice), sample * outSize);
+        }
+      } else {
+        activated = activation.apply(linear);
+      }
+      this.applyAblation(layerIndex, activated, masks, batchSize);
+      activations.push(activated);
+      current = activated;
+    });
+
+    return { activations, preActivations };
+  }
+
+  predictBatch(samples) {
+    const { batchSize, preActivations } = this.propagateBatch(samples);
+    const logits = preActivations[preActivations.length - 1];
+    const classes = batchSize > 0 ? logits.length / batchSize : 0;
+    const probabilities = new Float32Array(logits.length);
+    const predictions = new Int32Array(batchSize);
+    for (let sample = 0; sample < batchSize; sample += 1) {
+      const row = logits.subarray(sample * classes, (sample + 1) * classes);
+      probabilities.set(softmax(Array.from(row)), sample * classes);
+      predictions[sample] = argMax(row);
+    }
+    return { batchSize, classes, predictions, probabilities };
+  }
+
+  computeAblationSweep(samples, labels, layerIndex, replacements) {
+    // Accuracy of one batch with each unit of visual layer `layerIndex` knocked out in turn, re-running only the layers above it.
+    const baseline = this.propagateBatch(samples);
+    const { batchSize } = baseline;
+    const countCorrect = (logits) => {
+      const classes = logits.length / batchSize;
+      let correct = 0;
+      for (let sample = 0; sample < batchSize; sample += 1) {
+        if (argMax(logits.subarray(sample * classes, (sample + 1) * classes)) === labels[sample]) correct += 1;
+      }
+      return correct;
+    };
+    const baselineCorrect = countCorrect(baseline.preActivations[baseline.preActivations.length - 1]);
+    const layerActivations = baseline.activations[layerIndex];
+    const size = this.architecture[layerIndex];
+    const correct = new Int32Array(size);
+    for (let unit = 0; unit < size; unit += 1) {
+      const input = Float32Array.from(layerActivations);
+      for (let sample = 0; sample < batchSize; sample += 1) {
+        input[sample * size + unit] = replacements?.[unit] ?? 0;
+      }
+      const { preActivations } = this.forwardBatch(input, batchSize, layerIndex);
+      correct[unit] = countCorrect(preActivations[preActivations.length - 1]);
+    }
+    return { batchSize, baselineCorrect, correct };
+  }
+}
+
+function flattenDenseWeights(layer, index) {
+  const shape = normaliseShape(layer.weightShape);
+  if (ArrayBuffer.isView(layer.weights) && shape.length === 2) {
+    const weights = toFloat32Array(layer.weights, shape[0] * shape[1]);
+    if (!weights) {
+      throw new Error(`Layer ${index} has ${layer.weights.length} weights but its shape needs ${shapeSize(shape)}.`);
+    }
+    return { weights, rows: shape[0], columns: shape[1] };
+  }
+  if (!Array.isArray(layer.weights) || layer.weights.length === 0) {
+    throw new Error(`Layer ${index} is missing valid weight matrices.`);
+  }
+  const rows = layer.weights.length;
+  const columns = layer.weights[0]?.length ?? 0;
+  const weights = new Float32Array(rows * columns);
+  layer.weights.forEach((row, rowIndex) => {
+    if (!row || typeof row.length !== "number" || row.length !== columns) {
+      throw new Error(`Layer ${index} contains an invalid weight row.`);
+    }
+    weights.set(row, rowIndex * columns);
+  });
+  return { weights, rows, columns };
+}
+
+function denseMatVec(weights, biases, input, rows, columns) {
+  const output = new Float32Array(rows);
+  for (let row = 0; row < rows; row += 1) {
+    const offset = row * columns;
+    let sum = biases[row];
+    for (let column = 0; column < columns; column += 1) {
+      sum += weights[offset + column] * input[column];
+    }
+    output[row] = sum;
+  }
+  return output;
+}
+
+function denseMatMul(weights, biases, inputs, rows, columns, batchSize) {
+  const output = new Float32Array(batchSize * rows);
+  for (let row = 0; row < rows; row += 1) {
+    const offset = row * columns;
+    const bias = biases[row];
+    for (let sample = 0; sample < batchSize; sample += 1) {
+      const inputOffset = sample * columns;
+      let sum = bias;
+      for (let column = 0; column < columns; column += 1) {
+        sum += weights[offset + column] * inputs[inputOffset + column];
+      }
+      output[sample * rows + row] = sum;
+    }
+  }
+  return output;
+}
+
+export function runInference(model, pixels, options = {}) {
+  const propagation = model.propagate(pixels);
+  const relevance = options.relevance ? model.computeRelevance(pixels, options.relevance, propagation) : null;
+  const { preActivations } = propagation;
+  const logits = preActivations.length > 0 ? preActivations[preActivations.length - 1] : new Float32Array(0);
+  const probabilities = logits.length > 0 ? Float32Array.from(softmax(Array.from(logits))) : new Float32Array(0);
+  return {
+    activations: propagation.activations,
+    preActivations,
+    probabilities,
+    saliency: options.saliency ? model.computeSaliency(pixels, options.saliency) : null,
+    relevance,
+  };
+}
+
+export function argMax(values) {
+  let bestIndex = 0;
+  for (let i = 1; i < values.length; i += 1) {
+    if (values[i] > values[bestIndex]) {
+      bestIndex = i;
+    }
+  }
+  return bestIndex;
+}
+
+export function normaliseShape(shape, fallback = []) {
+  const source = Array.isArray(shape) ? shape : fallback;
+  if (!Array.isArray(source)) return [];
+  return source.map((value) => Number(value) || 0);
+}
+
+export function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export function softmax(values) {
+  if (!values.length) return [];
+  const maxVal = Math.max(...values);
+  const exps = values.map((value) => Math.exp(value - maxVal));
+  const sum = exps.reduce((acc, value) => acc + value, 0);
+  return exps.map((value) => (sum === 0 ? 0 : value / sum));
+}
+
+export function float16ToFloat32(value) {
+  const sign = (value & 0x8000) >> 15;
+  const exponent = (value & 0x7c00) >> 10;
+  const fraction = value & 0x03ff;
+
+  let result;
+  if (exponent === 0) {
+    if (fraction === 0) {
+      result = 0;
+    } else {
+      result = (fraction / 0x400) * Math.pow(2, -14);
+    }
+  } else if (exponent === 0x1f) {
+    result = fraction === 0 ? Number.POSITIVE_INFINITY : Number.NaN;
+  } else {
+    result = (1 + fraction / 0x400) * Math.pow(2, exponent - 15);
+  }
+
+  return sign === 1 ? -result : result;
+}
+
+const float32Scratch = new DataView(new ArrayBuffer(4));
+
+export function float32ToFloat16(value) {
+  // Round to nearest even, like numpy's astype("<f2") in the Python exporter.
+  float32Scratch.setFloat32(0, value);
+  const bits = float32Scratch.getUint32(0);
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = (bits >>> 23) & 0xff;
+  let mantissa = bits & 0x7fffff;
+  if (exponent === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  const halfExponent = exponent - 127 + 15;
+  if (halfExponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+  let shift = 13;
+  let half = (halfExponent << 10) | (mantissa >>> 13);
+  if (halfExponent <= 0) {
+    if (halfExponent < -10) return sign;
+    // Subnormal: the implicit leading bit becomes part of the stored fraction.
+    mantissa |= 0x800000;
+    shift = 14 - halfExponent;
+    half = mantissa >>> shift;
+  }
+  const remainder = mantissa & ((1 << shift) - 1);
+  const halfway = 1 << (shift - 1);
+  // A carry out of the fraction correctly bumps the exponent (up to infinity).
+  return sign | (remainder > halfway || (remainder === halfway && half & 1) ? half + 1 : half);
+}
+
+export function shapeSize(shape) {
+  if (!Array.isArray(shape) || shape.length === 0) return 0;
+  return shape.reduce((product, dim) => product * (Number(dim) || 0), 1);
+}
+
+function normalisePair(value, fallback) {
+  if (Array.isArray(value) && value.length >= 2) {
+    return [Number(value[0]) || fallback, Number(value[1]) || fallback];
+  }
+  const scalar = Number.isFinite(Number(value)) && value !== null ? Number(value) : fallback;
+  return [scalar, scalar];
+}
+
+function computeSpatialOutputSize([height, width], kernelSize, stride, padding) {
+  const outHeight = Math.floor((height + 2 * padding[0] - kernelSize[0]) / stride[0]) + 1;
+  const outWidth = Math.floor((width + 2 * padding[1] - kernelSize[1]) / stride[1]) + 1;
+  if (outHeight <= 0 || outWidth <= 0) {
+    throw new Error("Kernelgröße überschreitet die Eingabegröße der Schicht.");
+  }
+  return [outHeight, outWidth];
+}
+
+function toFloat32Array(values, expectedLength) {
+  // Float32Array inputs are adopted as-is so snapshot switches do not copy every matrix.
+  if (!values || typeof values.length !== "number") return null;
+  if (Number.isFinite(expectedLength) && values.length !== expectedLength) return null;
+  return values instanceof Float32Array ? values : Float32Array.from(values);
+}
+
+function sigmoid(value) {
+  if (value >= 0) {
+    return 1 / (1 + Math.exp(-value));
+  }
+  const exp = Math.exp(value);
+  return exp / (1 + exp);
+}
+
+function erf(value) {
+  // Abramowitz & Stegun 7.1.26, accurate to ~1.5e-7 which is plenty for float32 activations.
+  const sign = value < 0 ? -1 : 1;
+  const x = Math.abs(value);
+  const t = 1 / (1 + 0.3275911 * x);
+  const polynomial =
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  return sign * (1 - polynomial * Math.exp(-x * x));
+}
@@ -0,0 +1,308 @@
+import { buildImportedDefinition, transposeMatrix } from "./imported-model.js";
+
+// Imports plain MLPs from ONNX files: a small protobuf reader decodes the fields the conversion needs
+// and the node chain is folded into the dense layer list FeedForwardModel expects.
+
+export const SUPPORTED_ONNX_OPS = new Set(["Gemm", "MatMul", "Add", "Relu", "Sigmoid", "Tanh", "Flatten", "Softmax"]);
+
+const ACTIVATION_OPS = { Relu: "relu", Sigmoid: "sigmoid", Tanh: "tanh" };
+const TENSOR_FLOAT = 1;
+const TENSOR_DOUBLE = 11;
+const DATA_LOCATION_EXTERNAL = 1;
+
+// Field number → [property, type, repeated]; nested objects are message schemas.
+const DIMENSION = { 1: ["dimValue", "int"], 2: ["dimParam", "string"] };
+const SHAPE = { 1: ["dim", DIMENSION, true] };
+const TENSOR_TYPE = { 1: ["elemType", "int"], 2: ["shape", SHAPE] };
+const TYPE = { 1: ["tensorType", TENSOR_TYPE] };
+const VALUE_INFO = { 1: ["name", "string"], 2: ["type", TYPE] };
+const TENSOR = {
+  1: ["dims", "int", true],
+  2: ["dataType", "int"],
+  4: ["floatData", "float", true],
+  8: ["name", "string"],
+  9: ["rawData", "bytes"],
+  10: ["doubleData", "double", true],
+  14: ["dataLocation", "int"],
+};
+const ATTRIBUTE = { 1: ["name", "string"], 2: ["f", "float"], 3: ["i", "int"], 20: ["type", "int"] };
+const NODE = {
+  1: ["input", "string", true],
+  2: ["output", "string", true],
+  3: ["name", "string"],
+  4: ["opType", "string"],
+  5: ["attribute", ATTRIBUTE, true],
+};
+const GRAPH = {
+  1: ["node", NODE, true],
+  2: ["name", "string"],
+  5: ["initializer", TENSOR, true],
+  11: ["input", VALUE_INFO, true],
+  12: ["output", VALUE_INFO, true],
+};
+const MODEL = { 1: ["irVersion", "int"], 2: ["producerName", "string"], 7: ["graph", GRAPH] };
+
+class ProtobufReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  varint() {
+    // BigInt keeps 64-bit values (e.g. negative int64 attributes) exact.
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      if (this.offset >= this.bytes.length) {
+        throw new Error("ONNX-Datei ist abgeschnitten.");
+      }
+      byte = this.bytes[this.offset];
+      this.offset += 1;
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  read(wireType) {
+    const start = this.offset;
+    switch (wireType) {
+      case 0:
+        return this.varint();
+      case 1:
+        this.offset += 8;
+        return start;
+      case 2: {
+        const length = Number(this.varint());
+        const begin = this.offset;
+        this.offset += length;
+        if (this.offset > this.bytes.length) {
+          throw new Error("ONNX-Datei ist abgeschnitten.");
+        }
+        return this.bytes.subarray(begin, this.offset);
+      }
+      case 5:
+        this.offset += 4;
+        return start;
+      default:
+        throw new Error(`ONNX-Datei enthält den unbekannten Protobuf-Wire-Typ ${wireType}.`);
+    }
+  }
+}
+
+function decodeMessage(bytes, schema) {
+  const message = {};
+  Object.values(schema).forEach(([name, , repeated]) => {
+    if (repeated) message[name] = [];
+  });
+  const reader = new ProtobufReader(bytes);
+  while (!reader.done) {
+    const key = Number(reader.varint());
+    const wireType = key & 7;
+    const raw = reader.read(wireType);
+    const spec = schema[key >>> 3];
+    if (!spec) continue;
+    const [name, type, repeated] = spec;
+    if (repeated && wireType === 2 && typeof type === "string" && type !== "string" && type !== "bytes") {
+      decodePacked(raw, type, message[name]);
+    } else if (repeated) {
+      message[name].push(decodeValue(raw, type, reader));
+    } else {
+      message[name] = decodeValue(raw, type, reader);
+    }
+  }
+  return message;
+}
+
+function decodeValue(raw, type, reader) {
+  if (typeof type === "object") return decodeMessage(raw, type);
+  switch (type) {
+    case "int":
+      return Number(BigInt.asIntN(64, raw));
+    case "float":
+      return reader.view.getFloat32(raw, true);
+    case "double":
+      return reader.view.getFloat64(raw, true);
+    case "string":
+      return new TextDecoder().decode(raw);
+    default:
+      return raw;
+  }
+}
+
+function decodePacked(bytes, type, target) {
+  const reader = new ProtobufReader(bytes);
+  while (!reader.done) {
+    if (type === "int") {
+      target.push(Number(BigInt.asIntN(64, reader.varint())));
+    } else if (type === "float") {
+      target.push(reader.view.getFloat32(reader.read(5), true));
+    } else {
+      target.push(reader.view.getFloat64(reader.read(1), true));
+    }
+  }
+}
+
+function tensorValues(tensor) {
+  const label = tensor.name || "(unbenannt)";
+  if (tensor.dataLocation === DATA_LOCATION_EXTERNAL) {
+    throw new Error(`Tensor "${label}" liegt in einer externen Datei; bitte mit eingebetteten Gewichten exportieren.`);
+  }
+  if (tensor.dataType !== TENSOR_FLOAT && tensor.dataType !== TENSOR_DOUBLE) {
+    throw new Error(`Tensor "${label}" hat den nicht unterstützten Datentyp ${tensor.dataType} (erwartet float32).`);
+  }
+  const count = tensor.dims.reduce((product, dim) => product * dim, 1);
+  let values;
+  if (tensor.rawData?.length) {
+    const bytesPerValue = tensor.dataType === TENSOR_FLOAT ? 4 : 8;
+    const view = new DataView(tensor.rawData.buffer, tensor.rawData.byteOffset, tensor.rawData.byteLength);
+    values = new Float32Array(tensor.rawData.byteLength / bytesPerValue);
+    for (let i = 0; i < values.length; i += 1) {
+      values[i] = bytesPerValue === 4 ? view.getFloat32(i * 4, true) : view.getFloat64(i * 8, true);
+    }
+  } else {
+    values = Float32Array.from(tensor.dataType === TENSOR_FLOAT ? tensor.floatData : tensor.doubleData);
+  }
+  if (values.length !== count) {
+    throw new Error(`Tensor "${label}" enthält ${values.length} statt ${count} Werte.`);
+  }
+  return values;
+}
+
+function attributeValue(node, name, fallback) {
+  const attribute = node.attribute.find((entry) => entry.name === name);
+  if (!attribute) return fallback;
+  return attribute.type === 1 || (attribute.type === undefined && attribute.f !== undefined) ? attribute.f : attribute.i;
+}
+
+export function convertOnnxModel(buffer, options = {}) {
+  const { inputSize = 784, normalization = { mean: 0, std: 1 }, name = "ONNX-Modell" } = options;
+  const model = decodeMessage(new Uint8Array(buffer), MODEL);
+  const graph = model.graph;
+  if (!graph?.node.length) {
+    throw new Error("Datei enthält keinen ONNX-Graphen.");
+  }
+  const unsupported = [...new Set(graph.node.map((node) => node.opType))].filter((op) => !SUPPORTED_ONNX_OPS.has(op));
+  if (unsupported.length) {
+    throw new Error(
+      `ONNX-Modell enthält nicht unterstützte Operationen: ${unsupported.join(", ")}. ` +
+        `Unterstützt werden ${[...SUPPORTED_ONNX_OPS].join(", ")}.`,
+    );
+  }
+
+  const initializers = new Map(graph.initializer.map((tensor) => [tensor.name, tensor]));
+  const graphInput = graph.input.find((input) => !initializers.has(input.name));
+  if (!graphInput) {
+    throw new Error("ONNX-Graph hat keinen Dateneingang.");
+  }
+  const requireInitializer = (node, tensorName) => {
+    const tensor = initializers.get(tensorName);
+    if (!tensor) {
+      throw new Error(`${node.opType}-Knoten "${node.name || node.output[0]}" erwartet konstante Gewichte für "${tensorName}".`);
+    }
+    return tensor;
+  };
+
+  // Walk the graph as a single chain: every node must consume the previous node's output.
+  const layers = [];
+  let current = graphInput.name;
+  let pendingMatMul = null;
+  graph.node.forEach((node, index) => {
+    const dataInputs = node.input.filter((input) => input && !initializers.has(input));
+    if (dataInputs.length !== 1 || dataInputs[0] !== current) {
+      throw new Error(`ONNX-Graph verzweigt bei Knoten "${node.name || node.opType}"; nur sequentielle MLPs werden unterstützt.`);
+    }
+    if (node.opType !== "Add" && pendingMatMul) {
+      layers.push(pendingMatMul);
+      pendingMatMul = null;
+    }
+    const last = layers[layers.length - 1];
+    switch (node.opType) {
+      case "Gemm": {
+        if (attributeValue(node, "transA", 0)) {
+          throw new Error(`Gemm-Knoten "${node.name}" mit transA wird nicht unterstützt.`);
+        }
+        const weightTensor = requireInitializer(node, node.input[1]);
+        if (weightTensor.dims.length !== 2) {
+          throw new Error(`Gemm-Knoten "${node.name}" benötigt eine zweidimensionale Gewichtsmatrix.`);
+        }
+        const [first, second] = weightTensor.dims;
+        const transB = attributeValue(node, "transB", 0);
+        const [rows, columns] = transB ? [first, second] : [second, first];
+        const alpha = attributeValue(node, "alpha", 1);
+        const beta = attributeValue(node, "beta", 1);
+        const raw = tensorValues(weightTensor);
+        const weights = (transB ? raw : transposeMatrix(raw, first, second)).map((value) => value * alpha);
+        const biases = new Float32Array(rows);
+        if (node.input[2]) {
+          const bias = tensorValues(requireInitializer(node, node.input[2]));
+          biases.forEach((_, i) => (biases[i] = beta * bias[bias.length === 1 ? 0 : i]));
+        }
+        layers.push({ type: "dense", name: node.name || `dense_${layers.length}`, activation: "linear", weights, weightShape: [rows, columns], biases });
+        break;
+      }
+      case "MatMul": {
+        const weightTensor = requireInitializer(node, node.input[1]);
+        if (node.input[0] !== current || weightTensor.dims.length !== 2) {
+          throw new Error(`MatMul-Knoten "${node.name}" muss Eingabe × Gewichtsmatrix [in, out] berechnen.`);
+        }
+        const [columns, rows] = weightTensor.dims;
+        pendingMatMul = {
+          type: "dense",
+          name: node.name || `dense_${layers.length}`,
+          activation: "linear",
+          weights: transposeMatrix(tensorValues(weightTensor), columns, rows),
+          weightShape: [rows, columns],
+          biases: new Float32Array(rows),
+        };
+        break;
+      }
+      case "Add": {
+        if (!pendingMatMul) {
+          throw new Error(`Add-Knoten "${node.name}" folgt keinem MatMul; nur MatMul + Add wird als Dense-Schicht erkannt.`);
+        }
+        const biasName = node.input.find((input) => initializers.has(input));
+        const bias = tensorValues(requireInitializer(node, biasName));
+        pendingMatMul.biases.forEach((_, i) => (pendingMatMul.biases[i] = bias[bias.length === 1 ? 0 : i]));
+        layers.push(pendingMatMul);
+        pendingMatMul = null;
+        break;
+      }
+      case "Relu":
+      case "Sigmoid":
+      case "Tanh":
+        if (!last || last.activation !== "linear") {
+          throw new Error(`${node.opType}-Knoten "${node.name}" folgt keiner Dense-Schicht.`);
+        }
+        last.activation = ACTIVATION_OPS[node.opType];
+        break;
+      case "Softmax":
+        // Probabilities are computed from the logits by the visualiser itself.
+        if (index !== graph.node.length - 1) {
+          throw new Error("Softmax wird nur als letzter Knoten unterstützt.");
+        }
+        break;
+      default:
+        // Flatten: the drawing is fed as a flat vector already.
+        break;
+    }
+    current = node.output[0];
+  });
+  if (pendingMatMul) layers.push(pendingMatMul);
+  if (!layers.length) {
+    throw new Error("ONNX-Graph enthält keine Dense-Schicht (Gemm oder MatMul).");
+  }
+  return buildImportedDefinition(layers, {
+    source: "onnx",
+    inputSize,
+    normalization,
+    label: name,
+    description: `Importiert aus ONNX${model.producerName ? ` (${model.producerName})` : ""}`,
+  });
+}
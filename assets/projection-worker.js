@@ -0,0 +1,81 @@
+import { TsneOptimizer, computePca } from "./projection.js";
+
+// Runs t-SNE in time slices and streams intermediate layouts; a new request replaces the running one.
+const SLICE_DURATION_MS = 40;
+const PROGRESS_EVERY = 10;
+
+let job = null;
+let sliceTimer = null;
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || typeof message !== "object") return;
+  try {
+    switch (message.type) {
+      case "project":
+        cancel();
+        startProjection(message);
+        break;
+      case "cancel":
+        cancel();
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    cancel();
+    self.postMessage({ type: "error", id: message.id, message: error.message });
+  }
+});
+
+function cancel() {
+  job = null;
+  if (sliceTimer !== null) {
+    clearTimeout(sliceTimer);
+    sliceTimer = null;
+  }
+}
+
+function startProjection({ id, method, data, count, dimension, options = {} }) {
+  if (method === "pca") {
+    const pca = computePca(data, count, dimension, options.dims);
+    const { embedding, ...model } = pca;
+    self.postMessage({ type: "result", id, dims: pca.componentCount, embedding, pca: model }, [embedding.buffer]);
+    return;
+  }
+  if (method !== "tsne") {
+    throw new Error(`Unbekannte Projektionsmethode "${method}".`);
+  }
+  job = { id, optimizer: new TsneOptimizer(data, count, dimension, options) };
+  sliceTimer = setTimeout(runSlice, 0);
+}
+
+function runSlice() {
+  sliceTimer = null;
+  if (!job) return;
+  const { id, optimizer } = job;
+  const started = performance.now();
+  try {
+    do {
+      optimizer.step();
+      if (optimizer.iteration % PROGRESS_EVERY === 0 && !optimizer.done) {
+        const embedding = Float32Array.from(optimizer.embedding);
+        self.postMessage(
+          { type: "progress", id, iteration: optimizer.iteration, total: optimizer.iterations, dims: optimizer.dims, embedding },
+          [embedding.buffer],
+        );
+      }
+    } while (!optimizer.done && performance.now() - started < SLICE_DURATION_MS);
+  } catch (error) {
+    cancel();
+    self.postMessage({ type: "error", id, message: error.message });
+    return;
+  }
+  if (optimizer.done) {
+    job = null;
+    const embedding = Float32Array.from(optimizer.embedding);
+    self.postMessage({ type: "result", id, dims: optimizer.dims, embedding, pca: null }, [embedding.buffer]);
+    return;
+  }
+  sliceTimer = setTimeout(runSlice, 0);
+}
@@ -0,0 +1,276 @@
+// Dimensionality reduction for the projection view: exact PCA and an exact-gradient t-SNE.
+
+export const PROJECTION_METHODS = new Set(["pca", "tsne"]);
+
+export function computePca(data, count, dimension, components = 2, { maxIterations = 300, tolerance = 1e-7 } = {}) {
+  // Orthogonal (subspace) iteration on the covariance without ever forming the D×D matrix:
+  // each round applies Xᵀ·X to the current basis and re-orthonormalises it.
+  const k = Math.max(1, Math.min(components, dimension, count));
+  const mean = new Float64Array(dimension);
+  for (let row = 0; row < count; row += 1) {
+    const offset = row * dimension;
+    for (let column = 0; column < dimension; column += 1) {
+      mean[column] += data[offset + column];
+    }
+  }
+  mean.forEach((value, column) => (mean[column] = value / Math.max(count, 1)));
+  const centred = new Float64Array(count * dimension);
+  let totalVariance = 0;
+  for (let row = 0; row < count; row += 1) {
+    const offset = row * dimension;
+    for (let column = 0; column < dimension; column += 1) {
+      const value = data[offset + column] - mean[column];
+      centred[offset + column] = value;
+      totalVariance += value * value;
+    }
+  }
+
+  const random = createRandom(1);
+  let basis = Array.from({ length: k }, () => Float64Array.from({ length: dimension }, () => random() - 0.5));
+  orthonormalise(basis);
+  const projected = new Float64Array(count);
+  let eigenvalues = new Float64Array(k);
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    const next = basis.map((vector) => {
+      for (let row = 0; row < count; row += 1) {
+        const offset = row * dimension;
+        let sum = 0;
+        for (let column = 0; column < dimension; column += 1) {
+          sum += centred[offset + column] * vector[column];
+        }
+        projected[row] = sum;
+      }
+      const result = new Float64Array(dimension);
+      for (let row = 0; row < count; row += 1) {
+        const value = projected[row];
+        if (value === 0) continue;
+        const offset = row * dimension;
+        for (let column = 0; column < dimension; column += 1) {
+          result[column] += centred[offset + column] * value;
+        }
+      }
+      return result;
+    });
+    eigenvalues = Float64Array.from(next, (vector, index) => dot(vector, basis[index]));
+    orthonormalise(next);
+    const change = next.reduce((max, vector, index) => Math.max(max, 1 - Math.abs(dot(vector, basis[index]))), 0);
+    basis = next;
+    if (change < tolerance) break;
+  }
+
+  const order = Array.from({ length: k }, (_, index) => index).sort((a, b) => eigenvalues[b] - eigenvalues[a]);
+  basis = order.map((index) => basis[index]);
+  // Fix each axis' sign so that repeated runs (e.g. across snapshots) do not mirror the plot at random.
+  basis.forEach((vector) => {
+    let largest = 0;
+    vector.forEach((value, index) => {
+      if (Math.abs(value) > Math.abs(vector[largest])) largest = index;
+    });
+    if (vector[largest] < 0) vector.forEach((value, index) => (vector[index] = -value));
+  });
+
+  const componentMatrix = new Float32Array(k * dimension);
+  basis.forEach((vector, index) => componentMatrix.set(vector, index * dimension));
+  const pca = {
+    mean: Float32Array.from(mean),
+    components: componentMatrix,
+    componentCount: k,
+    dimension,
+    explainedVariance: Float32Array.from(order, (index) => (totalVariance > 0 ? eigenvalues[index] / totalVariance : 0)),
+  };
+  const embedding = new Float32Array(count * k);
+  for (let row = 0; row < count; row += 1) {
+    embedding.set(projectPca(pca, data.subarray(row * dimension, (row + 1) * dimension)), row * k);
+  }
+  return { ...pca, embedding };
+}
+
+export function projectPca(pca, vector) {
+  const { mean, components, componentCount, dimension } = pca;
+  const result = new Float32Array(componentCount);
+  for (let component = 0; component < componentCount; component += 1) {
+    const offset = component * dimension;
+    let sum = 0;
+    for (let column = 0; column < dimension; column += 1) {
+      sum += (vector[column] - mean[column]) * components[offset + column];
+    }
+    result[component] = sum;
+  }
+  return result;
+}
+
+export class TsneOptimizer {
+  // Exact O(N²) t-SNE (van der Maaten & Hinton, 2008) with early exaggeration, momentum and gains.
+  // Intended for a few thousand points; `step()` runs one gradient iteration so callers can time-slice.
+  constructor(data, count, dimension, options = {}) {
+    this.count = count;
+    this.dims = Math.max(1, Math.round(options.dims ?? 2));
+    this.iterations = Math.max(1, Math.round(options.iterations ?? 500));
+    this.learningRate = options.learningRate ?? Math.max(count / 12, 50);
+    this.exaggerationIterations = options.initial ? 0 : Math.min(100, this.iterations);
+    this.iteration = 0;
+    this.p = computeJointProbabilities(data, count, dimension, options.perplexity ?? 30);
+    this.embedding = new Float32Array(count * this.dims);
+    if (options.initial?.length === this.embedding.length) {
+      this.embedding.set(options.initial);
+    } else {
+      const random = createRandom(options.seed ?? 7);
+      for (let i = 0; i < this.embedding.length; i += 1) {
+        this.embedding[i] = gaussian(random) * 1e-4;
+      }
+    }
+    this.update = new Float32Array(this.embedding.length);
+    this.gains = new Float32Array(this.embedding.length).fill(1);
+    this.numerators = new Float32Array(count * count);
+  }
+
+  get done() {
+    return this.iteration >= this.iterations;
+  }
+
+  step() {
+    const { count, dims, embedding, numerators, p } = this;
+    const exaggeration = this.iteration < this.exaggerationIterations ? 12 : 1;
+    const momentum = this.iteration < 250 ? 0.5 : 0.8;
+    let sum = 0;
+    for (let i = 0; i < count; i += 1) {
+      numerators[i * count + i] = 0;
+      for (let j = i + 1; j < count; j += 1) {
+        let distance = 0;
+        for (let d = 0; d < dims; d += 1) {
+          const diff = embedding[i * dims + d] - embedding[j * dims + d];
+          distance += diff * diff;
+        }
+        const value = 1 / (1 + distance);
+        numerators[i * count + j] = value;
+        numerators[j * count + i] = value;
+        sum += 2 * value;
+      }
+    }
+    const gradient = new Float32Array(dims);
+    for (let i = 0; i < count; i += 1) {
+      gradient.fill(0);
+      for (let j = 0; j < count; j += 1) {
+        if (i === j) continue;
+        const value = numerators[i * count + j];
+        const force = (exaggeration * p[i * count + j] - value / sum) * value;
+        for (let d = 0; d < dims; d += 1) {
+          gradient[d] += force * (embedding[i * dims + d] - embedding[j * dims + d]);
+        }
+      }
+      for (let d = 0; d < dims; d += 1) {
+        const index = i * dims + d;
+        const grad = 4 * gradient[d];
+        this.gains[index] =
+          Math.sign(grad) !== Math.sign(this.update[index]) ? this.gains[index] + 0.2 : Math.max(this.gains[index] * 0.8, 0.01);
+        this.update[index] = momentum * this.update[index] - this.learningRate * this.gains[index] * grad;
+      }
+    }
+    for (let i = 0; i < embedding.length; i += 1) {
+      embedding[i] += this.update[i];
+    }
+    // Keep the cloud centred so the plot does not drift between progress frames.
+    for (let d = 0; d < dims; d += 1) {
+      let mean = 0;
+      for (let i = 0; i < count; i += 1) mean += embedding[i * dims + d];
+      mean /= count;
+      for (let i = 0; i < count; i += 1) embedding[i * dims + d] -= mean;
+    }
+    this.iteration += 1;
+  }
+}
+
+function computeJointProbabilities(data, count, dimension, perplexity) {
+  // Per-point Gaussian bandwidths found by binary search on the entropy, then symmetrised.
+  const distances = new Float32Array(count * count);
+  for (let i = 0; i < count; i += 1) {
+    for (let j = i + 1; j < count; j += 1) {
+      let sum = 0;
+      for (let column = 0; column < dimension; column += 1) {
+        const diff = data[i * dimension + column] - data[j * dimension + column];
+        sum += diff * diff;
+      }
+      distances[i * count + j] = sum;
+      distances[j * count + i] = sum;
+    }
+  }
+  const target = Math.log(Math.min(perplexity, Math.max(count - 1, 1) / 3) || 1);
+  const conditional = new Float32Array(count * count);
+  const row = new Float64Array(count);
+  for (let i = 0; i < count; i += 1) {
+    let beta = 1;
+    let low = 0;
+    let high = Number.POSITIVE_INFINITY;
+    let minimum = Number.POSITIVE_INFINITY;
+    for (let j = 0; j < count; j += 1) {
+      if (j !== i) minimum = Math.min(minimum, distances[i * count + j]);
+    }
+    for (let attempt = 0; attempt < 64; attempt += 1) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < count; j += 1) {
+        const distance = distances[i * count + j] - minimum;
+        row[j] = j === i ? 0 : Math.exp(-distance * beta);
+        sum += row[j];
+        weighted += distance * row[j];
+      }
+      const entropy = Math.log(sum) + (beta * weighted) / sum;
+      const difference = entropy - target;
+      if (Math.abs(difference) < 1e-5) break;
+      if (difference > 0) {
+        low = beta;
+        beta = Number.isFinite(high) ? (beta + high) / 2 : beta * 2;
+      } else {
+        high = beta;
+        beta = (beta + low) / 2;
+      }
+    }
+    const sum = row.reduce((acc, value) => acc + value, 0) || 1;
+    for (let j = 0; j < count; j += 1) {
+      conditional[i * count + j] = row[j] / sum;
+    }
+  }
+  const joint = new Float32Array(count * count);
+  for (let i = 0; i < count; i += 1) {
+    for (let j = 0; j < count; j += 1) {
+      joint[i * count + j] = Math.max((conditional[i * count + j] + conditional[j * count + i]) / (2 * count), 1e-12);
+    }
+  }
+  return joint;
+}
+
+function orthonormalise(vectors) {
+  vectors.forEach((vector, index) => {
+    for (let previous = 0; previous < index; previous += 1) {
+      const projection = dot(vector, vectors[previous]);
+      vector.forEach((value, i) => (vector[i] = value - projection * vectors[previous][i]));
+    }
+    const norm = Math.sqrt(dot(vector, vector)) || 1;
+    vector.forEach((value, i) => (vector[i] = value / norm));
+  });
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function createRandom(seed) {
+  // mulberry32, so layouts are reproducible for the same input.
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
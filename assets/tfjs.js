@@ -0,0 +1,161 @@
+import { buildImportedDefinition, transposeMatrix } from "./imported-model.js";
+import { float16ToFloat32, resolveActivationName } from "./model.js";
+
+// Imports Keras Sequential models saved in the TF.js layers format (model.json + binary weight shards).
+// Dense layers become FeedForwardModel layers with their [in, out] kernels transposed to [out, in].
+
+const SKIPPED_LAYERS = new Set([
+  "InputLayer",
+  // The drawing is already a flat vector.
+  "Flatten",
+  // Identity at inference time.
+  "Dropout",
+]);
+const SUPPORTED_LAYERS = new Set(["Dense", "Activation", ...SKIPPED_LAYERS]);
+const DTYPE_BYTES = { float32: 4, float16: 2, uint16: 2, uint8: 1 };
+
+export function isTfjsLayersModel(json) {
+  return Boolean(json && typeof json === "object" && json.modelTopology && Array.isArray(json.weightsManifest));
+}
+
+export function tfjsWeightPaths(modelJson) {
+  return modelJson.weightsManifest.flatMap((group) => (Array.isArray(group?.paths) ? group.paths : []));
+}
+
+function resolveSequentialLayers(topology) {
+  // Keras writes { class_name, config } either at the top level or under model_config; older
+  // versions store the layer list directly in config.
+  const model = topology.model_config ?? topology;
+  if (model?.class_name !== "Sequential") {
+    throw new Error(`Nur Keras-Sequential-Modelle werden unterstützt (gefunden: ${model?.class_name ?? "unbekannt"}).`);
+  }
+  const layers = Array.isArray(model.config) ? model.config : model.config?.layers;
+  if (!Array.isArray(layers)) {
+    throw new Error("model.json enthält keine Layerliste.");
+  }
+  return layers;
+}
+
+function decodeWeightEntries(modelJson, shardBuffers) {
+  // Shards are one contiguous byte stream per manifest group; entries are laid out back to back.
+  const weights = new Map();
+  let shardIndex = 0;
+  modelJson.weightsManifest.forEach((group) => {
+    const paths = Array.isArray(group?.paths) ? group.paths : [];
+    const buffers = shardBuffers.slice(shardIndex, shardIndex + paths.length);
+    shardIndex += paths.length;
+    const bytes = new Uint8Array(buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0));
+    let position = 0;
+    buffers.forEach((buffer) => {
+      bytes.set(new Uint8Array(buffer), position);
+      position += buffer.byteLength;
+    });
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    (group.weights ?? []).forEach((entry) => {
+      const count = (entry.shape ?? []).reduce((product, dim) => product * dim, 1);
+      const quantization = entry.quantization ?? null;
+      const storedType = quantization?.dtype ?? entry.dtype ?? "float32";
+      const bytesPerValue = DTYPE_BYTES[storedType];
+      if (!bytesPerValue || (entry.dtype && entry.dtype !== "float32")) {
+        throw new Error(`Gewicht "${entry.name}" hat den nicht unterstützten Datentyp ${storedType}.`);
+      }
+      if (offset + count * bytesPerValue > bytes.length) {
+        throw new Error(`Gewichts-Shards enden vor "${entry.name}".`);
+      }
+      const values = new Float32Array(count);
+      for (let i = 0; i < count; i += 1) {
+        const position = offset + i * bytesPerValue;
+        if (storedType === "float32") {
+          values[i] = view.getFloat32(position, true);
+        } else if (storedType === "float16") {
+          values[i] = float16ToFloat32(view.getUint16(position, true));
+        } else {
+          // Affine uint8/uint16 quantisation: value = q · scale + min.
+          const quantised = storedType === "uint8" ? view.getUint8(position) : view.getUint16(position, true);
+          values[i] = quantised * quantization.scale + quantization.min;
+        }
+      }
+      weights.set(entry.name, { shape: entry.shape ?? [], values });
+      offset += count * bytesPerValue;
+    });
+  });
+  return weights;
+}
+
+function findWeight(weights, layerName, kind) {
+  // Names look like "dense_1/kernel", sometimes prefixed with the model name ("sequential/dense_1/kernel").
+  const suffix = `${layerName}/${kind}`;
+  for (const [name, weight] of weights) {
+    if (name === suffix || name.endsWith(`/${suffix}`)) return weight;
+  }
+  return null;
+}
+
+export function convertTfjsModel(modelJson, shardBuffers, options = {}) {
+  const { inputSize = 784, normalization = { mean: 0, std: 1 }, name = "TF.js-Modell" } = options;
+  if (!isTfjsLayersModel(modelJson)) {
+    throw new Error("Datei ist kein TF.js-Layers-Modell (modelTopology und weightsManifest fehlen).");
+  }
+  const topologyLayers = resolveSequentialLayers(modelJson.modelTopology);
+  const unsupported = [...new Set(topologyLayers.map((layer) => layer?.class_name))].filter(
+    (className) => !SUPPORTED_LAYERS.has(className),
+  );
+  if (unsupported.length) {
+    throw new Error(
+      `Keras-Modell enthält nicht unterstützte Layer: ${unsupported.join(", ")}. ` +
+        `Unterstützt werden ${[...SUPPORTED_LAYERS].join(", ")}.`,
+    );
+  }
+
+  const weights = decodeWeightEntries(modelJson, shardBuffers);
+  const layers = [];
+  const resolveActivation = (activation, layerName, isLast) => {
+    const raw = typeof activation === "string" ? activation : "linear";
+    // A trailing softmax only turns logits into probabilities, which the visualiser does itself.
+    if (raw === "softmax" && isLast) return "linear";
+    const resolved = resolveActivationName(raw);
+    if (!resolved) {
+      throw new Error(`Layer "${layerName}" verwendet die nicht unterstützte Aktivierung "${raw}".`);
+    }
+    return resolved;
+  };
+  const lastActiveIndex = topologyLayers.findLastIndex((layer) => !SKIPPED_LAYERS.has(layer.class_name));
+  topologyLayers.forEach((layer, index) => {
+    const config = layer.config ?? {};
+    const isLast = index === lastActiveIndex;
+    if (layer.class_name === "Dense") {
+      const kernel = findWeight(weights, config.name, "kernel");
+      if (!kernel || kernel.shape.length !== 2) {
+        throw new Error(`Für Dense-Layer "${config.name}" wurde kein Kernel gefunden.`);
+      }
+      const [inputs, units] = kernel.shape;
+      const bias = config.use_bias === false ? null : findWeight(weights, config.name, "bias");
+      if (config.use_bias !== false && bias?.values.length !== units) {
+        throw new Error(`Für Dense-Layer "${config.name}" wurde kein passender Bias gefunden.`);
+      }
+      layers.push({
+        type: "dense",
+        name: config.name ?? `dense_${layers.length}`,
+        activation: resolveActivation(config.activation, config.name, isLast),
+        weights: transposeMatrix(kernel.values, inputs, units),
+        weightShape: [units, inputs],
+        biases: bias ? Float32Array.from(bias.values) : new Float32Array(units),
+      });
+    } else if (layer.class_name === "Activation") {
+      const last = layers[layers.length - 1];
+      if (!last || last.activation !== "linear") {
+        throw new Error(`Activation-Layer "${config.name}" folgt keiner Dense-Schicht ohne Aktivierung.`);
+      }
+      last.activation = resolveActivation(config.activation, config.name, isLast);
+    }
+  });
+
+  return buildImportedDefinition(layers, {
+    source: "tfjs",
+    inputSize,
+    normalization,
+    label: name,
+    description: `Importiert aus TF.js${modelJson.convertedBy ? ` (${modelJson.convertedBy})` : ""}`,
+  });
+}
@@ -0,0 +1,123 @@
+import { TrainingSession } from "./training.js";
+
+// Runs optimisation steps in time slices so pause/configure messages are handled between them.
+const SLICE_DURATION_MS = 40;
+
+let session = null;
+let running = false;
+let sliceTimer = null;
+let publishEvery = 10;
+let publishLossSum = 0;
+let publishLossCount = 0;
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || typeof message !== "object") return;
+  try {
+    switch (message.type) {
+      case "init":
+        stop();
+        session = new TrainingSession(message.options);
+        publishEvery = Math.max(1, Math.round(message.options.publishEvery) || publishEvery);
+        publishLossSum = 0;
+        publishLossCount = 0;
+        self.postMessage({ type: "ready" });
+        break;
+      case "configure":
+        session?.configure(message.options);
+        if (Number.isFinite(message.options?.publishEvery)) {
+          publishEvery = Math.max(1, Math.round(message.options.publishEvery));
+        }
+        break;
+      case "start":
+        if (!session || running) return;
+        running = true;
+        scheduleSlice();
+        break;
+      case "pause":
+        stop();
+        self.postMessage({ type: "progress", steps: [], running: false });
+        break;
+      case "step":
+        if (!session || running) return;
+        self.postMessage({ type: "progress", steps: [runStep()], running: false });
+        publishWeights();
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    stop();
+    self.postMessage({ type: "error", message: error.message });
+  }
+});
+
+function stop() {
+  running = false;
+  if (sliceTimer !== null) {
+    clearTimeout(sliceTimer);
+    sliceTimer = null;
+  }
+}
+
+function scheduleSlice() {
+  sliceTimer = setTimeout(runSlice, 0);
+}
+
+function runSlice() {
+  sliceTimer = null;
+  if (!running || !session) return;
+  const started = performance.now();
+  const steps = [];
+  try {
+    do {
+      const metrics = runStep();
+      steps.push(metrics);
+      if (metrics.step % publishEvery === 0) {
+        self.postMessage({ type: "progress", steps: steps.splice(0), running });
+        publishWeights();
+      }
+    } while (performance.now() - started < SLICE_DURATION_MS);
+  } catch (error) {
+    stop();
+    self.postMessage({ type: "error", message: error.message });
+    return;
+  }
+  if (steps.length) {
+    self.postMessage({ type: "progress", steps, running });
+  }
+  scheduleSlice();
+}
+
+function runStep() {
+  const metrics = session.step();
+  publishLossSum += metrics.loss;
+  publishLossCount += 1;
+  return metrics;
+}
+
+function publishWeights() {
+  const transfer = [];
+  const layers = session.model.layers.map((layer) => {
+    const copy = { ...layer };
+    if (layer.weights) {
+      copy.weights = Float32Array.from(layer.weights);
+      copy.biases = Float32Array.from(layer.biases);
+      transfer.push(copy.weights.buffer, copy.biases.buffer);
+    }
+    return copy;
+  });
+  const averageLoss = publishLossCount ? publishLossSum / publishLossCount : null;
+  publishLossSum = 0;
+  publishLossCount = 0;
+  self.postMessage(
+    {
+      type: "weights",
+      step: session.stepCount,
+      imagesSeen: session.imagesSeen,
+      averageLoss,
+      layers,
+    },
+    transfer,
+  );
+}
@@ -0,0 +1,150 @@
+import { FeedForwardModel } from "./model.js";
+
+export const OPTIMIZERS = new Set(["sgd", "adam"]);
+
+export class SgdOptimizer {
+  constructor({ learningRate = 0.05, momentum = 0.9 } = {}) {
+    this.learningRate = learningRate;
+    this.momentum = momentum;
+    this.velocity = new Map();
+  }
+
+  step(model, gradients) {
+    gradients.forEach((gradient, index) => {
+      if (!gradient) return;
+      const layer = model.layers[index];
+      ["weights", "biases"].forEach((key) => {
+        const stateKey = `${index}:${key}`;
+        let velocity = this.velocity.get(stateKey);
+        if (!velocity || velocity.length !== layer[key].length) {
+          velocity = new Float32Array(layer[key].length);
+          this.velocity.set(stateKey, velocity);
+        }
+        const params = layer[key];
+        const grad = gradient[key];
+        for (let i = 0; i < params.length; i += 1) {
+          velocity[i] = this.momentum * velocity[i] + grad[i];
+          params[i] -= this.learningRate * velocity[i];
+        }
+      });
+    });
+  }
+}
+
+export class AdamOptimizer {
+  constructor({ learningRate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8 } = {}) {
+    this.learningRate = learningRate;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon;
+    this.moments = new Map();
+    this.iteration = 0;
+  }
+
+  step(model, gradients) {
+    this.iteration += 1;
+    const correction1 = 1 - this.beta1 ** this.iteration;
+    const correction2 = 1 - this.beta2 ** this.iteration;
+    gradients.forEach((gradient, index) => {
+      if (!gradient) return;
+      const layer = model.layers[index];
+      ["weights", "biases"].forEach((key) => {
+        const stateKey = `${index}:${key}`;
+        let state = this.moments.get(stateKey);
+        if (!state || state.first.length !== layer[key].length) {
+          state = { first: new Float32Array(layer[key].length), second: new Float32Array(layer[key].length) };
+          this.moments.set(stateKey, state);
+        }
+        const params = layer[key];
+        const grad = gradient[key];
+        for (let i = 0; i < params.length; i += 1) {
+          state.first[i] = this.beta1 * state.first[i] + (1 - this.beta1) * grad[i];
+          state.second[i] = this.beta2 * state.second[i] + (1 - this.beta2) * grad[i] * grad[i];
+          const firstHat = state.first[i] / correction1;
+          const secondHat = state.second[i] / correction2;
+          params[i] -= (this.learningRate * firstHat) / (Math.sqrt(secondHat) + this.epsilon);
+        }
+      });
+    });
+  }
+}
+
+export function createOptimizer(name, options = {}) {
+  if (name === "adam") return new AdamOptimizer(options);
+  if (name === "sgd") return new SgdOptimizer(options);
+  throw new Error(`Unbekannter Optimierer "${name}".`);
+}
+
+export class TrainingSession {
+  constructor({ definition, images, labels, sampleSize, initialization = "snapshot", ...config }) {
+    if (!images?.length || !labels?.length || !sampleSize) {
+      throw new Error("Für das Training werden Bild- und Labeldaten benötigt.");
+    }
+    this.model = new FeedForwardModel(definition);
+    if (initialization === "random") {
+      this.model.initializeParameters();
+    }
+    this.images = images;
+    this.labels = labels;
+    this.sampleSize = sampleSize;
+    this.sampleCount = Math.min(labels.length, Math.floor(images.length / sampleSize));
+    this.order = new Uint32Array(this.sampleCount).map((_, index) => index);
+    this.cursor = this.sampleCount;
+    this.stepCount = 0;
+    this.imagesSeen = 0;
+    this.optimizerName = null;
+    this.configure({ learningRate: 0.001, batchSize: 32, optimizer: "adam", ...config });
+  }
+
+  configure({ learningRate, batchSize, optimizer } = {}) {
+    if (Number.isFinite(learningRate) && learningRate > 0) {
+      this.learningRate = learningRate;
+    }
+    if (Number.isFinite(batchSize) && batchSize >= 1) {
+      this.batchSize = Math.min(Math.round(batchSize), this.sampleCount);
+    }
+    if (OPTIMIZERS.has(optimizer) && optimizer !== this.optimizerName) {
+      // Switching optimizers starts with fresh moment estimates.
+      this.optimizerName = optimizer;
+      this.optimizer = createOptimizer(optimizer, { learningRate: this.learningRate });
+    }
+    this.optimizer.learningRate = this.learningRate;
+  }
+
+  nextBatch() {
+    const samples = [];
+    const labels = [];
+    for (let i = 0; i < this.batchSize; i += 1) {
+      if (this.cursor >= this.sampleCount) {
+        this.shuffle();
+      }
+      const index = this.order[this.cursor];
+      this.cursor += 1;
+      const start = index * this.sampleSize;
+      const pixels = new Float32Array(this.sampleSize);
+      for (let p = 0; p < this.sampleSize; p += 1) {
+        pixels[p] = this.images[start + p] / 255;
+      }
+      samples.push(pixels);
+      labels.push(this.labels[index]);
+    }
+    return { samples, labels };
+  }
+
+  shuffle() {
+    for (let i = this.order.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+    }
+    this.cursor = 0;
+  }
+
+  step() {
+    const { samples, labels } = this.nextBatch();
+    const { loss, accuracy, gradients } = this.model.computeLossGradients(samples, labels);
+    this.optimizer.step(this.model, gradients);
+    this.stepCount += 1;
+    this.imagesSeen += samples.length;
+    return { step: this.stepCount, imagesSeen: this.imagesSeen, loss, accuracy };
+  }
+}
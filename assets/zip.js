@@ -0,0 +1,145 @@
+// Minimal ZIP support for model bundles: reading archives picked or dropped in the browser (stored and
+// deflated entries, the latter through DecompressionStream) and writing uncompressed ones for exports.
+// ZIP64 and encrypted archives are not supported.
+const LOCAL_FILE_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+function findEndOfCentralDirectory(view) {
+  // The record sits at the very end, followed only by an optional archive comment.
+  const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+  for (let offset = last; offset >= first; offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return offset;
+  }
+  throw new Error("Datei ist kein gültiges ZIP-Archiv.");
+}
+
+async function inflateEntry(data, method, path) {
+  if (method === 0) return data.slice();
+  if (method !== 8) {
+    throw new Error(`"${path}" verwendet die nicht unterstützte Kompressionsmethode ${method}.`);
+  }
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("Dieser Browser kann komprimierte ZIP-Einträge nicht entpacken.");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < END_OF_CENTRAL_DIRECTORY_SIZE) {
+    throw new Error("Datei ist kein gültiges ZIP-Archiv.");
+  }
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("ZIP64-Archive werden nicht unterstützt.");
+  }
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error("Das Inhaltsverzeichnis des ZIP-Archivs ist beschädigt.");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (path.endsWith("/")) continue;
+    if (flags & 0x1) {
+      throw new Error(`"${path}" ist verschlüsselt.`);
+    }
+    // Sizes come from the central directory; the local header may defer them to a trailing descriptor.
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (dataStart + compressedSize > view.byteLength) {
+      throw new Error(`"${path}" reicht über das Ende des ZIP-Archivs hinaus.`);
+    }
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+    entries.push({ path, data: await inflateEntry(data, method, path) });
+  }
+  return entries;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export function createZipArchive(files, date = new Date()) {
+  // Entries are stored uncompressed: snapshot files are dense binary data that deflate barely shrinks.
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach(({ path, data }) => {
+    const name = encoder.encode(path);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    // Bit 11: file names are UTF-8.
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central, name);
+    offset += 30 + name.length + data.length;
+  });
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}
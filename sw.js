@@ -0,0 +1,141 @@
+// Offline support: the app shell is precached on install, weights, timeline snapshots and MNIST blobs
+// are added on request from the page ("precache") and every cached file is served when the network fails.
+// Bump SHELL_VERSION whenever APP_SHELL changes so existing installs fetch the new shell and drop the
+// old one. Downloaded weights and samples live in their own cache and survive the bump.
+const SHELL_VERSION = 2;
+const SHELL_CACHE = `mnist-visualizer-shell-v${SHELL_VERSION}`;
+const DATA_CACHE = "mnist-visualizer-data-v1";
+const CACHE_NAMES = [SHELL_CACHE, DATA_CACHE];
+const NETWORK_TIMEOUT_MS = 3000;
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./assets/main.css",
+  "./assets/main.js",
+  "./assets/layer-cache.js",
+  "./assets/onnx.js",
+  "./assets/tfjs.js",
+  "./assets/imported-model.js",
+  "./assets/zip.js",
+  "./assets/model.js",
+  "./assets/training.js",
+  "./assets/projection.js",
+  "./assets/inference-worker.js",
+  "./assets/training-worker.js",
+  "./assets/projection-worker.js",
+  "./exports/mlp_weights.json",
+  "./assets/data/mnist-test-manifest.json",
+];
+// Third-party hosts can be down or blocked; they must not keep the worker from installing.
+const CDN_SHELL = [
+  "https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js",
+  "https://unpkg.com/three@0.128.0/examples/js/controls/OrbitControls.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(async (cache) => {
+        await cache.addAll(APP_SHELL);
+        await addEach(cache, CDN_SHELL);
+      })
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => !CACHE_NAMES.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith("http")) return;
+  event.respondWith(networkFirst(event));
+});
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || typeof message !== "object" || !event.source) return;
+  const reply = (payload) => event.source.postMessage({ id: message.id, ...payload });
+  switch (message.type) {
+    case "status":
+      event.waitUntil(
+        countCached(message.urls ?? [])
+          .then((cached) => reply({ type: "status", cached, total: message.urls?.length ?? 0 }))
+          .catch((error) => reply({ type: "error", message: error.message })),
+      );
+      break;
+    case "precache":
+      event.waitUntil(
+        precache(message.urls ?? [], (done, total) => reply({ type: "progress", done, total }))
+          .then((failed) => reply({ type: "result", failed }))
+          .catch((error) => reply({ type: "error", message: error.message })),
+      );
+      break;
+    default:
+      break;
+  }
+});
+
+async function networkFirst(event) {
+  // Network first so a re-exported manifest and its snapshot files stay consistent; files that were
+  // cached before are refreshed in place, everything else passes through untouched.
+  const { request } = event;
+  const { cache, cached } = await findCached(request, { ignoreSearch: request.mode === "navigate" });
+  const network = fetch(request).then(async (response) => {
+    if (!cached) return response;
+    // A 404 or 500 from a flaky server must not replace a good cached file.
+    if (!response.ok) return cached;
+    await cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  // Flaky Wi-Fi tends to hang rather than fail, so the cached copy answers after a short wait; the
+  // request keeps running in the background and still refreshes the cache.
+  event.waitUntil(network.catch(() => {}));
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+  return Promise.race([network.catch(() => cached), timeout]);
+}
+
+async function findCached(request, options) {
+  for (const name of CACHE_NAMES) {
+    const cache = await caches.open(name);
+    const cached = await cache.match(request, options);
+    if (cached) return { cache, cached };
+  }
+  return { cache: null, cached: null };
+}
+
+async function countCached(urls) {
+  const matches = await Promise.all(urls.map((url) => findCached(url)));
+  return matches.filter((match) => match.cached).length;
+}
+
+async function precache(urls, onProgress) {
+  // CDN files that could not be fetched during install get another chance with the full download.
+  const shell = await caches.open(SHELL_CACHE);
+  const cached = await Promise.all(CDN_SHELL.map((url) => shell.match(url)));
+  await addEach(shell, CDN_SHELL.filter((url, index) => !cached[index]));
+  return addEach(await caches.open(DATA_CACHE), urls, onProgress);
+}
+
+async function addEach(cache, urls, onProgress = () => {}) {
+  const failed = [];
+  let done = 0;
+  for (const url of urls) {
+    try {
+      await cache.add(new Request(url, { cache: "reload" }));
+    } catch (error) {
+      failed.push(url);
+    }
+    done += 1;
+    onProgress(done, urls.length);
+  }
+  return failed;
+}
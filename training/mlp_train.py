@@ -8,6 +8,7 @@ import math
 import os
 import re
 import shutil
+import struct
 from collections.abc import Sequence
 from dataclasses import dataclass
 from pathlib import Path
@@ -23,6 +24,10 @@ from torchvision import datasets, transforms
 MNIST_MEAN = 0.1307
 MNIST_STD = 0.3081
 BASE_DATASET_SIZE = 60_000
+BINARY_SNAPSHOT_MAGIC = b"NNVB"
+BINARY_SNAPSHOT_VERSION = 1
+BINARY_SNAPSHOT_DTYPES = {"float32": 1, "float16": 2, "int8": 3}
+SNAPSHOT_FORMATS = {"binary": "layer_binary_v1", "json": "layer_array_v1"}
 
 
 def resolve_device(preferred: str | None = None) -> torch.device:
@@ -41,43 +46,94 @@ def resolve_device(preferred: str | None = None) -> torch.device:
     return torch.device("cpu")
 
 
-class SmallMLP(nn.Module):
-    """Simple fully connected network for MNIST digits."""
+ACTIVATION_MODULES: dict[str, type[nn.Module]] = {
+    "relu": nn.ReLU,
+    "sigmoid": nn.Sigmoid,
+    "tanh": nn.Tanh,
+    "leaky_relu": nn.LeakyReLU,
+    "gelu": nn.GELU,
+}
+
+
+POOLING_MODULES: dict[str, type[nn.Module]] = {
+    "max": nn.MaxPool2d,
+    "avg": nn.AvgPool2d,
+}
+
 
-    def __init__(self, input_dim: int, hidden_dims: Sequence[int], num_classes: int = 10):
+class SmallMLP(nn.Module):
+    """Simple fully connected network for MNIST digits, optionally preceded by a small conv stack."""
+
+    def __init__(
+        self,
+        input_dim: int,
+        hidden_dims: Sequence[int],
+        hidden_activations: Sequence[str],
+        num_classes: int = 10,
+        conv_channels: Sequence[int] = (),
+        conv_kernel: int = 3,
+        conv_activation: str = "relu",
+        pooling: str = "max",
+    ):
         super().__init__()
-        dims = [input_dim, *hidden_dims, num_classes]
+        if len(hidden_activations) != len(hidden_dims):
+            raise ValueError("Exactly one activation per hidden layer is required.")
+        self.has_conv = len(conv_channels) > 0
         layers: list[nn.Module] = []
+        if self.has_conv:
+            side = math.isqrt(input_dim)
+            if side * side != input_dim:
+                raise ValueError("Convolutional models require a square input image.")
+            self.input_shape: tuple[int, ...] = (1, side, side)
+            in_channels = 1
+            for channels in conv_channels:
+                layers.append(nn.Conv2d(in_channels, channels, kernel_size=conv_kernel))
+                layers.append(ACTIVATION_MODULES[conv_activation]())
+                if pooling in POOLING_MODULES:
+                    layers.append(POOLING_MODULES[pooling](kernel_size=2))
+                in_channels = channels
+            layers.append(nn.Flatten())
+            with torch.no_grad():
+                flat_dim = int(nn.Sequential(*layers)(torch.zeros(1, *self.input_shape)).shape[1])
+        else:
+            self.input_shape = (input_dim,)
+            flat_dim = input_dim
+        dims = [flat_dim, *hidden_dims, num_classes]
         for idx in range(len(dims) - 1):
             layers.append(nn.Linear(dims[idx], dims[idx + 1]))
             if idx < len(dims) - 2:
-                layers.append(nn.ReLU())
+                layers.append(ACTIVATION_MODULES[hidden_activations[idx]]())
         self.net = nn.Sequential(*layers)
 
     def forward(self, x: torch.Tensor) -> torch.Tensor:  # type: ignore[override]
-        x = x.view(x.size(0), -1)
+        x = x.view(x.size(0), *self.input_shape)
         return self.net(x)
 
 
 @dataclass
 class LayerMetadata:
-    """Lightweight structural description of a dense layer."""
+    """Lightweight structural description of a network layer."""
 
     layer_index: int
     type: str
     name: str
     activation: str
-    weight_shape: tuple[int, int]
-    bias_shape: tuple[int]
+    input_shape: tuple[int, ...]
+    output_shape: tuple[int, ...]
+    weight_shape: tuple[int, ...] | None = None
+    bias_shape: tuple[int] | None = None
+    kernel_size: tuple[int, int] | None = None
+    stride: tuple[int, int] | None = None
+    padding: tuple[int, int] | None = None
 
 
 @dataclass
 class LayerSnapshot:
-    """Snapshot of a dense layer's parameters."""
+    """Snapshot of a layer's parameters (``None`` for parameter-free layers)."""
 
     metadata: LayerMetadata
-    weight: torch.Tensor
-    bias: torch.Tensor
+    weight: torch.Tensor | None
+    bias: torch.Tensor | None
 
 
 @dataclass
@@ -95,15 +151,17 @@ def export_model(
     output_path: Path,
     layer_metadata: Sequence[LayerMetadata],
     timeline: Sequence[dict[str, Any]],
+    weights_format: str = "layer_array_v1",
+    precision: str = "float16",
 ) -> None:
     """Write the lightweight network metadata and timeline manifest."""
     payload: dict[str, Any] = {
         "version": 2,
-        "dtype": "float16",
+        "dtype": precision,
         "weights": {
             "storage": "per_snapshot_files",
-            "format": "layer_array_v1",
-            "precision": "float16",
+            "format": weights_format,
+            "precision": precision,
         },
         "network": build_network_payload(layer_metadata),
         "timeline": list(timeline),
@@ -133,50 +191,118 @@ def parse_hidden_dims(raw: Sequence[int]) -> list[int]:
     return dims
 
 
-def capture_layer_snapshots(model: SmallMLP, activations: Sequence[str]) -> list[LayerSnapshot]:
-    """Capture the current dense-layer parameters for export."""
-    dense_layers = [m for m in model.net if isinstance(m, nn.Linear)]
-    snapshots: list[LayerSnapshot] = []
-    for idx, (layer, activation) in enumerate(zip(dense_layers, activations, strict=False)):
-        metadata = LayerMetadata(
-            layer_index=idx,
-            type="dense",
-            name=f"dense_{idx}",
-            activation=activation,
-            weight_shape=tuple(int(dim) for dim in layer.weight.shape),
-            bias_shape=tuple(int(dim) for dim in layer.bias.shape),
+def parse_activations(raw: Sequence[str], hidden_layer_count: int) -> list[str]:
+    activations = [name.lower() for name in raw]
+    unknown = sorted({name for name in activations if name not in ACTIVATION_MODULES})
+    if unknown:
+        raise ValueError(f"Unsupported activation(s): {', '.join(unknown)}.")
+    if len(activations) == 1:
+        return activations * hidden_layer_count
+    if len(activations) != hidden_layer_count:
+        raise ValueError(
+            f"Expected 1 or {hidden_layer_count} activations for {hidden_layer_count} hidden layers, "
+            f"got {len(activations)}."
         )
-        snapshots.append(
-            LayerSnapshot(
-                metadata=metadata,
-                weight=layer.weight.detach().cpu(),
-                bias=layer.bias.detach().cpu(),
+    return activations
+
+
+def as_pair(value: int | tuple[int, ...]) -> tuple[int, int]:
+    if isinstance(value, int):
+        return (value, value)
+    return (int(value[0]), int(value[1]))
+
+
+def capture_layer_snapshots(model: SmallMLP) -> list[LayerSnapshot]:
+    """Capture the current layer structure and parameters for export.
+
+    Activation modules are folded into the preceding layer's ``activation`` field, so the
+    exported layer list mirrors what the front-end propagates.
+    """
+    activation_names = {module_type: name for name, module_type in ACTIVATION_MODULES.items()}
+    snapshots: list[LayerSnapshot] = []
+    device = next(model.parameters()).device
+    with torch.no_grad():
+        x = torch.zeros(1, *model.input_shape, device=device)
+        for module in model.net:
+            if type(module) in activation_names:
+                snapshots[-1].metadata.activation = activation_names[type(module)]
+                x = module(x)
+                continue
+            input_shape = tuple(int(dim) for dim in x.shape[1:])
+            x = module(x)
+            output_shape = tuple(int(dim) for dim in x.shape[1:])
+            idx = len(snapshots)
+            weight: torch.Tensor | None = None
+            bias: torch.Tensor | None = None
+            extra: dict[str, Any] = {}
+            if isinstance(module, nn.Linear):
+                layer_type = "dense"
+            elif isinstance(module, nn.Conv2d):
+                layer_type = "conv2d"
+                extra = {
+                    "kernel_size": as_pair(module.kernel_size),
+                    "stride": as_pair(module.stride),
+                    "padding": as_pair(module.padding),
+                }
+            elif isinstance(module, (nn.MaxPool2d, nn.AvgPool2d)):
+                layer_type = "maxpool2d" if isinstance(module, nn.MaxPool2d) else "avgpool2d"
+                extra = {
+                    "kernel_size": as_pair(module.kernel_size),
+                    "stride": as_pair(module.stride or module.kernel_size),
+                    "padding": as_pair(module.padding),
+                }
+            elif isinstance(module, nn.Flatten):
+                layer_type = "flatten"
+            else:
+                raise TypeError(f"Cannot export layer of type {type(module).__name__}.")
+            if isinstance(module, (nn.Linear, nn.Conv2d)):
+                weight = module.weight.detach().cpu()
+                bias = module.bias.detach().cpu()
+                extra["weight_shape"] = tuple(int(dim) for dim in module.weight.shape)
+                extra["bias_shape"] = tuple(int(dim) for dim in module.bias.shape)
+            metadata = LayerMetadata(
+                layer_index=idx,
+                type=layer_type,
+                name=f"{layer_type}_{idx}",
+                activation="linear",
+                input_shape=input_shape,
+                output_shape=output_shape,
+                **extra,
             )
-        )
+            snapshots.append(LayerSnapshot(metadata=metadata, weight=weight, bias=bias))
     return snapshots
 
 
 def build_network_payload(layers: Sequence[LayerMetadata]) -> dict[str, Any]:
     if not layers:
-        raise ValueError("Layer metadata must contain at least one dense layer.")
-    architecture = [layers[0].weight_shape[1]] + [layer.bias_shape[0] for layer in layers]
-    return {
+        raise ValueError("Layer metadata must contain at least one layer.")
+    input_dim = math.prod(layers[0].input_shape)
+    architecture = [input_dim] + [math.prod(layer.output_shape) for layer in layers]
+    layers_payload = []
+    for layer in layers:
+        entry: dict[str, Any] = {
+            "layer_index": layer.layer_index,
+            "type": layer.type,
+            "name": layer.name,
+            "activation": layer.activation,
+            "input_shape": list(layer.input_shape),
+            "output_shape": list(layer.output_shape),
+        }
+        for key in ("weight_shape", "bias_shape", "kernel_size", "stride", "padding"):
+            value = getattr(layer, key)
+            if value is not None:
+                entry[key] = list(value)
+        layers_payload.append(entry)
+    payload: dict[str, Any] = {
         "architecture": architecture,
-        "layers": [
-            {
-                "layer_index": layer.layer_index,
-                "type": layer.type,
-                "name": layer.name,
-                "activation": layer.activation,
-                "weight_shape": list(layer.weight_shape),
-                "bias_shape": list(layer.bias_shape),
-            }
-            for layer in layers
-        ],
-        "input_dim": layers[0].weight_shape[1],
-        "output_dim": layers[-1].bias_shape[0],
+        "layers": layers_payload,
+        "input_dim": input_dim,
+        "output_dim": math.prod(layers[-1].output_shape),
         "normalization": {"mean": MNIST_MEAN, "std": MNIST_STD},
     }
+    if len(layers[0].input_shape) > 1:
+        payload["input_shape"] = list(layers[0].input_shape)
+    return payload
 
 
 def slugify_identifier(value: str) -> str:
@@ -192,39 +318,93 @@ def tensor_to_base64(tensor: torch.Tensor) -> str:
     return base64.b64encode(data).decode("ascii")
 
 
+def quantise_tensor(tensor: torch.Tensor, dtype: str) -> tuple[np.ndarray, float]:
+    """Flatten ``tensor`` into little-endian ``dtype`` values plus the scale that restores them.
+
+    ``int8`` uses one symmetric scale per tensor (``value = q * scale``); the float types use 1.0.
+    """
+    array = tensor.detach().cpu().to(torch.float32).numpy().reshape(-1)
+    if dtype == "float32":
+        return array.astype("<f4"), 1.0
+    if dtype == "float16":
+        return array.astype("<f2"), 1.0
+    peak = float(np.abs(array).max()) if array.size else 0.0
+    scale = peak / 127 if peak > 0 else 1.0
+    return np.clip(np.round(array / scale), -127, 127).astype("i1"), scale
+
+
+def pad_to_word(data: bytes) -> bytes:
+    return data + b"\0" * (-len(data) % 4)
+
+
+def encode_binary_snapshot(snapshots: Sequence[LayerSnapshot], dtype: str) -> bytes:
+    """Encode a snapshot as ``layer_binary_v1``, which the front-end reads with one ``arrayBuffer()``.
+
+    Layout (little-endian): ``NNVB`` magic, uint8 version, uint8 dtype code, uint16 layer count, then
+    per layer uint16 layer index, uint8 weight rank (0 for parameter-free layers) and one pad byte;
+    layers with parameters continue with ``rank`` uint32 weight dims, uint32 bias length and float32
+    weight/bias scales. The weight and bias arrays follow in layer order, each padded to 4 bytes.
+    """
+    header = bytearray(BINARY_SNAPSHOT_MAGIC)
+    header += struct.pack("<BBH", BINARY_SNAPSHOT_VERSION, BINARY_SNAPSHOT_DTYPES[dtype], len(snapshots))
+    blobs: list[bytes] = []
+    for snapshot in snapshots:
+        meta = snapshot.metadata
+        if snapshot.weight is None or snapshot.bias is None:
+            header += struct.pack("<HBx", meta.layer_index, 0)
+            continue
+        shape = tuple(int(dim) for dim in snapshot.weight.shape)
+        weights, weight_scale = quantise_tensor(snapshot.weight, dtype)
+        biases, bias_scale = quantise_tensor(snapshot.bias, dtype)
+        header += struct.pack(f"<HBx{len(shape)}I", meta.layer_index, len(shape), *shape)
+        header += struct.pack("<Iff", biases.size, weight_scale, bias_scale)
+        blobs.extend([weights.tobytes(), biases.tobytes()])
+    return b"".join(pad_to_word(chunk) for chunk in [bytes(header), *blobs])
+
+
 def write_snapshot_file(
     snapshots: Sequence[LayerSnapshot],
     directory: Path,
     order: int,
     identifier: str,
+    snapshot_format: str = "json",
+    dtype: str = "float16",
 ) -> Path:
     slug = slugify_identifier(identifier)
+    directory.mkdir(parents=True, exist_ok=True)
+    if snapshot_format == "binary":
+        path = directory / f"{order:03d}_{slug}.bin"
+        path.write_bytes(encode_binary_snapshot(snapshots, dtype))
+        return path
+    if dtype != "float16":
+        raise ValueError("JSON snapshots only support float16; use the binary format for other dtypes.")
     filename = f"{order:03d}_{slug}.json"
     path = directory / filename
     layers_payload = []
     for snapshot in snapshots:
         meta = snapshot.metadata
-        layers_payload.append(
-            {
-                "layer_index": meta.layer_index,
-                "name": meta.name,
-                "activation": meta.activation,
-                "weights": {
-                    "shape": list(meta.weight_shape),
-                    "data": tensor_to_base64(snapshot.weight),
-                },
-                "biases": {
-                    "shape": list(meta.bias_shape),
-                    "data": tensor_to_base64(snapshot.bias),
-                },
+        entry: dict[str, Any] = {
+            "layer_index": meta.layer_index,
+            "name": meta.name,
+            "activation": meta.activation,
+        }
+        if snapshot.weight is not None and snapshot.bias is not None:
+            entry["weights"] = {
+                "shape": list(meta.weight_shape or ()),
+                "data": tensor_to_base64(snapshot.weight),
             }
-        )
+            entry["biases"] = {
+                "shape": list(meta.bias_shape or ()),
+                "data": tensor_to_base64(snapshot.bias),
+            }
+        else:
+            entry["type"] = meta.type
+        layers_payload.append(entry)
     payload = {
         "version": 1,
         "dtype": "float16",
         "layers": layers_payload,
     }
-    directory.mkdir(parents=True, exist_ok=True)
     path.write_text(json.dumps(payload, separators=(",", ":")))
     return path
 
@@ -336,6 +516,39 @@ def main() -> None:
         default=[128, 64],
         help="Hidden layer sizes, e.g. --hidden-dims 128 64.",
     )
+    parser.add_argument(
+        "--activation",
+        nargs="+",
+        default=["relu"],
+        choices=sorted(ACTIVATION_MODULES),
+        help="Hidden-layer activation; pass one name for all layers or one per hidden layer, "
+        "e.g. --activation relu tanh.",
+    )
+    parser.add_argument(
+        "--conv-channels",
+        type=int,
+        nargs="*",
+        default=[],
+        help="Optional convolution stack in front of the dense layers, e.g. --conv-channels 8 16.",
+    )
+    parser.add_argument(
+        "--conv-kernel",
+        type=int,
+        default=3,
+        help="Square kernel size for every convolution layer (e.g. 3 or 5).",
+    )
+    parser.add_argument(
+        "--conv-activation",
+        default="relu",
+        choices=sorted(ACTIVATION_MODULES),
+        help="Activation applied after each convolution layer.",
+    )
+    parser.add_argument(
+        "--pooling",
+        default="max",
+        choices=("max", "avg", "none"),
+        help="2×2 pooling applied after each convolution layer.",
+    )
     parser.add_argument(
         "--lr",
         type=float,
@@ -354,6 +567,18 @@ def main() -> None:
         default=Path("exports/mlp_weights.json"),
         help="Where to write the exported weights JSON.",
     )
+    parser.add_argument(
+        "--snapshot-format",
+        choices=sorted(SNAPSHOT_FORMATS),
+        default="json",
+        help="Timeline snapshot encoding: base64-in-JSON files (default) or one compact binary file per snapshot.",
+    )
+    parser.add_argument(
+        "--snapshot-dtype",
+        choices=sorted(BINARY_SNAPSHOT_DTYPES),
+        default="float16",
+        help="Precision of binary snapshots (int8 stores one scale per tensor). JSON snapshots are always float16.",
+    )
     parser.add_argument(
         "--data-dir",
         type=Path,
@@ -372,12 +597,24 @@ def main() -> None:
         help="Skip training and just export the randomly initialised weights.",
     )
     args = parser.parse_args()
+    if args.snapshot_format == "json" and args.snapshot_dtype != "float16":
+        parser.error("JSON snapshots only support float16; pass --snapshot-format binary for float32 or int8.")
 
     device = resolve_device(args.device)
     hidden_dims = parse_hidden_dims(args.hidden_dims)
+    activations = parse_activations(args.activation, len(hidden_dims))
     print(f"Using device: {device}")
 
-    model = SmallMLP(28 * 28, hidden_dims).to(device)
+    conv_channels = [int(c) for c in args.conv_channels if int(c) > 0]
+    model = SmallMLP(
+        28 * 28,
+        hidden_dims,
+        activations,
+        conv_channels=conv_channels,
+        conv_kernel=args.conv_kernel,
+        conv_activation=args.conv_activation,
+        pooling=args.pooling,
+    ).to(device)
 
     transform = transforms.Compose(
         [
@@ -410,9 +647,6 @@ def main() -> None:
     if not milestones:
         raise RuntimeError("No timeline milestones defined.")
 
-    # Build activation list: ReLU for every hidden layer, softmax for the output (handled client-side).
-    hidden_activations = ["relu"] * len(hidden_dims) + ["linear"]
-
     args.export_path.parent.mkdir(parents=True, exist_ok=True)
     snapshot_dir = args.export_path.parent / args.export_path.stem
     if snapshot_dir.exists():
@@ -435,10 +669,18 @@ def main() -> None:
         nonlocal last_eval_accuracy, layer_metadata
         accuracy = evaluate(model, test_loader, device)
         last_eval_accuracy = accuracy
-        snapshots = capture_layer_snapshots(model, hidden_activations)
+        # Output logits stay linear; softmax is applied client-side.
+        snapshots = capture_layer_snapshots(model)
         if not layer_metadata:
             layer_metadata = [snapshot.metadata for snapshot in snapshots]
-        snapshot_path = write_snapshot_file(snapshots, snapshot_dir, len(timeline_entries), milestone.identifier)
+        snapshot_path = write_snapshot_file(
+            snapshots,
+            snapshot_dir,
+            len(timeline_entries),
+            milestone.identifier,
+            snapshot_format=args.snapshot_format,
+            dtype=args.snapshot_dtype,
+        )
         weights_rel_path = to_posix_relative(snapshot_path, export_root)
         entry: dict[str, Any] = {
             "id": milestone.identifier,
@@ -455,8 +697,8 @@ def main() -> None:
             },
             "weights": {
                 "path": weights_rel_path,
-                "dtype": "float16",
-                "format": "layer_array_v1",
+                "dtype": args.snapshot_dtype,
+                "format": SNAPSHOT_FORMATS[args.snapshot_format],
             },
         }
         if milestone.dataset_multiple is not None:
@@ -521,7 +763,13 @@ def main() -> None:
 
     if not layer_metadata:
         raise RuntimeError("Layer metadata could not be captured for export.")
-    export_model(args.export_path, layer_metadata, timeline_entries)
+    export_model(
+        args.export_path,
+        layer_metadata,
+        timeline_entries,
+        weights_format=SNAPSHOT_FORMATS[args.snapshot_format],
+        precision=args.snapshot_dtype,
+    )
     print(f"Exported weights to {args.export_path.resolve()}")
 
 